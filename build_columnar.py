@@ -0,0 +1,320 @@
+#!/usr/bin/env python3
+"""
+Build the columnar data format from hospital_data.json
+
+The web app loads this format when data/columnar/manifest.json exists and falls back
+to the JSON chunks otherwise. Startup only needs the small directory, metadata and
+procedure statistics files; procedure columns and hospital detail are fetched on demand.
+
+Output (data/columnar/):
+  manifest.json           format version, content hash and file layout
+  directory.json          hospital metadata without procedures, sorted by net patient revenue,
+                          plus procedure_mix_norm (norm of the procedure volumes, for peer suggestions)
+  metadata.json           procedure codes/names, service categories and shoppable map
+  procedure_stats.json    national and per-state statistics per procedure (js/procedure-stats.js)
+  procedures_NNN.bin      per-procedure columns, little-endian, one block per code:
+                            uint32 hospital index[n], uint32 volume[n],
+                            float32 avg_charge[n], float32 avg_cost[n], float32 avg_paid[n]
+                          (a missing price is stored as NaN)
+  detail_NNN.json         full procedure records for a block of hospitals, keyed by provnum
+"""
+import hashlib
+import json
+import math
+import os
+import sys
+from array import array
+
+SOURCE_PATH = 'data/hospital_data.json'
+OUTPUT_DIR = 'data/columnar'
+
+# Target size of each procedure column file
+PROCEDURE_FILE_BYTES = 4 * 1024 * 1024
+
+# Hospitals per detail file (directory order)
+DETAIL_FILE_SIZE = 250
+
+# Hospital fields kept in the directory
+DIRECTORY_FIELDS = [
+    'name', 'provnum', 'city', 'state', 'zip_code', 'beds_total',
+    'hospital_type', 'ownership', 'net_patient_revenue', 'summary'
+]
+
+METADATA_FIELDS = [
+    'procedure_codes', 'procedure_names', 'service_categories',
+    'service_category_map', 'shoppable_map'
+]
+
+
+def write_json(path, data, content_hash):
+    """Write compact JSON and feed its bytes into the content hash"""
+    payload = json.dumps(data, separators=(',', ':')).encode('utf-8')
+    with open(path, 'wb') as f:
+        f.write(payload)
+    content_hash.update(payload)
+    return len(payload)
+
+
+def to_little_endian_bytes(values):
+    """Serialize an array.array as little-endian bytes"""
+    if sys.byteorder != 'little':
+        values = array(values.typecode, values)
+        values.byteswap()
+    return values.tobytes()
+
+
+def build_directory(hospitals):
+    """Hospital metadata sorted by net patient revenue (matches the app's default order)"""
+    ordered = sorted(
+        hospitals.values(),
+        key=lambda h: h.get('net_patient_revenue') or 0,
+        reverse=True
+    )
+    return [
+        {**{field: h.get(field) for field in DIRECTORY_FIELDS}, 'procedure_mix_norm': procedure_mix_norm(h)}
+        for h in ordered
+    ]
+
+
+def procedure_mix_norm(hospital):
+    """Mirror of getProcedureMixNorm() in js/comparison-engine.js"""
+    volumes = [p.get('volume') or 0 for p in hospital.get('procedures', {}).values()]
+    return round(math.sqrt(sum(v * v for v in volumes if v > 0)), 4)
+
+
+def build_procedure_columns(directory, hospitals):
+    """Group every procedure record by code, in directory order"""
+    columns = {}
+    for index, entry in enumerate(directory):
+        procedures = hospitals[entry['provnum']].get('procedures', {})
+        for code, proc in procedures.items():
+            if code not in columns:
+                columns[code] = {
+                    'hospital': array('I'),
+                    'volume': array('I'),
+                    'avg_charge': array('f'),
+                    'avg_cost': array('f'),
+                    'avg_paid': array('f')
+                }
+            column = columns[code]
+            column['hospital'].append(index)
+            column['volume'].append(int(proc.get('volume') or 0))
+            column['avg_charge'].append(column_price(proc.get('avg_charge')))
+            column['avg_cost'].append(column_price(proc.get('avg_cost')))
+            column['avg_paid'].append(column_price(proc.get('avg_paid')))
+    return columns
+
+
+def column_price(value):
+    """Price for a float32 column - NaN when missing, so it is not read back as $0"""
+    return float('nan') if value is None else float(value)
+
+
+def write_procedure_files(columns, content_hash):
+    """Pack procedure columns into files, most widely reported codes first"""
+    codes = sorted(columns.keys(), key=lambda c: (-len(columns[c]['hospital']), c))
+
+    files = []
+    procedures = {}
+    buffer = bytearray()
+
+    def flush():
+        filename = f'procedures_{len(files):03d}.bin'
+        with open(os.path.join(OUTPUT_DIR, filename), 'wb') as f:
+            f.write(buffer)
+        content_hash.update(buffer)
+        files.append(filename)
+        print(f"  Created {filename}: {len(buffer) / (1024 * 1024):.2f} MB")
+
+    for code in codes:
+        column = columns[code]
+        procedures[code] = {
+            'file': len(files),
+            'offset': len(buffer),
+            'count': len(column['hospital'])
+        }
+        for field in ['hospital', 'volume', 'avg_charge', 'avg_cost', 'avg_paid']:
+            buffer.extend(to_little_endian_bytes(column[field]))
+
+        if len(buffer) >= PROCEDURE_FILE_BYTES:
+            flush()
+            buffer = bytearray()
+
+    if buffer:
+        flush()
+
+    return files, procedures
+
+
+def write_detail_files(directory, hospitals, content_hash):
+    """Write full procedure records in blocks of DETAIL_FILE_SIZE hospitals"""
+    files = []
+    for start in range(0, len(directory), DETAIL_FILE_SIZE):
+        block = directory[start:start + DETAIL_FILE_SIZE]
+        detail = {
+            entry['provnum']: hospitals[entry['provnum']].get('procedures', {})
+            for entry in block
+        }
+        filename = f'detail_{len(files):03d}.json'
+        write_json(os.path.join(OUTPUT_DIR, filename), detail, content_hash)
+        files.append(filename)
+    print(f"  Created {len(files)} detail files of up to {DETAIL_FILE_SIZE} hospitals")
+    return files
+
+
+# Price measures, keyed as in METRICS in js/comparison-engine.js
+MEASURE_FIELDS = {'charge': 'avg_charge', 'paid': 'avg_paid', 'cost': 'avg_cost'}
+
+# Quantiles kept per measure - matches QUANTILE_SKETCH_POINTS in js/procedure-stats.js
+QUANTILE_SKETCH_POINTS = 21
+
+
+def interpolate_sorted(sorted_values, q):
+    """Linear-interpolated quantile q (0-1) of sorted values"""
+    position = q * (len(sorted_values) - 1)
+    lower = int(position)
+    upper = min(lower + 1, len(sorted_values) - 1)
+    return sorted_values[lower] + (sorted_values[upper] - sorted_values[lower]) * (position - lower)
+
+
+def build_quantile_sketch(sorted_values):
+    """Mirror of buildQuantileSketch() in js/procedure-stats.js, rounded to cents"""
+    if len(sorted_values) <= QUANTILE_SKETCH_POINTS:
+        return [round(v, 2) for v in sorted_values]
+    return [
+        round(interpolate_sorted(sorted_values, i / (QUANTILE_SKETCH_POINTS - 1)), 2)
+        for i in range(QUANTILE_SKETCH_POINTS)
+    ]
+
+
+def add_to_procedure_stats(entries, value_lists, code, proc):
+    """Add one hospital's procedure record to a scope's entries"""
+    if code not in entries:
+        entries[code] = {
+            'count': 0, 'volume': 0,
+            'dollarTotals': {'volume': 0, 'charges': 0, 'cost': 0, 'paid': 0},
+            'measures': {
+                metric: {'count': 0, 'volume': 0, 'sum': 0, 'sumSquares': 0, 'weightedSum': 0, 'quantiles': []}
+                for metric in MEASURE_FIELDS
+            }
+        }
+        value_lists[code] = {metric: [] for metric in MEASURE_FIELDS}
+
+    entry = entries[code]
+    volume = proc['volume']
+    entry['count'] += 1
+    entry['volume'] += volume
+
+    # Same fallbacks as addDollarTotals() in js/comparison-engine.js
+    totals = entry['dollarTotals']
+    totals['volume'] += volume
+    for total_key, total_field, avg_field in [
+        ('charges', 'total_charges', 'avg_charge'),
+        ('cost', 'total_cost', 'avg_cost'),
+        ('paid', 'total_paid', 'avg_paid')
+    ]:
+        if proc.get(total_field) is not None:
+            totals[total_key] += proc[total_field]
+        else:
+            totals[total_key] += (proc.get(avg_field) or 0) * volume
+
+    for metric, field in MEASURE_FIELDS.items():
+        value = proc.get(field)
+        if value is None:
+            continue
+        measure = entry['measures'][metric]
+        measure['count'] += 1
+        measure['volume'] += volume
+        measure['sum'] += value
+        measure['sumSquares'] += value * value
+        measure['weightedSum'] += value * volume
+        value_lists[code][metric].append(value)
+
+
+def finalize_quantiles(entries, value_lists):
+    """Replace collected prices with quantile sketches"""
+    for code, lists in value_lists.items():
+        for metric, values in lists.items():
+            values.sort()
+            entries[code]['measures'][metric]['quantiles'] = build_quantile_sketch(values)
+
+
+def calculate_procedure_stats(directory, hospitals):
+    """Mirror of buildProcedureStats() in js/procedure-stats.js"""
+    national, national_values = {}, {}
+    states, state_values = {}, {}
+
+    for entry in directory:
+        hospital = hospitals[entry['provnum']]
+        state = hospital.get('state')
+        if state and state not in states:
+            states[state], state_values[state] = {}, {}
+
+        for code, proc in hospital.get('procedures', {}).items():
+            if not (proc.get('volume') or 0) > 0:
+                continue
+            add_to_procedure_stats(national, national_values, code, proc)
+            if state:
+                add_to_procedure_stats(states[state], state_values[state], code, proc)
+
+    finalize_quantiles(national, national_values)
+    for state in states:
+        finalize_quantiles(states[state], state_values[state])
+
+    return {'national': national, 'states': states}
+
+
+def build_columnar_data():
+    print(f"Loading hospital data from {SOURCE_PATH}...")
+    with open(SOURCE_PATH, 'r') as f:
+        data = json.load(f)
+
+    hospitals = data.get('hospitals', {})
+    print(f"Loaded data with {len(hospitals)} hospitals")
+
+    os.makedirs(OUTPUT_DIR, exist_ok=True)
+    content_hash = hashlib.sha256()
+
+    print("Writing directory and metadata...")
+    directory = build_directory(hospitals)
+    write_json(os.path.join(OUTPUT_DIR, 'directory.json'), directory, content_hash)
+    write_json(
+        os.path.join(OUTPUT_DIR, 'metadata.json'),
+        {field: data.get(field, {}) for field in METADATA_FIELDS},
+        content_hash
+    )
+
+    print("Calculating procedure statistics...")
+    write_json(
+        os.path.join(OUTPUT_DIR, 'procedure_stats.json'),
+        calculate_procedure_stats(directory, hospitals),
+        content_hash
+    )
+
+    print("Writing procedure columns...")
+    columns = build_procedure_columns(directory, hospitals)
+    procedure_files, procedures = write_procedure_files(columns, content_hash)
+
+    print("Writing hospital detail...")
+    detail_files = write_detail_files(directory, hospitals, content_hash)
+
+    manifest = {
+        'format': 1,
+        'version': content_hash.hexdigest()[:16],
+        'total_hospitals': len(directory),
+        'detail_file_size': DETAIL_FILE_SIZE,
+        'detail_files': detail_files,
+        'procedure_files': procedure_files,
+        'procedures': procedures
+    }
+    with open(os.path.join(OUTPUT_DIR, 'manifest.json'), 'w') as f:
+        json.dump(manifest, f, separators=(',', ':'))
+
+    print(f"\nDone! Columnar data written to {OUTPUT_DIR}/")
+    print(f"Total hospitals: {len(directory)}")
+    print(f"Total procedures: {len(procedures)}")
+    print(f"Version: {manifest['version']}")
+
+
+if __name__ == '__main__':
+    build_columnar_data()
@@ -0,0 +1,96 @@
+#!/usr/bin/env python3
+"""
+Build the health system membership table used for system filters, selection and rollups
+
+Input is a CSV with one row per hospital giving its provider number (CCN) and health
+system - the AHRQ Compendium of U.S. Health Systems hospital linkage file
+(chsp-hospital-linkage-*.csv, columns ccn and health_sys_name) from
+https://www.ahrq.gov/chsp/data-resources/compendium.html, or your own affiliation list
+with provnum and system columns. Put it in data/ or give its path on the command line.
+Rows without a system name (independent hospitals) are skipped.
+
+Output (data/health_systems.json):
+  { "230001": "Trinity Health", ... }
+Only hospitals in data/hospital_data.json are kept when that file exists.
+The web app works without this file; the system filter and rollups are then unavailable.
+"""
+import csv
+import glob
+import json
+import os
+import sys
+
+INPUT_PATTERNS = ['data/chsp-hospital-linkage-*.csv', 'data/health_systems.csv']
+HOSPITAL_DATA_PATH = 'data/hospital_data.json'
+OUTPUT_PATH = 'data/health_systems.json'
+
+# Accepted header names, compared lowercased
+PROVNUM_COLUMNS = ['ccn', 'provnum', 'provider_number', 'provider number']
+SYSTEM_COLUMNS = ['health_sys_name', 'system', 'system_name', 'health_system', 'health system']
+
+
+def find_input_file():
+    """Membership file given on the command line, or the newest match in data/"""
+    if len(sys.argv) > 1:
+        return sys.argv[1]
+    for pattern in INPUT_PATTERNS:
+        matches = sorted(glob.glob(pattern))
+        if matches:
+            return matches[-1]
+    sys.exit(f"No membership file matching {' or '.join(INPUT_PATTERNS)} - see the note at the top of this script")
+
+
+def find_column(header, names):
+    """Index of the first header cell matching one of names, or None"""
+    lowered = [cell.strip().lower() for cell in header]
+    return next((lowered.index(name) for name in names if name in lowered), None)
+
+
+def normalize_provnum(value):
+    """Same normalization as normalizeProvnum() in js/app.js - restores a dropped leading zero"""
+    value = value.strip().lstrip("'").upper()
+    return value.zfill(6) if value.isdigit() and len(value) == 5 else value
+
+
+def load_hospital_provnums():
+    """Provider numbers of every hospital, or None to keep every row"""
+    if not os.path.exists(HOSPITAL_DATA_PATH):
+        return None
+    with open(HOSPITAL_DATA_PATH, 'r') as f:
+        return set(json.load(f).get('hospitals', {}).keys())
+
+
+def build_health_systems():
+    input_path = find_input_file()
+    hospital_provnums = load_hospital_provnums()
+
+    print(f"Reading health system membership from {input_path}...")
+    with open(input_path, 'r', encoding='utf-8-sig', errors='replace') as f:
+        reader = csv.reader(f)
+        header = next(reader)
+        provnum_column = find_column(header, PROVNUM_COLUMNS)
+        system_column = find_column(header, SYSTEM_COLUMNS)
+        if provnum_column is None or system_column is None:
+            sys.exit(f"{input_path} needs a provider number column ({', '.join(PROVNUM_COLUMNS)}) "
+                     f"and a system column ({', '.join(SYSTEM_COLUMNS)})")
+
+        systems = {}
+        for row in reader:
+            if len(row) <= max(provnum_column, system_column):
+                continue
+            provnum = normalize_provnum(row[provnum_column])
+            system = row[system_column].strip()
+            if not provnum or not system:
+                continue
+            if hospital_provnums is not None and provnum not in hospital_provnums:
+                continue
+            systems[provnum] = system
+
+    with open(OUTPUT_PATH, 'w') as f:
+        json.dump(systems, f, separators=(',', ':'))
+
+    print(f"\nDone! Wrote {len(systems)} hospitals in {len(set(systems.values()))} systems to {OUTPUT_PATH}")
+
+
+if __name__ == '__main__':
+    build_health_systems()
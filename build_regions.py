@@ -0,0 +1,143 @@
+#!/usr/bin/env python3
+"""
+Build the region crosswalk used for metro area (CBSA) and hospital referral region (HRR)
+filters and the Regional Market Position benchmark
+
+Inputs in data/ (each region type is built only when its files are present):
+  ZIP_CBSA_*.csv     HUD USPS ZIP Code Crosswalk (ZIP to CBSA), saved as CSV from
+                     https://www.huduser.gov/portal/datasets/usps_crosswalk.html
+  list1*.csv         optional CBSA names: the Census Bureau CBSA delineation file (list 1), saved as CSV from
+                     https://www.census.gov/geographies/reference-files/time-series/demo/metro-micro/delineation-files.html
+  ZipHsaHrr*.csv     Dartmouth Atlas ZIP Code crosswalk from
+                     https://data.dartmouthatlas.org/supplemental/#crosswalks
+
+Output (data/regions.json):
+  { "cbsa": { "names": { "35620": "New York-Newark-Jersey City, NY-NJ-PA" }, "zips": { "10001": "35620" } },
+    "hrr":  { "names": { "301": "Manhattan, NY" }, "zips": { "10001": "301" } } }
+Only zip codes used by hospitals in data/hospital_data.json are kept when that file exists.
+The web app works without this file; states and census regions are always available.
+"""
+import csv
+import glob
+import json
+import os
+import sys
+
+CBSA_CROSSWALK_PATTERN = 'data/ZIP_CBSA_*.csv'
+CBSA_NAMES_PATTERN = 'data/list1*.csv'
+HRR_CROSSWALK_PATTERN = 'data/ZipHsaHrr*.csv'
+HOSPITAL_DATA_PATH = 'data/hospital_data.json'
+OUTPUT_PATH = 'data/regions.json'
+
+# HUD's code for zip codes outside every CBSA
+NO_CBSA = '99999'
+
+
+def find_newest(pattern):
+    """Newest file matching a pattern, or None"""
+    matches = sorted(glob.glob(pattern))
+    return matches[-1] if matches else None
+
+
+def load_hospital_zips():
+    """Five-digit zip codes of every hospital, or None to keep every zip code"""
+    if not os.path.exists(HOSPITAL_DATA_PATH):
+        return None
+    with open(HOSPITAL_DATA_PATH, 'r') as f:
+        hospitals = json.load(f).get('hospitals', {})
+    # Same normalization as getFiveDigitZip() in js/data-loader.js
+    return {str(h.get('zip_code') or '').strip()[:5].zfill(5) for h in hospitals.values()}
+
+
+def read_csv_rows(path, required_column):
+    """Rows of a CSV as dicts, skipping any title lines above the header row"""
+    with open(path, 'r', encoding='utf-8-sig') as f:
+        lines = list(csv.reader(f))
+    for index, row in enumerate(lines):
+        header = [cell.strip() for cell in row]
+        if required_column in header:
+            return [dict(zip(header, cells)) for cells in lines[index + 1:] if cells]
+    sys.exit(f"{path} has no {required_column} column")
+
+
+def build_cbsa(hospital_zips):
+    """ZIP to CBSA from the HUD crosswalk; a zip spanning several CBSAs goes to the one with most addresses"""
+    crosswalk_path = find_newest(CBSA_CROSSWALK_PATTERN)
+    if not crosswalk_path:
+        print(f"No CBSA crosswalk matching {CBSA_CROSSWALK_PATTERN} - skipping metro areas")
+        return None
+
+    print(f"Reading ZIP to CBSA crosswalk from {crosswalk_path}...")
+    best = {}
+    for row in read_csv_rows(crosswalk_path, 'ZIP'):
+        zip_code = row['ZIP'].strip().zfill(5)
+        cbsa = row['CBSA'].strip()
+        if cbsa == NO_CBSA or (hospital_zips is not None and zip_code not in hospital_zips):
+            continue
+        ratio = float(row.get('TOT_RATIO') or 0)
+        if zip_code not in best or ratio > best[zip_code][1]:
+            best[zip_code] = (cbsa, ratio)
+    zips = {zip_code: cbsa for zip_code, (cbsa, _) in best.items()}
+
+    names = {}
+    names_path = find_newest(CBSA_NAMES_PATTERN)
+    if names_path:
+        print(f"Reading CBSA names from {names_path}...")
+        for row in read_csv_rows(names_path, 'CBSA Code'):
+            code = (row.get('CBSA Code') or '').strip()
+            if code in names or not code:
+                continue
+            names[code] = (row.get('CBSA Title') or code).strip()
+    else:
+        print(f"No CBSA names matching {CBSA_NAMES_PATTERN} - metro areas are shown by code")
+
+    used = set(zips.values())
+    return {'names': {code: names.get(code, code) for code in sorted(used)}, 'zips': zips}
+
+
+def build_hrr(hospital_zips):
+    """ZIP to hospital referral region from the Dartmouth Atlas crosswalk"""
+    crosswalk_path = find_newest(HRR_CROSSWALK_PATTERN)
+    if not crosswalk_path:
+        print(f"No HRR crosswalk matching {HRR_CROSSWALK_PATTERN} - skipping hospital referral regions")
+        return None
+
+    print(f"Reading ZIP to HRR crosswalk from {crosswalk_path}...")
+    rows = read_csv_rows(crosswalk_path, 'hrrnum')
+    # The zip column is named after the data year (zipcode18, zipcode19, ...)
+    zip_column = next(column for column in rows[0] if column.startswith('zipcode'))
+
+    zips, names = {}, {}
+    for row in rows:
+        zip_code = row[zip_column].strip().zfill(5)
+        if hospital_zips is not None and zip_code not in hospital_zips:
+            continue
+        code = row['hrrnum'].strip()
+        zips[zip_code] = code
+        names[code] = f"{row['hrrcity'].strip()}, {row['hrrstate'].strip()}"
+
+    return {'names': names, 'zips': zips}
+
+
+def build_regions():
+    hospital_zips = load_hospital_zips()
+
+    regions = {}
+    for region_type, build in [('cbsa', build_cbsa), ('hrr', build_hrr)]:
+        crosswalk = build(hospital_zips)
+        if crosswalk:
+            regions[region_type] = crosswalk
+
+    if not regions:
+        sys.exit("No crosswalk files found - see the download notes at the top of this script")
+
+    with open(OUTPUT_PATH, 'w') as f:
+        json.dump(regions, f, separators=(',', ':'))
+
+    print(f"\nDone! Wrote {OUTPUT_PATH}")
+    for region_type, crosswalk in regions.items():
+        print(f"{region_type.upper()}: {len(crosswalk['names'])} regions covering {len(crosswalk['zips'])} zip codes")
+
+
+if __name__ == '__main__':
+    build_regions()
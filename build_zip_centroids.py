@@ -0,0 +1,80 @@
+#!/usr/bin/env python3
+"""
+Build the zip code centroid table used for distance filters and the hospital map
+
+Input is the Census Bureau's ZIP Code Tabulation Area (ZCTA) Gazetteer file, a
+tab-separated table with one row per ZCTA (GEOID, ..., INTPTLAT, INTPTLONG). Download
+the national ZCTA file from https://www.census.gov/geographies/reference-files/time-series/geo/gazetteer-files.html
+and unzip it into data/.
+
+Output (data/zip_centroids.json):
+  { "48201": [latitude, longitude], ... }
+Only zip codes used by hospitals in data/hospital_data.json are kept when that file exists.
+The web app works without this file; distance filters and the map are then unavailable.
+"""
+import csv
+import glob
+import json
+import os
+import sys
+
+GAZETTEER_PATTERN = 'data/*_Gaz_zcta_national.txt'
+HOSPITAL_DATA_PATH = 'data/hospital_data.json'
+OUTPUT_PATH = 'data/zip_centroids.json'
+
+# Decimal places kept for coordinates (about 10 m)
+COORDINATE_PRECISION = 4
+
+
+def find_gazetteer_file():
+    """Newest ZCTA Gazetteer file in data/, or the path given on the command line"""
+    if len(sys.argv) > 1:
+        return sys.argv[1]
+    matches = sorted(glob.glob(GAZETTEER_PATTERN))
+    if not matches:
+        sys.exit(f"No Gazetteer file matching {GAZETTEER_PATTERN} - see the download note at the top of this script")
+    return matches[-1]
+
+
+def load_hospital_zips():
+    """Five-digit zip codes of every hospital, or None to keep every ZCTA"""
+    if not os.path.exists(HOSPITAL_DATA_PATH):
+        return None
+    with open(HOSPITAL_DATA_PATH, 'r') as f:
+        hospitals = json.load(f).get('hospitals', {})
+    # Same normalization as getFiveDigitZip() in js/data-loader.js
+    return {str(h.get('zip_code') or '').strip()[:5].zfill(5) for h in hospitals.values()}
+
+
+def build_zip_centroids():
+    gazetteer_path = find_gazetteer_file()
+    hospital_zips = load_hospital_zips()
+
+    print(f"Reading ZCTA centroids from {gazetteer_path}...")
+    centroids = {}
+    with open(gazetteer_path, 'r', encoding='utf-8') as f:
+        reader = csv.reader(f, delimiter='\t')
+        # The last header carries trailing whitespace in some releases
+        header = [column.strip() for column in next(reader)]
+        geoid, lat, lon = header.index('GEOID'), header.index('INTPTLAT'), header.index('INTPTLONG')
+
+        for row in reader:
+            zip_code = row[geoid].strip()
+            if hospital_zips is not None and zip_code not in hospital_zips:
+                continue
+            centroids[zip_code] = [
+                round(float(row[lat]), COORDINATE_PRECISION),
+                round(float(row[lon]), COORDINATE_PRECISION)
+            ]
+
+    with open(OUTPUT_PATH, 'w') as f:
+        json.dump(centroids, f, separators=(',', ':'))
+
+    print(f"\nDone! Wrote {len(centroids)} zip code centroids to {OUTPUT_PATH}")
+    if hospital_zips is not None:
+        missing = len(hospital_zips - centroids.keys())
+        print(f"Hospital zip codes without a centroid: {missing}")
+
+
+if __name__ == '__main__':
+    build_zip_centroids()
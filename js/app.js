@@ -8,43 +8,76 @@ const AppState = {
     hospitalData: null,
     hospitalsArray: [],
     nationalAverages: {},
+    regionNames: {},
+    metric: 'charge',
+    methodology: DEFAULT_METHODOLOGY,
+    indexMix: DEFAULT_INDEX_MIX,
+    // Each target in its own columns and card row instead of one combined target
+    sideBySide: false,
+    regionalBenchmark: '',
     selectedTargetHospitals: new Set(),
     selectedCompareHospitals: new Set(),
     currentResults: null,
+    activeComparison: null,
     currentSort: {
         column: 'percentVariance',
         direction: 'desc'
     },
+    // Hospital table rows rolled up by health system
+    groupBySystem: false,
     procedureFilters: {
         serviceCategory: '',
         cptCode: '',
-        shoppableService: ''
+        shoppableService: '',
+        // Id of the active procedure basket
+        basket: ''
     },
     filters: {
         target: {
-            state: '',
+            state: [],
+            stateExclude: [],
+            region: '',
             city: '',
             zip: '',
-            hospitalType: '',
-            ownership: '',
+            hospitalType: [],
+            hospitalTypeExclude: [],
+            ownership: [],
+            ownershipExclude: [],
+            healthSystem: [],
+            healthSystemExclude: [],
             bedsMin: '',
             bedsMax: ''
         },
         compare: {
-            state: '',
+            state: [],
+            stateExclude: [],
+            region: '',
             city: '',
             zip: '',
-            hospitalType: '',
-            ownership: '',
+            hospitalType: [],
+            hospitalTypeExclude: [],
+            ownership: [],
+            ownershipExclude: [],
+            healthSystem: [],
+            healthSystemExclude: [],
             bedsMin: '',
-            bedsMax: ''
+            bedsMax: '',
+            radiusMiles: '',
+            // Hospitals never used as peers, even when selected or matching the filters
+            excludeProvnums: [],
+            excludeTargetSystem: false
         }
     },
     outlierLogic: {
         enabled: false,
+        method: 'stddev',
         minHospitals: 3,
         minVolume: 5,
-        stdDev: 2.0
+        stdDev: 2.0,
+        iqrMultiplier: 1.5,
+        madThreshold: 3.0,
+        lowerPercentile: 5,
+        upperPercentile: 95
     }
 };
 
@@ -55,6 +88,7 @@ const DOM = {
     targetDropdown: document.getElementById('target-hospital-dropdown'),
     targetList: document.getElementById('target-hospital-list'),
     targetSelected: document.getElementById('target-selected-hospitals'),
+    sideBySideTargets: document.getElementById('side-by-side-targets'),
     targetFilterToggle: document.getElementById('target-filter-toggle'),
     targetAdvancedFilters: document.getElementById('target-advanced-filters'),
     targetClearFilters: document.getElementById('target-clear-filters'),
@@ -69,11 +103,17 @@ const DOM = {
     compareClearFilters: document.getElementById('compare-clear-filters'),
 
     // Procedure elements
+    metricFilter: document.getElementById('metric-filter'),
+    methodologyFilter: document.getElementById('methodology-filter'),
+    indexMixFilter: document.getElementById('index-mix-filter'),
+    regionalBenchmarkFilter: document.getElementById('regional-benchmark-filter'),
     procedureFilter: document.getElementById('procedure-filter'),
     procedureDropdown: document.getElementById('procedure-dropdown'),
     procedureList: document.getElementById('procedure-list'),
+    procedureFilterPreview: document.getElementById('procedure-filter-preview'),
     serviceCategoryFilter: document.getElementById('service-category-filter'),
     shoppableServiceFilter: document.getElementById('shoppable-service-filter'),
+    basketFilter: document.getElementById('basket-filter'),
     applyFiltersButton: document.getElementById('apply-filters-button'),
     clearAllFiltersButton: document.getElementById('clear-all-filters-button'),
 
@@ -83,6 +123,7 @@ const DOM = {
 
     // Results elements
     loadingState: document.getElementById('loading-state'),
+    loadingMessage: document.getElementById('loading-message'),
     emptyState: document.getElementById('empty-state'),
     resultsContent: document.getElementById('results-content'),
     exportCsv: document.getElementById('export-csv'),
@@ -94,7 +135,12 @@ const DOM = {
     outlierControls: document.getElementById('outlier-controls'),
     minHospitals: document.getElementById('min-hospitals'),
     minVolume: document.getElementById('min-volume'),
-    stdDev: document.getElementById('std-dev')
+    outlierMethod: document.getElementById('outlier-method'),
+    stdDev: document.getElementById('std-dev'),
+    iqrMultiplier: document.getElementById('iqr-multiplier'),
+    madThreshold: document.getElementById('mad-threshold'),
+    lowerPercentile: document.getElementById('lower-percentile'),
+    upperPercentile: document.getElementById('upper-percentile')
 };
 
 /**
@@ -105,99 +151,70 @@ async function init() {
 
     try {
         showMessage('Loading hospital data...');
+        startComparisonWorker();
         await loadHospitalData();
 
         initializeAdvancedFilters();
         setupEventListeners();
-        calculateNationalAverages();
         initSaveLoadFeatures();
+        initBulkSelection();
+        initSystemSelection();
+        initPeerSuggestions();
+        initHospitalProfile();
+        initRegionEditor();
+        initBasketEditor();
+
+        // Shared links carry the analysis in the URL hash; back/forward move between comparisons
+        window.addEventListener('popstate', restoreUrlState);
+        await restoreUrlState();
 
         console.log('App initialized successfully!');
         hideMessage();
     } catch (error) {
         console.error('Error initializing app:', error);
-        showMessage('Failed to load hospital data. Please refresh the page.', 'error');
+        showMessage('Failed to load hospital data. Please refresh the page - files already downloaded will load from cache.', 'error');
     }
 }
 
 /**
- * Load hospital data from chunked JSON files
+ * Load hospital data through the comparison worker
+ * The worker keeps the full procedure data; the main thread gets the hospital directory
  */
 async function loadHospitalData() {
     try {
-        console.log('[DEBUG] Starting to fetch hospital data in chunks...');
-
         const loadingMsg = document.getElementById('loadingMessage');
-        if (loadingMsg) {
-            loadingMsg.textContent = 'Loading hospital data in chunks...';
-        }
-
-        // Load the index to know how many chunks we have
-        console.log('[DEBUG] Loading chunk index...');
-        const indexResponse = await fetch('data/chunks/index.json');
-        if (!indexResponse.ok) {
-            throw new Error('Failed to load chunk index');
-        }
-        const index = await indexResponse.json();
 
-        console.log(`[DEBUG] Found ${index.chunks.length} chunks with ${index.total_hospitals} total hospitals`);
+        const { promise } = workerRequest('load', null, progress => {
+            console.log(`[DEBUG] ${progress.message}`);
+            if (loadingMsg) {
+                loadingMsg.textContent = progress.message;
+            }
+        });
+        const { directory, metadata, nationalAverages, regionNames } = await promise;
 
-        // Load metadata
         if (loadingMsg) {
-            loadingMsg.textContent = 'Loading metadata...';
-        }
-        console.log('[DEBUG] Loading metadata...');
-        const metadataResponse = await fetch('data/chunks/metadata.json');
-        if (!metadataResponse.ok) {
-            throw new Error('Failed to load metadata');
+            loadingMsg.textContent = 'Building search index... Almost done...';
         }
-        const metadata = await metadataResponse.json();
+
+        console.log('[DEBUG] Building hospital array and search index...');
+
+        // Directory arrives sorted by net_patient_revenue
+        AppState.hospitalsArray = directory.map(h => ({
+            ...h,
+            searchText: `${h.name} ${h.provnum} ${h.city} ${h.state}`.toLowerCase()
+        }));
 
         // Initialize hospital data structure
         AppState.hospitalData = {
             hospitals: {},
             ...metadata
         };
+        AppState.hospitalsArray.forEach(h => {
+            AppState.hospitalData.hospitals[h.provnum] = h;
+        });
 
-        // Load chunks progressively
-        console.log('[DEBUG] Loading hospital chunks...');
-        for (let i = 0; i < index.chunks.length; i++) {
-            const chunkInfo = index.chunks[i];
-            const chunkNum = i + 1;
-            const totalChunks = index.chunks.length;
-
-            if (loadingMsg) {
-                loadingMsg.textContent = `Loading hospitals: chunk ${chunkNum}/${totalChunks} (${chunkInfo.hospitals} hospitals, ${chunkInfo.size_mb}MB)`;
-            }
-
-            console.log(`[DEBUG] Loading chunk ${chunkNum}/${totalChunks}: ${chunkInfo.file}`);
-
-            const chunkResponse = await fetch(`data/chunks/${chunkInfo.file}`);
-            if (!chunkResponse.ok) {
-                throw new Error(`Failed to load chunk ${chunkInfo.file}`);
-            }
-
-            const chunkData = await chunkResponse.json();
-
-            // Merge chunk into main hospitals object
-            Object.assign(AppState.hospitalData.hospitals, chunkData);
-
-            console.log(`[DEBUG] Loaded chunk ${chunkNum}/${totalChunks}, total hospitals so far: ${Object.keys(AppState.hospitalData.hospitals).length}`);
-        }
-
-        if (loadingMsg) {
-            loadingMsg.textContent = 'Building search index... Almost done...';
-        }
-
-        console.log('[DEBUG] Building hospital array and search index...');
-
-        // Convert to array and sort
-        AppState.hospitalsArray = Object.values(AppState.hospitalData.hospitals)
-            .map(h => ({
-                ...h,
-                searchText: `${h.name} ${h.provnum} ${h.city} ${h.state}`.toLowerCase()
-            }))
-            .sort((a, b) => (b.net_patient_revenue || 0) - (a.net_patient_revenue || 0));
+        AppState.nationalAverages = nationalAverages;
+        AppState.regionNames = regionNames;
 
         console.log(`[INFO] Successfully loaded data for ${AppState.hospitalsArray.length} hospitals`);
     } catch (error) {
@@ -206,72 +223,37 @@ async function loadHospitalData() {
     }
 }
 
-/**
- * Calculate national averages for all procedures
- */
-function calculateNationalAverages() {
-    console.log('Calculating national averages...');
-
-    const procedureStats = {};
-
-    // Aggregate data from all hospitals
-    AppState.hospitalsArray.forEach(hospital => {
-        Object.entries(hospital.procedures).forEach(([code, data]) => {
-            if (!procedureStats[code]) {
-                procedureStats[code] = {
-                    totalCharge: 0,
-                    totalVolume: 0,
-                    hospitalCount: 0
-                };
-            }
-
-            procedureStats[code].totalCharge += data.avg_charge;
-            procedureStats[code].totalVolume += data.volume;
-            procedureStats[code].hospitalCount++;
-        });
-    });
-
-    // Calculate averages
-    Object.entries(procedureStats).forEach(([code, stats]) => {
-        AppState.nationalAverages[code] = {
-            avgCharge: stats.totalCharge / stats.hospitalCount,
-            totalVolume: stats.totalVolume,
-            hospitalCount: stats.hospitalCount
-        };
-    });
-
-    console.log(`Calculated national averages for ${Object.keys(AppState.nationalAverages).length} procedures`);
-}
-
 /**
  * Initialize advanced filters
  */
 function initializeAdvancedFilters() {
-    // Collect unique values for dropdowns
-    const states = new Set();
-    const hospitalTypes = new Set();
-    const ownerships = new Set();
+    // Collect unique values for the include/exclude lists
+    Object.entries(CHOICE_FILTERS).forEach(([key, { field }]) => {
+        const values = new Set();
+        AppState.hospitalsArray.forEach(h => {
+            if (h[field]) values.add(h[field]);
+        });
+        filterChoices[key] = Array.from(values).sort();
+    });
 
-    AppState.hospitalsArray.forEach(h => {
-        if (h.state) states.add(h.state);
-        if (h.hospital_type) hospitalTypes.add(h.hospital_type);
-        if (h.ownership) ownerships.add(h.ownership);
+    ['target', 'compare'].forEach(type => {
+        Object.keys(CHOICE_FILTERS).forEach(key => renderChoiceFilter(type, key));
     });
 
-    // Populate state dropdowns
-    const stateOptions = Array.from(states).sort().map(s => `<option value="${s}">${s}</option>`).join('');
-    document.getElementById('target-state').innerHTML += stateOptions;
-    document.getElementById('compare-state').innerHTML += stateOptions;
+    // Health system controls need the membership table from build_health_systems.py
+    if (filterChoices.healthSystem.length > 0) {
+        document.querySelectorAll('.health-system-filter').forEach(element => element.classList.remove('hidden'));
+        document.getElementById('system-target-btn').classList.remove('hidden');
+        document.getElementById('system-compare-btn').classList.remove('hidden');
+    }
 
-    // Populate hospital type dropdowns
-    const typeOptions = Array.from(hospitalTypes).sort().map(t => `<option value="${t}">${t}</option>`).join('');
-    document.getElementById('target-hospital-type').innerHTML += typeOptions;
-    document.getElementById('compare-hospital-type').innerHTML += typeOptions;
+    renderRegionOptions();
 
-    // Populate ownership dropdowns
-    const ownerOptions = Array.from(ownerships).sort().map(o => `<option value="${o}">${o}</option>`).join('');
-    document.getElementById('target-ownership').innerHTML += ownerOptions;
-    document.getElementById('compare-ownership').innerHTML += ownerOptions;
+    // The distance filter needs hospital coordinates from the zip code centroid table
+    if (!AppState.hospitalsArray.some(hasCoordinates)) {
+        document.getElementById('compare-radius').disabled = true;
+        document.getElementById('compare-radius-help').classList.remove('hidden');
+    }
 
     // Populate service categories dropdown (from loaded data)
     if (AppState.hospitalData.service_categories && AppState.hospitalData.service_categories.length > 0) {
@@ -315,6 +297,7 @@ function setupEventListeners() {
     // Procedure filter
     DOM.procedureFilter.addEventListener('input', debounce((e) => {
         filterProcedures(e.target.value);
+        updateProcedureFilterPreview();
     }, 150));
 
     DOM.procedureFilter.addEventListener('focus', () => {
@@ -322,6 +305,52 @@ function setupEventListeners() {
         filterProcedures(DOM.procedureFilter.value);
     });
 
+    // Price measure selector - re-runs the comparison on the chosen measure
+    DOM.metricFilter.addEventListener('change', () => {
+        AppState.metric = DOM.metricFilter.value;
+        updateMetricLabels();
+
+        if (AppState.currentResults) {
+            performComparison();
+        }
+    });
+
+    // Averaging methodology selector - applies to target, peer, state and national prices
+    DOM.methodologyFilter.addEventListener('change', () => {
+        AppState.methodology = DOM.methodologyFilter.value;
+
+        if (AppState.currentResults) {
+            performComparison();
+        }
+    });
+
+    // Volume mix selector - target volumes, or a standardized index on a reference mix
+    DOM.indexMixFilter.addEventListener('change', () => {
+        AppState.indexMix = DOM.indexMixFilter.value;
+
+        if (AppState.currentResults) {
+            performComparison();
+        }
+    });
+
+    // Side-by-side targets - re-runs the comparison with or without per-target figures
+    DOM.sideBySideTargets.addEventListener('change', () => {
+        AppState.sideBySide = DOM.sideBySideTargets.checked;
+
+        if (AppState.currentResults) {
+            performComparison();
+        }
+    });
+
+    // Regional benchmark selector - adds the Regional Market Position card
+    DOM.regionalBenchmarkFilter.addEventListener('change', () => {
+        AppState.regionalBenchmark = DOM.regionalBenchmarkFilter.value;
+
+        if (AppState.currentResults) {
+            performComparison();
+        }
+    });
+
     // Apply Filters button
     DOM.applyFiltersButton.addEventListener('click', () => {
         applyProcedureFilters();
@@ -339,6 +368,9 @@ function setupEventListeners() {
             DOM.compareDropdown.classList.add('hidden');
             DOM.procedureDropdown.classList.add('hidden');
         }
+        if (!e.target.closest('.choice-filter')) {
+            document.querySelectorAll('.choice-filter-menu').forEach(menu => menu.classList.add('hidden'));
+        }
     });
 
     // Filter toggles
@@ -352,17 +384,13 @@ function setupEventListeners() {
     // Advanced filter changes
     setupAdvancedFilterListeners('target');
     setupAdvancedFilterListeners('compare');
+    setupExclusionList();
 
     // Outlier logic controls
     DOM.outlierToggle.addEventListener('change', () => {
+        cancelActiveComparison();
         AppState.outlierLogic.enabled = DOM.outlierToggle.checked;
-        if (AppState.outlierLogic.enabled) {
-            DOM.outlierControls.classList.remove('hidden');
-            DOM.outlierControls.style.display = 'flex';
-        } else {
-            DOM.outlierControls.classList.add('hidden');
-            DOM.outlierControls.style.display = 'none';
-        }
+        renderOutlierControls();
     });
 
     DOM.minHospitals.addEventListener('input', () => {
@@ -379,6 +407,11 @@ function setupEventListeners() {
         }
     });
 
+    DOM.outlierMethod.addEventListener('change', () => {
+        AppState.outlierLogic.method = DOM.outlierMethod.value;
+        renderOutlierControls();
+    });
+
     DOM.stdDev.addEventListener('input', () => {
         const value = parseFloat(DOM.stdDev.value);
         if (!isNaN(value) && value >= 0.5 && value <= 5) {
@@ -386,6 +419,34 @@ function setupEventListeners() {
         }
     });
 
+    DOM.iqrMultiplier.addEventListener('input', () => {
+        const value = parseFloat(DOM.iqrMultiplier.value);
+        if (!isNaN(value) && value >= 0.5 && value <= 5) {
+            AppState.outlierLogic.iqrMultiplier = value;
+        }
+    });
+
+    DOM.madThreshold.addEventListener('input', () => {
+        const value = parseFloat(DOM.madThreshold.value);
+        if (!isNaN(value) && value >= 0.5 && value <= 10) {
+            AppState.outlierLogic.madThreshold = value;
+        }
+    });
+
+    DOM.lowerPercentile.addEventListener('input', () => {
+        const value = parseFloat(DOM.lowerPercentile.value);
+        if (!isNaN(value) && value >= 0 && value < AppState.outlierLogic.upperPercentile) {
+            AppState.outlierLogic.lowerPercentile = value;
+        }
+    });
+
+    DOM.upperPercentile.addEventListener('input', () => {
+        const value = parseFloat(DOM.upperPercentile.value);
+        if (!isNaN(value) && value <= 100 && value > AppState.outlierLogic.lowerPercentile) {
+            AppState.outlierLogic.upperPercentile = value;
+        }
+    });
+
     // Action buttons
     DOM.compareButton.addEventListener('click', () => {
         performComparison();
@@ -400,6 +461,12 @@ function setupEventListeners() {
     DOM.exportCsv.addEventListener('click', exportToCSV);
     DOM.exportPdf.addEventListener('click', () => window.print());
 
+    // Distribution drill-down
+    document.getElementById('close-distribution-modal').addEventListener('click', closeDistributionPanel);
+    document.getElementById('distribution-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'distribution-modal') closeDistributionPanel();
+    });
+
     // Table sorting
     setupTableSorting();
 
@@ -407,19 +474,46 @@ function setupEventListeners() {
     setupTabSwitching();
 }
 
+/**
+ * Sync the outlier controls with AppState.outlierLogic
+ * Only the selected method's parameters are shown
+ */
+function renderOutlierControls() {
+    const settings = AppState.outlierLogic;
+
+    DOM.outlierToggle.checked = settings.enabled;
+    DOM.outlierControls.classList.toggle('hidden', !settings.enabled);
+    DOM.outlierControls.style.display = settings.enabled ? 'flex' : 'none';
+
+    DOM.outlierMethod.value = settings.method;
+    DOM.minHospitals.value = settings.minHospitals;
+    DOM.minVolume.value = settings.minVolume;
+    DOM.stdDev.value = settings.stdDev;
+    DOM.iqrMultiplier.value = settings.iqrMultiplier;
+    DOM.madThreshold.value = settings.madThreshold;
+    DOM.lowerPercentile.value = settings.lowerPercentile;
+    DOM.upperPercentile.value = settings.upperPercentile;
+
+    DOM.outlierControls.querySelectorAll('[data-outlier-methods]').forEach(item => {
+        item.classList.toggle('hidden', !item.dataset.outlierMethods.split(' ').includes(settings.method));
+    });
+}
+
 /**
  * Setup advanced filter listeners for a filter type
  */
 function setupAdvancedFilterListeners(type) {
     const prefix = type;
 
-    ['state', 'city', 'zip', 'hospital-type', 'ownership', 'beds-min', 'beds-max'].forEach(filter => {
+    ['region', 'city', 'zip', 'beds-min', 'beds-max', 'radius'].forEach(filter => {
         const element = document.getElementById(`${prefix}-${filter}`);
         if (element) {
             element.addEventListener('change', () => updateFilterState(type));
             element.addEventListener('input', debounce(() => updateFilterState(type), 150));
         }
     });
+
+    setupChoiceFilters(type);
 }
 
 /**
@@ -428,16 +522,31 @@ function setupAdvancedFilterListeners(type) {
 function updateFilterState(type) {
     const prefix = type;
 
+    // The include/exclude lists are kept up to date by setChoiceFilterValue
     AppState.filters[type] = {
-        state: document.getElementById(`${prefix}-state`).value,
+        ...AppState.filters[type],
+        region: document.getElementById(`${prefix}-region`).value,
         city: document.getElementById(`${prefix}-city`).value,
         zip: document.getElementById(`${prefix}-zip`).value,
-        hospitalType: document.getElementById(`${prefix}-hospital-type`).value,
-        ownership: document.getElementById(`${prefix}-ownership`).value,
         bedsMin: document.getElementById(`${prefix}-beds-min`).value,
         bedsMax: document.getElementById(`${prefix}-beds-max`).value
     };
 
+    // Only the peer filters have a distance filter
+    const radiusInput = document.getElementById(`${prefix}-radius`);
+    if (radiusInput) {
+        AppState.filters[type].radiusMiles = radiusInput.value;
+    }
+
+    refreshFilteredHospitals(type);
+}
+
+/**
+ * Re-filter hospitals after a filter change
+ */
+function refreshFilteredHospitals(type) {
+    cancelActiveComparison();
+
     // Update filter count badge
     updateFilterCountBadge(type);
 
@@ -451,7 +560,7 @@ function updateFilterState(type) {
  */
 function updateFilterCountBadge(type) {
     const filters = AppState.filters[type];
-    const count = Object.values(filters).filter(v => v !== '').length;
+    const count = Object.values(filters).filter(isFilterValueSet).length;
     const badge = document.getElementById(`${type}-filter-count`);
 
     if (count > 0) {
@@ -479,16 +588,183 @@ function toggleFilters(type) {
 function clearFilters(type) {
     const prefix = type;
 
-    document.getElementById(`${prefix}-state`).value = '';
+    document.getElementById(`${prefix}-region`).value = '';
     document.getElementById(`${prefix}-city`).value = '';
     document.getElementById(`${prefix}-zip`).value = '';
-    document.getElementById(`${prefix}-hospital-type`).value = '';
-    document.getElementById(`${prefix}-ownership`).value = '';
     document.getElementById(`${prefix}-beds-min`).value = '';
     document.getElementById(`${prefix}-beds-max`).value = '';
+    const radiusInput = document.getElementById(`${prefix}-radius`);
+    if (radiusInput) radiusInput.value = '';
+
+    Object.keys(CHOICE_FILTERS).forEach(key => {
+        AppState.filters[type][key] = [];
+        AppState.filters[type][`${key}Exclude`] = [];
+        renderChoiceFilter(type, key);
+    });
+    if (type === 'compare') {
+        AppState.filters.compare.excludeProvnums = [];
+        AppState.filters.compare.excludeTargetSystem = false;
+        document.getElementById('compare-exclude-target-system').checked = false;
+        renderExclusionList();
+    }
 
     updateFilterState(type);
-    updateFilterCountBadge(type);
+}
+
+/**
+ * Whether a filter value is set - a non-empty string or list, or an option turned on
+ */
+function isFilterValueSet(value) {
+    if (typeof value === 'boolean') return value;
+    return Array.isArray(value) ? value.length > 0 : value !== '';
+}
+
+/**
+ * Whether any filter in a filter set is set
+ */
+function hasActiveFilters(filters) {
+    return Object.values(filters).some(isFilterValueSet);
+}
+
+/* ============================================
+   INCLUDE/EXCLUDE FILTERS
+   ============================================ */
+
+// Hospital attributes filtered by include/exclude lists; each key has a matching `${key}Exclude` list
+const CHOICE_FILTERS = {
+    state: { id: 'state', field: 'state', allLabel: 'All States' },
+    hospitalType: { id: 'hospital-type', field: 'hospital_type', allLabel: 'All Types' },
+    ownership: { id: 'ownership', field: 'ownership', allLabel: 'All Ownership Types' },
+    healthSystem: { id: 'health-system', field: 'health_system', allLabel: 'All Systems' }
+};
+
+// Sorted values offered per choice filter, collected when data loads
+const filterChoices = { state: [], hospitalType: [], ownership: [], healthSystem: [] };
+
+function setupChoiceFilters(type) {
+    Object.entries(CHOICE_FILTERS).forEach(([key, { id }]) => {
+        const container = document.getElementById(`${type}-${id}`);
+        const menu = container.querySelector('.choice-filter-menu');
+
+        container.querySelector('.choice-filter-toggle').addEventListener('click', () => {
+            const wasHidden = menu.classList.contains('hidden');
+            document.querySelectorAll('.choice-filter-menu').forEach(other => other.classList.add('hidden'));
+            if (wasHidden) menu.classList.remove('hidden');
+        });
+
+        menu.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-mode]');
+            if (!button) return;
+            setChoiceFilterValue(type, key, filterChoices[key][button.dataset.index], button.dataset.mode);
+        });
+    });
+}
+
+/**
+ * Toggle a value in a choice filter's include or exclude list
+ * A value is never in both lists - adding it to one removes it from the other
+ */
+function setChoiceFilterValue(type, key, value, mode) {
+    const filters = AppState.filters[type];
+    const listKey = mode === 'exclude' ? `${key}Exclude` : key;
+    const otherKey = mode === 'exclude' ? key : `${key}Exclude`;
+
+    filters[listKey] = filters[listKey].includes(value)
+        ? filters[listKey].filter(v => v !== value)
+        : [...filters[listKey], value];
+    filters[otherKey] = filters[otherKey].filter(v => v !== value);
+
+    renderChoiceFilter(type, key);
+    refreshFilteredHospitals(type);
+}
+
+function renderChoiceFilter(type, key) {
+    const { id, allLabel } = CHOICE_FILTERS[key];
+    const container = document.getElementById(`${type}-${id}`);
+    const included = AppState.filters[type][key];
+    const excluded = AppState.filters[type][`${key}Exclude`];
+
+    const summary = [];
+    if (included.length > 0) summary.push(included.join(', '));
+    if (excluded.length > 0) summary.push(`not ${excluded.join(', ')}`);
+    const toggle = container.querySelector('.choice-filter-toggle');
+    toggle.textContent = summary.length > 0 ? summary.join('; ') : allLabel;
+    toggle.title = toggle.textContent;
+
+    container.querySelector('.choice-filter-menu').innerHTML = filterChoices[key].map((value, index) => `
+        <div class="choice-filter-option">
+            <span>${escapeHtml(value)}</span>
+            <button type="button" class="choice-filter-mode include${included.includes(value) ? ' active' : ''}" data-mode="include" data-index="${index}" title="Include">+</button>
+            <button type="button" class="choice-filter-mode exclude${excluded.includes(value) ? ' active' : ''}" data-mode="exclude" data-index="${index}" title="Exclude">−</button>
+        </div>
+    `).join('');
+}
+
+/* ============================================
+   PEER EXCLUSION LIST
+   ============================================ */
+
+function setupExclusionList() {
+    document.getElementById('compare-exclude-add').addEventListener('click', () => openBulkSelectModal('exclude'));
+    document.getElementById('compare-exclude-target-system').addEventListener('change', (e) => {
+        AppState.filters.compare.excludeTargetSystem = e.target.checked;
+        refreshFilteredHospitals('compare');
+    });
+    document.getElementById('compare-exclude-list').addEventListener('click', (e) => {
+        const button = e.target.closest('[data-provnum]');
+        if (!button) return;
+        const filters = AppState.filters.compare;
+        filters.excludeProvnums = filters.excludeProvnums.filter(provnum => provnum !== button.dataset.provnum);
+        renderExclusionList();
+        refreshFilteredHospitals('compare');
+    });
+}
+
+/**
+ * Provider numbers never used as peers - the exclusion list, plus every hospital in the
+ * target hospitals' health systems when that option is on
+ */
+function getExcludedPeerProvnums() {
+    const filters = AppState.filters.compare;
+    const excluded = new Set(filters.excludeProvnums);
+
+    if (filters.excludeTargetSystem) {
+        const systems = new Set(getTargetHospitalsForPeerFilters().map(h => h.health_system).filter(Boolean));
+        AppState.hospitalsArray.forEach(h => {
+            if (systems.has(h.health_system)) excluded.add(h.provnum);
+        });
+    }
+
+    return excluded;
+}
+
+/**
+ * Add hospitals to the peer exclusion list, dropping them from the selected peers
+ */
+function addExcludedProvnums(provnums) {
+    const filters = AppState.filters.compare;
+    const added = provnums.filter(provnum => !filters.excludeProvnums.includes(provnum));
+    filters.excludeProvnums = [...filters.excludeProvnums, ...added];
+
+    added.forEach(provnum => AppState.selectedCompareHospitals.delete(provnum));
+    renderSelectedHospitals('compare');
+    renderExclusionList();
+    refreshFilteredHospitals('compare');
+    return added.length;
+}
+
+function renderExclusionList() {
+    const container = document.getElementById('compare-exclude-list');
+    container.innerHTML = AppState.filters.compare.excludeProvnums.map(provnum => {
+        const hospital = AppState.hospitalData.hospitals[provnum];
+        const name = hospital ? `${escapeHtml(hospital.name)} (${escapeHtml(provnum)})` : escapeHtml(provnum);
+        return `
+            <div class="selected-item excluded-item">
+                <span class="selected-item-name">${name}</span>
+                <span class="selected-item-remove" data-provnum="${escapeHtml(provnum)}" title="Remove from exclusion list">&times;</span>
+            </div>
+        `;
+    }).join('');
 }
 
 /**
@@ -512,7 +788,6 @@ function debounce(func, wait) {
 function filterHospitals(query, type) {
     const dropdown = type === 'target' ? DOM.targetList : DOM.compareList;
     const selectedSet = type === 'target' ? AppState.selectedTargetHospitals : AppState.selectedCompareHospitals;
-    const filters = AppState.filters[type];
 
     const searchQuery = query.toLowerCase().trim();
 
@@ -520,16 +795,7 @@ function filterHospitals(query, type) {
     let filtered = AppState.hospitalsArray;
 
     // Apply advanced filters first
-    filtered = filtered.filter(h => {
-        if (filters.state && h.state !== filters.state) return false;
-        if (filters.city && !h.city.toLowerCase().includes(filters.city.toLowerCase())) return false;
-        if (filters.zip && h.zip_code !== filters.zip) return false;
-        if (filters.hospitalType && h.hospital_type !== filters.hospitalType) return false;
-        if (filters.ownership && h.ownership !== filters.ownership) return false;
-        if (filters.bedsMin && h.beds_total < parseInt(filters.bedsMin)) return false;
-        if (filters.bedsMax && h.beds_total > parseInt(filters.bedsMax)) return false;
-        return true;
-    });
+    filtered = filtered.filter(createHospitalFilter(type));
 
     // Apply text search
     if (searchQuery !== '') {
@@ -569,8 +835,18 @@ function renderHospitalDropdown(hospitals, container, selectedSet, type) {
             provnumDiv.className = 'dropdown-item-provnum';
             provnumDiv.textContent = `${hospital.provnum} • ${hospital.city}, ${hospital.state}`;
 
+            const profileLink = document.createElement('span');
+            profileLink.className = 'dropdown-item-profile';
+            profileLink.textContent = 'Profile';
+            profileLink.title = 'Show hospital profile';
+            profileLink.addEventListener('click', (e) => {
+                e.stopPropagation();
+                openHospitalProfile(hospital.provnum);
+            });
+
             item.appendChild(nameDiv);
             item.appendChild(provnumDiv);
+            item.appendChild(profileLink);
 
             item.addEventListener('click', (e) => {
                 e.stopPropagation();
@@ -589,6 +865,8 @@ function renderHospitalDropdown(hospitals, container, selectedSet, type) {
  * Toggle hospital selection
  */
 function toggleHospitalSelection(hospital, type) {
+    cancelActiveComparison();
+
     const selectedSet = type === 'target' ? AppState.selectedTargetHospitals : AppState.selectedCompareHospitals;
     const searchInput = type === 'target' ? DOM.targetSearchInput : DOM.compareSearchInput;
 
@@ -640,24 +918,102 @@ function renderSelectedHospitals(type) {
     container.appendChild(fragment);
 }
 
+// Procedure search index, built on first use (see procedure-search.js)
+let procedureSearchIndex = null;
+
+// Text the procedure dropdown was last searched for - kept while codes are picked from it
+let procedureSearchTerm = '';
+
+/**
+ * Split the CPT/HCPCS filter into its finished entries and the text typed after the last comma
+ */
+function splitProcedureFilter(value) {
+    const parts = value.split(',').map(part => part.trim());
+    const term = parts.pop();
+    return { entries: parts.filter(Boolean), term };
+}
+
 /**
- * Filter procedures based on search query
+ * Search procedures by code or description for the text typed after the last comma
  */
 function filterProcedures(query) {
-    const searchQuery = query.trim().toUpperCase();
+    procedureSearchTerm = splitProcedureFilter(query).term;
 
-    if (searchQuery === '') {
+    if (procedureSearchTerm === '') {
         DOM.procedureDropdown.classList.add('hidden');
         return;
     }
 
     DOM.procedureDropdown.classList.remove('hidden');
+    renderProcedureDropdown(findProcedures(procedureSearchTerm));
+}
+
+/**
+ * Procedure codes matching a search, most relevant and then most common first
+ */
+function findProcedures(term) {
+    if (!procedureSearchIndex) {
+        procedureSearchIndex = buildProcedureSearchIndex(
+            AppState.hospitalData.procedure_codes,
+            AppState.hospitalData.procedure_names
+        );
+    }
+
+    const volumes = {};
+    Object.entries(AppState.nationalAverages).forEach(([code, averages]) => {
+        volumes[code] = averages.totalVolume;
+    });
+
+    return searchProcedures(procedureSearchIndex, term, volumes, 30);
+}
 
-    const filtered = AppState.hospitalData.procedure_codes
-        .filter(code => code.toUpperCase().includes(searchQuery))
-        .slice(0, 30);
+/**
+ * Add a code to the CPT/HCPCS filter, or remove it when it is already listed
+ * The search text is cleared but its results stay open, so several codes can be picked in turn
+ */
+function toggleProcedureCode(code) {
+    const { entries } = splitProcedureFilter(DOM.procedureFilter.value);
+    const listed = entries.some(entry => entry.toUpperCase() === code.toUpperCase());
+    const next = listed
+        ? entries.filter(entry => entry.toUpperCase() !== code.toUpperCase())
+        : [...entries, code];
+
+    DOM.procedureFilter.value = next.length > 0 ? `${next.join(', ')}, ` : '';
+    renderProcedureDropdown(findProcedures(procedureSearchTerm));
+    updateProcedureFilterPreview();
+}
+
+/**
+ * CPT/HCPCS filter text as applied - without the trailing separator left after picking codes
+ */
+function getProcedureFilterValue() {
+    return DOM.procedureFilter.value.trim().replace(/,$/, '').trim();
+}
+
+/**
+ * Show how many codes the CPT/HCPCS filter matches, or which terms it could not read,
+ * before it is applied
+ */
+function updateProcedureFilterPreview() {
+    const preview = DOM.procedureFilterPreview;
+    const parsed = parseCptFilter(getProcedureFilterValue());
+    preview.classList.remove('invalid');
+
+    if (!parsed || !AppState.hospitalData) {
+        preview.textContent = '';
+        return;
+    }
+
+    if (parsed.invalid.length > 0) {
+        preview.textContent = `Not understood: ${parsed.invalid.join(', ')}`;
+        preview.classList.add('invalid');
+        return;
+    }
 
-    renderProcedureDropdown(filtered);
+    const matched = AppState.hospitalData.procedure_codes.filter(createCptCodeFilter(parsed)).length;
+    preview.textContent = matched === 0
+        ? 'No codes match'
+        : matched === 1 ? '1 code matches' : `${matched.toLocaleString()} codes match`;
 }
 
 /**
@@ -672,9 +1028,14 @@ function renderProcedureDropdown(procedures) {
         empty.textContent = 'No procedures found';
         fragment.appendChild(empty);
     } else {
+        const listed = new Set(splitProcedureFilter(DOM.procedureFilter.value).entries.map(entry => entry.toUpperCase()));
+
         procedures.forEach(code => {
             const item = document.createElement('div');
             item.className = 'dropdown-item';
+            if (listed.has(code.toUpperCase())) {
+                item.classList.add('selected');
+            }
 
             const codeDiv = document.createElement('div');
             codeDiv.className = 'procedure-code';
@@ -687,10 +1048,9 @@ function renderProcedureDropdown(procedures) {
             item.appendChild(codeDiv);
             item.appendChild(nameDiv);
 
-            item.addEventListener('click', () => {
-                DOM.procedureFilter.value = code;
-                DOM.procedureDropdown.classList.add('hidden');
-            });
+            // Keep focus in the filter input while picking codes
+            item.addEventListener('mousedown', (e) => e.preventDefault());
+            item.addEventListener('click', () => toggleProcedureCode(code));
 
             fragment.appendChild(item);
         });
@@ -700,53 +1060,20 @@ function renderProcedureDropdown(procedures) {
     DOM.procedureList.appendChild(fragment);
 }
 
-/**
- * Parse CPT/HCPCS filter input - supports ranges (80053-80075) and multiple codes (99281, 99291)
- */
-function parseCptFilter(input) {
-    if (!input || input.trim() === '') return null;
-
-    const parts = input.split(',').map(p => p.trim()).filter(p => p);
-    const codes = new Set();
-
-    parts.forEach(part => {
-        // Check for range (e.g., 80053-80075)
-        if (part.includes('-')) {
-            const [start, end] = part.split('-').map(s => s.trim());
-            if (start && end) {
-                // Extract numeric part
-                const startNum = parseInt(start.match(/\d+/)?.[0] || '0');
-                const endNum = parseInt(end.match(/\d+/)?.[0] || '0');
-
-                if (startNum && endNum && startNum <= endNum) {
-                    // Generate all codes in range
-                    for (let i = startNum; i <= endNum; i++) {
-                        codes.add(i.toString());
-                    }
-                }
-            }
-        } else {
-            // Single code
-            codes.add(part.toUpperCase());
-        }
-    });
-
-    return codes.size > 0 ? codes : null;
-}
-
 /**
  * Apply procedure filters
  */
 function applyProcedureFilters() {
     AppState.procedureFilters.serviceCategory = DOM.serviceCategoryFilter.value;
-    AppState.procedureFilters.cptCode = DOM.procedureFilter.value;
+    AppState.procedureFilters.cptCode = getProcedureFilterValue();
     AppState.procedureFilters.shoppableService = DOM.shoppableServiceFilter.value;
+    AppState.procedureFilters.basket = DOM.basketFilter.value;
 
     console.log('Applied procedure filters:', AppState.procedureFilters);
 
     // If there are selected hospitals, re-run the comparison
     if (AppState.selectedTargetHospitals.size > 0 ||
-        Object.values(AppState.filters.target).some(v => v !== '')) {
+        hasActiveFilters(AppState.filters.target)) {
         performComparison();
     }
 }
@@ -758,40 +1085,105 @@ function clearProcedureFilters() {
     DOM.serviceCategoryFilter.value = '';
     DOM.procedureFilter.value = '';
     DOM.shoppableServiceFilter.value = '';
+    DOM.basketFilter.value = '';
 
     AppState.procedureFilters.serviceCategory = '';
     AppState.procedureFilters.cptCode = '';
     AppState.procedureFilters.shoppableService = '';
+    AppState.procedureFilters.basket = '';
 
     DOM.procedureDropdown.classList.add('hidden');
+    updateProcedureFilterPreview();
 
     console.log('Cleared all procedure filters');
 }
 
+/**
+ * Relabel price columns for the selected price measure
+ */
+function updateMetricLabels() {
+    const { label, totalLabel } = METRICS[AppState.metric];
+
+    document.querySelectorAll('[data-metric-label]').forEach(th => {
+        th.childNodes[0].nodeValue = `${th.dataset.metricLabel} ${label}`;
+    });
+
+    document.querySelectorAll('[data-metric-total]').forEach(th => {
+        th.childNodes[0].nodeValue = `${th.dataset.metricTotal} ${totalLabel}`;
+    });
+}
+
 /**
  * Perform price comparison
  */
 function getFilteredHospitals(type) {
+    return AppState.hospitalsArray.filter(createHospitalFilter(type));
+}
+
+/**
+ * Predicate for hospitals that pass a filter set's advanced filters
+ * The peer distance filter keeps hospitals within radiusMiles of any target hospital, and
+ * excluded peers (see getExcludedPeerProvnums) never pass the peer filters
+ */
+function createHospitalFilter(type) {
     const filters = AppState.filters[type];
-    return AppState.hospitalsArray.filter(h => {
-        if (filters.state && h.state !== filters.state) return false;
+    const region = filters.region ? resolveRegion(filters.region) : null;
+    const inRegion = region ? createRegionFilter(region) : null;
+    const radiusMiles = parseFloat(filters.radiusMiles);
+    const radiusCenters = radiusMiles > 0 ? getTargetHospitalsForPeerFilters().filter(hasCoordinates) : null;
+    const choiceLists = Object.entries(CHOICE_FILTERS).map(([key, { field }]) => ({
+        field,
+        include: filters[key].length > 0 ? new Set(filters[key]) : null,
+        exclude: new Set(filters[`${key}Exclude`])
+    }));
+    const excludedProvnums = type === 'compare' ? getExcludedPeerProvnums() : new Set();
+
+    return h => {
+        if (excludedProvnums.has(h.provnum)) return false;
+        for (const { field, include, exclude } of choiceLists) {
+            if (include && !include.has(h[field])) return false;
+            if (exclude.has(h[field])) return false;
+        }
+        if (inRegion && !inRegion(h)) return false;
         if (filters.city && !h.city.toLowerCase().includes(filters.city.toLowerCase())) return false;
         if (filters.zip && h.zip_code !== filters.zip) return false;
-        if (filters.hospitalType && h.hospital_type !== filters.hospitalType) return false;
-        if (filters.ownership && h.ownership !== filters.ownership) return false;
         if (filters.bedsMin && h.beds_total < parseInt(filters.bedsMin)) return false;
         if (filters.bedsMax && h.beds_total > parseInt(filters.bedsMax)) return false;
+        if (radiusCenters) {
+            const distance = distanceToNearest(h, radiusCenters);
+            if (distance === null || distance > radiusMiles) return false;
+        }
         return true;
-    });
+    };
+}
+
+/**
+ * Target hospitals the peer distance and health system filters refer to - selected, or else
+ * matching the target filters
+ */
+function getTargetHospitalsForPeerFilters() {
+    if (AppState.selectedTargetHospitals.size > 0) {
+        return Array.from(AppState.selectedTargetHospitals)
+            .map(provnum => AppState.hospitalData.hospitals[provnum])
+            .filter(Boolean);
+    }
+    return hasActiveFilters(AppState.filters.target) ? getFilteredHospitals('target') : [];
 }
 
 function getFilterDescription(filters, hospitalCount) {
     const parts = [];
-    if (filters.state) parts.push(`State: ${filters.state}`);
+    if (filters.state.length > 0) parts.push(`State: ${filters.state.join(', ')}`);
+    if (filters.region) {
+        const region = resolveRegion(filters.region);
+        if (region) parts.push(`Region: ${region.name}`);
+    }
     if (filters.city) parts.push(`City: ${filters.city}`);
     if (filters.zip) parts.push(`Zip: ${filters.zip}`);
-    if (filters.hospitalType) parts.push(filters.hospitalType);
-    if (filters.ownership) parts.push(filters.ownership);
+    if (filters.hospitalType.length > 0) parts.push(filters.hospitalType.join(' or '));
+    if (filters.ownership.length > 0) parts.push(filters.ownership.join(' or '));
+    if (filters.healthSystem.length > 0) parts.push(`System: ${filters.healthSystem.join(', ')}`);
+    const excluded = Object.keys(CHOICE_FILTERS).flatMap(key => filters[`${key}Exclude`]);
+    if (excluded.length > 0) parts.push(`Excluding ${excluded.join(', ')}`);
     if (filters.bedsMin || filters.bedsMax) {
         const range = filters.bedsMin && filters.bedsMax
             ? `${filters.bedsMin}-${filters.bedsMax} beds`
@@ -800,6 +1192,12 @@ function getFilterDescription(filters, hospitalCount) {
                 : `≤${filters.bedsMax} beds`;
         parts.push(range);
     }
+    if (filters.radiusMiles) parts.push(`Within ${filters.radiusMiles} mi of target`);
+    if (filters.excludeProvnums && filters.excludeProvnums.length > 0) {
+        const count = filters.excludeProvnums.length;
+        parts.push(`Excluding ${count} listed ${count === 1 ? 'hospital' : 'hospitals'}`);
+    }
+    if (filters.excludeTargetSystem) parts.push("Excluding target's system");
 
     if (parts.length === 0) {
         return `${hospitalCount} ${hospitalCount === 1 ? 'Hospital' : 'Hospitals'}`;
@@ -808,10 +1206,16 @@ function getFilterDescription(filters, hospitalCount) {
     return `${parts.join(' • ')} (${hospitalCount} ${hospitalCount === 1 ? 'Hospital' : 'Hospitals'})`;
 }
 
+// Most targets shown side by side - each adds a table column and a row of cards
+const MAX_SIDE_BY_SIDE_TARGETS = 10;
+
+// Sort column prefix of the side-by-side target columns, followed by the provider number
+const TARGET_COLUMN_PREFIX = 'target:';
+
 async function performComparison() {
     // Check if user has either selected hospitals OR applied filters for target
     const targetHasSelection = AppState.selectedTargetHospitals.size > 0;
-    const targetHasFilters = Object.values(AppState.filters.target).some(v => v !== '');
+    const targetHasFilters = hasActiveFilters(AppState.filters.target);
 
     if (!targetHasSelection && !targetHasFilters) {
         alert('Please select at least one target hospital or apply filters');
@@ -837,14 +1241,20 @@ async function performComparison() {
 
     // Get comparison hospitals - either selected, filtered, or national average
     const compareHasSelection = AppState.selectedCompareHospitals.size > 0;
-    const compareHasFilters = Object.values(AppState.filters.compare).some(v => v !== '');
+    const compareHasFilters = hasActiveFilters(AppState.filters.compare);
 
     let compareProvnums;
     let compareDescription;
     let useNationalAverage = false;
 
     if (compareHasSelection) {
-        compareProvnums = Array.from(AppState.selectedCompareHospitals);
+        // Exclusions apply to selected peers too, e.g. ones added before they went on the list
+        const excluded = getExcludedPeerProvnums();
+        compareProvnums = Array.from(AppState.selectedCompareHospitals).filter(provnum => !excluded.has(provnum));
+        if (compareProvnums.length === 0) {
+            alert("Every selected comparison hospital is excluded (exclusion list or target's health system)");
+            return;
+        }
         compareDescription = null; // Will use default hospital names
     } else if (compareHasFilters) {
         // Use all hospitals matching the comparison filters
@@ -862,255 +1272,130 @@ async function performComparison() {
         compareDescription = 'National Average';
     }
 
-    showLoadingState();
+    if (AppState.indexMix === 'basket' && !AppState.procedureFilters.basket) {
+        alert('Select and apply a procedure basket to weight by basket');
+        return;
+    }
 
-    setTimeout(() => {
-        try {
-            const results = calculateComparison(
-                targetProvnums,
-                compareProvnums,
-                AppState.procedureFilters,
-                useNationalAverage,
-                targetDescription,
-                compareDescription
-            );
-
-            displayResults(results);
-        } catch (error) {
-            console.error('Error performing comparison:', error);
-            console.error('Error stack:', error.stack);
-            alert(`An error occurred during comparison: ${error.message}\n\nPlease check the console for details.`);
-            hideLoadingState();
-        }
-    }, 100);
-}
-
-/**
- * Apply outlier logic filters to hospitals for a specific procedure code
- * Returns filtered hospitals that pass all outlier criteria
- */
-function applyOutlierFilters(hospitals, code, outlierSettings) {
-    if (!outlierSettings.enabled) {
-        return hospitals; // No filtering if outlier logic is disabled
-    }
-
-    // Step 1: Filter by minimum volume
-    let filteredHospitals = hospitals.filter(hospital => {
-        const proc = hospital.procedures[code];
-        return proc && proc.volume >= outlierSettings.minVolume;
-    });
-
-    // Step 2: Check minimum hospitals requirement
-    if (filteredHospitals.length < outlierSettings.minHospitals) {
-        return []; // Not enough hospitals, exclude this procedure entirely
-    }
-
-    // Step 3: Apply standard deviation filter
-    // Calculate mean and standard deviation of charges
-    const charges = filteredHospitals
-        .map(hospital => hospital.procedures[code].avg_charge)
-        .filter(charge => charge != null && charge > 0);
-
-    if (charges.length === 0) {
-        return [];
-    }
-
-    // Calculate mean
-    const mean = charges.reduce((sum, charge) => sum + charge, 0) / charges.length;
-
-    // Calculate standard deviation
-    const squaredDiffs = charges.map(charge => Math.pow(charge - mean, 2));
-    const variance = squaredDiffs.reduce((sum, diff) => sum + diff, 0) / charges.length;
-    const stdDev = Math.sqrt(variance);
-
-    // Filter hospitals outside the acceptable range
-    const lowerBound = mean - (outlierSettings.stdDev * stdDev);
-    const upperBound = mean + (outlierSettings.stdDev * stdDev);
-
-    filteredHospitals = filteredHospitals.filter(hospital => {
-        const proc = hospital.procedures[code];
-        if (!proc || proc.avg_charge == null) return false;
-        return proc.avg_charge >= lowerBound && proc.avg_charge <= upperBound;
-    });
-
-    return filteredHospitals;
-}
-
-/**
- * Calculate price comparison
- */
-function calculateComparison(targetProvnums, compareProvnums, procedureFilters, useNationalAverage, targetDescription, compareDescription) {
-    const targetHospitals = targetProvnums.map(pn => AppState.hospitalData.hospitals[pn]).filter(h => h != null);
-    const compareHospitals = compareProvnums.map(pn => AppState.hospitalData.hospitals[pn]).filter(h => h != null);
-
-    // Get all procedures from target hospitals
-    const allProcedureCodes = new Set();
-    targetHospitals.forEach(hospital => {
-        if (hospital.procedures) {
-            Object.keys(hospital.procedures).forEach(code => allProcedureCodes.add(code));
-        }
-    });
-
-    // Apply procedure filters if specified
-    let proceduresToCompare = Array.from(allProcedureCodes);
-
-    if (proceduresToCompare.length === 0) {
-        throw new Error('No procedures found in target hospitals. Please select different hospitals.');
+    const sideBySide = AppState.sideBySide && targetProvnums.length > 1;
+    if (sideBySide && targetProvnums.length > MAX_SIDE_BY_SIDE_TARGETS) {
+        alert(`Up to ${MAX_SIDE_BY_SIDE_TARGETS} targets can be shown side by side - select fewer targets or turn side by side off`);
+        return;
     }
 
-    // Filter by CPT/HCPCS code - supports ranges and multiple codes
-    if (procedureFilters.cptCode) {
-        const parsedCodes = parseCptFilter(procedureFilters.cptCode);
-        if (parsedCodes) {
-            proceduresToCompare = proceduresToCompare.filter(code => {
-                // Check exact match or partial match
-                return parsedCodes.has(code) ||
-                       Array.from(parsedCodes).some(filterCode =>
-                           code.toUpperCase().includes(filterCode)
-                       );
-            });
-        }
-    }
+    // Configuration as run, for the shareable URL
+    const analysisConfig = captureAnalysisConfig();
 
-    // Filter by service category
-    if (procedureFilters.serviceCategory) {
-        proceduresToCompare = proceduresToCompare.filter(code => {
-            const category = AppState.hospitalData.service_category_map[code];
-            return category === procedureFilters.serviceCategory;
-        });
-    }
+    // A new run supersedes any comparison still in progress
+    cancelActiveComparison();
+    showLoadingState();
 
-    // Filter by shoppable service
-    if (procedureFilters.shoppableService) {
-        proceduresToCompare = proceduresToCompare.filter(code => {
-            const shoppable = AppState.hospitalData.shoppable_map[code];
-            if (procedureFilters.shoppableService === 'yes') {
-                return shoppable === 'Y';
-            } else if (procedureFilters.shoppableService === 'no') {
-                return shoppable === 'N';
-            }
-            return true;
-        });
-    }
+    const comparison = { requestIds: [] };
+    AppState.activeComparison = comparison;
 
-    // Calculate comparison metrics
-    const procedureComparisons = [];
-    let targetTotalRevenue = 0;
-    let compareTotalRevenue = 0;
-    let targetTotalVolume = 0;
-
-    proceduresToCompare.forEach(code => {
-        // Calculate target averages
-        let targetAvgCharge = 0;
-        let targetTotalVol = 0;
-        let targetCount = 0;
-
-        targetHospitals.forEach(hospital => {
-            const proc = hospital.procedures[code];
-            if (proc && proc.volume > 0) {
-                targetAvgCharge += proc.avg_charge;
-                targetTotalVol += proc.volume;
-                targetCount++;
+    try {
+        const compareRequest = workerRequest('compare', {
+            targetProvnums,
+            compareProvnums,
+            procedureFilters: { ...AppState.procedureFilters },
+            useNationalAverage,
+            targetDescription,
+            compareDescription,
+            metric: AppState.metric,
+            methodology: AppState.methodology,
+            indexMix: AppState.indexMix,
+            sideBySide,
+            outlierLogic: { ...AppState.outlierLogic },
+            compareFilters: { ...AppState.filters.compare },
+            basket: AppState.procedureFilters.basket ? resolveBasket(AppState.procedureFilters.basket) : null
+        }, updateLoadingProgress);
+        comparison.requestIds.push(compareRequest.id);
+        const results = await compareRequest.promise;
+
+        const positionSettings = {
+            metric: results.metric,
+            methodology: results.methodology,
+            outlierLogic: { ...AppState.outlierLogic },
+            localRadiusMiles: parseFloat(AppState.filters.compare.radiusMiles) || DEFAULT_LOCAL_MARKET_RADIUS_MILES,
+            region: AppState.regionalBenchmark ? resolveRegion(AppState.regionalBenchmark) : null
+        };
+        const positionRequest = workerRequest('market-position', {
+            ...positionSettings,
+            targetProvnums: results.targetProvnums
+        }, updateLoadingProgress);
+        comparison.requestIds.push(positionRequest.id);
+        results.marketPosition = await positionRequest.promise;
+
+        // Side by side, every target also gets its own market positions
+        if (results.sideBySide) {
+            for (const target of results.targetComparisons) {
+                const targetPositionRequest = workerRequest('market-position', {
+                    ...positionSettings,
+                    targetProvnums: [target.provnum]
+                }, updateLoadingProgress);
+                comparison.requestIds.push(targetPositionRequest.id);
+                target.marketPosition = await targetPositionRequest.promise;
             }
-        });
-
-        if (targetCount === 0) return;
-
-        targetAvgCharge = targetAvgCharge / targetCount;
+        }
 
-        // Calculate comparison averages
-        let compareAvgCharge, compareTotalVol, compareCount;
+        AppState.activeComparison = null;
 
-        if (useNationalAverage) {
-            // Use national average
-            const nationalAvg = AppState.nationalAverages[code];
-            if (!nationalAvg) return;
+        // Results reference hospitals by provider number - swap in directory entries for display
+        results.targetHospitals = results.targetProvnums.map(pn => AppState.hospitalData.hospitals[pn]);
+        results.compareHospitals = results.compareProvnums.map(pn => AppState.hospitalData.hospitals[pn]);
 
-            compareAvgCharge = nationalAvg.avgCharge;
-            compareTotalVol = nationalAvg.totalVolume;
-            compareCount = nationalAvg.hospitalCount;
-        } else {
-            // Use selected hospitals - calculate weighted average with outlier filtering
-            // Apply outlier logic filters if enabled
-            const filteredCompareHospitals = applyOutlierFilters(compareHospitals, code, AppState.outlierLogic);
-
-            // If outlier logic filtered out all hospitals or didn't meet min hospitals, skip this procedure
-            if (filteredCompareHospitals.length === 0) return;
-
-            let compareTotalCharges = 0;
-            compareTotalVol = 0;
-            compareCount = 0;
-
-            filteredCompareHospitals.forEach(hospital => {
-                const proc = hospital.procedures[code];
-                if (proc && proc.volume > 0) {
-                    compareTotalCharges += proc.avg_charge * proc.volume;  // Total charges
-                    compareTotalVol += proc.volume;
-                    compareCount++;
-                }
-            });
+        // Configuration and time of this run, for the URL and saved analyses
+        results.analysisConfig = analysisConfig;
+        results.runAt = new Date().toISOString();
 
-            if (compareCount === 0) return;
+        // Sort by current sort settings
+        sortProcedureComparisons(results.procedureComparisons);
 
-            // Weighted average: SUM(Peer Total Charges) / SUM(Peer Volume)
-            compareAvgCharge = compareTotalVol > 0 ? compareTotalCharges / compareTotalVol : 0;
+        displayResults(results);
+        updateUrlState(analysisConfig, 'push');
+        recordSavedAnalysisRun(results);
+    } catch (error) {
+        if (error.cancelled) {
+            console.log('Comparison cancelled');
+            return;
         }
 
-        // Calculate metrics
-        const difference = targetAvgCharge - compareAvgCharge;
-        const percentVariance = compareAvgCharge > 0
-            ? ((difference / compareAvgCharge) * 100)
-            : 0;
-
-        const targetRevenue = targetAvgCharge * targetTotalVol;
-        const compareRevenue = compareAvgCharge * targetTotalVol;
-
-        procedureComparisons.push({
-            code,
-            name: AppState.hospitalData.procedure_names[code] || 'Unknown Procedure',
-            targetAvgCharge,
-            targetVolume: targetTotalVol,
-            targetRevenue,
-            compareAvgCharge,
-            compareVolume: compareTotalVol,
-            compareRevenue,
-            hospitalsCount: compareCount,
-            difference,
-            percentVariance
-        });
-
-        targetTotalRevenue += targetRevenue;
-        compareTotalRevenue += compareRevenue;
-        targetTotalVolume += targetTotalVol;
-    });
+        AppState.activeComparison = null;
+        console.error('Error performing comparison:', error);
+        console.error('Error stack:', error.stack);
+        alert(`An error occurred during comparison: ${error.message}\n\nPlease check the console for details.`);
+        hideLoadingState();
+    }
+}
 
-    // Calculate overall metrics
-    const overallDifference = targetTotalRevenue - compareTotalRevenue;
-    const overallVariance = compareTotalRevenue > 0
-        ? ((overallDifference / compareTotalRevenue) * 100)
-        : 0;
+/**
+ * Cancel the comparison that is currently running, if any
+ */
+function cancelActiveComparison() {
+    const comparison = AppState.activeComparison;
+    if (!comparison) return;
 
-    // Sort by current sort settings
-    sortProcedureComparisons(procedureComparisons);
+    AppState.activeComparison = null;
+    comparison.requestIds.forEach(cancelWorkerRequest);
+    hideLoadingState();
+}
 
-    return {
-        targetHospitals,
-        compareHospitals,
-        useNationalAverage,
-        targetDescription,
-        compareDescription,
-        procedureComparisons,
-        overall: {
-            targetTotalRevenue,
-            compareTotalRevenue,
-            difference: overallDifference,
-            variance: overallVariance,
-            procedureCount: procedureComparisons.length,
-            targetVolume: targetTotalVolume
-        },
-        // Store comparison filters for state market position calculation
-        compareFilters: { ...AppState.filters.compare }
+/**
+ * Show comparison progress streamed back from the worker
+ */
+function updateLoadingProgress(progress) {
+    const labels = {
+        detail: 'Loading hospital detail files',
+        columns: 'Loading procedure column files',
+        procedures: 'Comparing procedures',
+        local: 'Calculating local market position',
+        regional: 'Calculating regional market position',
+        state: 'Calculating state market position',
+        national: 'Calculating national market position'
     };
+    const label = labels[progress.stage] || 'Calculating comparison';
+
+    DOM.loadingMessage.textContent = `${label}... ${progress.completed.toLocaleString()} of ${progress.total.toLocaleString()}`;
 }
 
 /**
@@ -1154,199 +1439,165 @@ function displayResults(results) {
     displayHospitalTable(results);
     displayCategoryTable(results);
     displayBreakdownTable(results);
+    renderHospitalMap(results);
 }
 
 /**
- * Calculate state market position
- * ALWAYS compares target hospitals against ALL hospitals in the same state(s)
- * This calculation is independent of peer selection and advanced filters
- * Uses ALL target procedures, not just those matching peer hospitals
+ * Metric card for the local market position
  */
-function calculateStateMarketPosition(results) {
-    // Get all unique states from target hospitals
-    const targetStates = new Set();
-    results.targetHospitals.forEach(hospital => {
-        if (hospital.state) {
-            targetStates.add(hospital.state);
-        }
-    });
-
-    if (targetStates.size === 0) {
-        console.log('[State Market Position] No target states found');
-        return 0;
-    }
-
-    // ALWAYS use ALL hospitals in the target state(s), regardless of peer selection or filters
-    const stateHospitals = AppState.hospitalsArray.filter(h =>
-        targetStates.has(h.state) && h.procedures
-    );
-
-    if (stateHospitals.length === 0) {
-        console.log('[State Market Position] No hospitals found in target states');
-        return 0;
-    }
-
-    console.log(`[State Market Position] Comparing against ${stateHospitals.length} hospitals in state(s): ${Array.from(targetStates).join(', ')}`);
-
-    // Get ALL procedures from target hospitals (not just those matching peers)
-    const allTargetProcedures = new Map(); // code -> {totalCharge, totalVolume}
-
-    results.targetHospitals.forEach(hospital => {
-        if (hospital.procedures) {
-            Object.entries(hospital.procedures).forEach(([code, procData]) => {
-                if (procData.volume > 0 && procData.avg_charge != null) {
-                    if (!allTargetProcedures.has(code)) {
-                        allTargetProcedures.set(code, {
-                            totalCharge: 0,
-                            totalVolume: 0
-                        });
-                    }
-                    const existing = allTargetProcedures.get(code);
-                    existing.totalCharge += procData.avg_charge * procData.volume;
-                    existing.totalVolume += procData.volume;
-                }
-            });
-        }
-    });
-
-    console.log(`[State Market Position] Using ${allTargetProcedures.size} procedures from target hospital(s)`);
-
-    // Calculate state average using volume-weighted methodology
-    let stateWeightedRevenue = 0;
-    let stateWeightedVolume = 0;
-    let targetWeightedRevenue = 0;
-    let targetWeightedVolume = 0;
-
-    allTargetProcedures.forEach((targetData, code) => {
-        // Apply outlier filtering to state hospitals for this procedure
-        const filteredStateHospitals = applyOutlierFilters(stateHospitals, code, AppState.outlierLogic);
-
-        // Calculate simple average of charges for this procedure across state hospitals
-        let totalCharge = 0;
-        let hospitalCount = 0;
-
-        filteredStateHospitals.forEach(hospital => {
-            const hospitalProc = hospital.procedures[code];
-            if (hospitalProc && hospitalProc.volume > 0 && hospitalProc.avg_charge != null) {
-                totalCharge += hospitalProc.avg_charge;
-                hospitalCount++;
-            }
-        });
-
-        if (hospitalCount > 0) {
-            const stateAvgForProc = totalCharge / hospitalCount;
-            const targetAvgForProc = targetData.totalCharge / targetData.totalVolume;
-
-            // Weight by target volume for this procedure
-            stateWeightedRevenue += stateAvgForProc * targetData.totalVolume;
-            stateWeightedVolume += targetData.totalVolume;
-            targetWeightedRevenue += targetAvgForProc * targetData.totalVolume;
-            targetWeightedVolume += targetData.totalVolume;
-        }
-    });
+function describeLocalMarketPosition(localMarket) {
+    const card = {
+        label: 'Local Market Position',
+        tooltip: `Target hospital pricing compared to all other hospitals near the target(s) - within the peer distance filter when set, otherwise ${DEFAULT_LOCAL_MARKET_RADIUS_MILES} miles. Distances are between zip code centroids.`
+    };
 
-    if (stateWeightedVolume === 0 || targetWeightedVolume === 0) {
-        console.log('[State Market Position] Insufficient volume data');
-        return 0;
+    if (!localMarket) {
+        return { ...card, value: 'N/A', subvalue: 'Hospital locations unavailable', isPosition: false };
     }
-
-    const stateAvgCharge = stateWeightedRevenue / stateWeightedVolume;
-    const targetAvgCharge = targetWeightedRevenue / targetWeightedVolume;
-
-    if (stateAvgCharge === 0) {
-        console.log('[State Market Position] State average charge is 0');
-        return 0;
+    if (localMarket.variance === null) {
+        return { ...card, value: 'N/A', subvalue: `No hospitals within ${localMarket.radiusMiles} mi`, isPosition: false };
     }
 
-    // Calculate variance: (target - state) / state * 100
-    const variance = ((targetAvgCharge - stateAvgCharge) / stateAvgCharge) * 100;
-
-    console.log(`[State Market Position] Target avg: $${targetAvgCharge.toFixed(2)}, State avg: $${stateAvgCharge.toFixed(2)}, Variance: ${variance.toFixed(2)}%`);
-
-    return variance;
+    const { variance, hospitalCount, radiusMiles } = localMarket;
+    return {
+        ...card,
+        value: `${Math.abs(variance).toFixed(1)}%`,
+        subvalue: `${variance < 0 ? 'Below' : 'Above'} ${hospitalCount} hospital${hospitalCount !== 1 ? 's' : ''} within ${radiusMiles} mi`,
+        isPosition: true,
+        positionValue: variance,
+        showTriangle: true
+    };
 }
 
 /**
- * Calculate national market position
- * ALWAYS compares target hospitals against ALL hospitals nationally
- * This calculation is independent of peer selection and advanced filters
- * Uses ALL target procedures, not just those matching peer hospitals
- * Uses pre-calculated national averages for efficiency
+ * Regional Market Position card for the benchmark region
  */
-function calculateNationalMarketPosition(results) {
-    // ALWAYS use ALL hospitals nationally, regardless of peer selection or filters
-    const nationalHospitals = AppState.hospitalsArray.filter(h => h.procedures);
+function describeRegionalMarketPosition(regionalMarket) {
+    const { variance, hospitalCount, name } = regionalMarket;
+    const card = {
+        label: 'Regional Market Position',
+        tooltip: `Target hospital pricing compared to ALL hospitals in ${name}, the selected regional benchmark. Only changes when you change target hospital selection or the benchmark.`
+    };
 
-    if (nationalHospitals.length === 0) {
-        console.log('[National Market Position] No hospitals with procedures found');
-        return 0;
+    if (variance === null) {
+        const reason = hospitalCount === 0 ? 'No hospitals in' : 'No matching prices in';
+        return { ...card, value: 'N/A', subvalue: `${reason} ${escapeHtml(name)}`, isPosition: false };
     }
 
-    console.log(`[National Market Position] Comparing against ${nationalHospitals.length} hospitals nationally`);
-
-    // Get ALL procedures from target hospitals (not just those matching peers)
-    const allTargetProcedures = new Map(); // code -> {totalCharge, totalVolume}
+    return {
+        ...card,
+        value: `${Math.abs(variance).toFixed(1)}%`,
+        subvalue: `${variance < 0 ? 'Below' : 'Above'} ${escapeHtml(name)} average`,
+        isPosition: true,
+        positionValue: variance,
+        showTriangle: true
+    };
+}
 
-    results.targetHospitals.forEach(hospital => {
-        if (hospital.procedures) {
-            Object.entries(hospital.procedures).forEach(([code, procData]) => {
-                if (procData.volume > 0 && procData.avg_charge != null) {
-                    if (!allTargetProcedures.has(code)) {
-                        allTargetProcedures.set(code, {
-                            totalCharge: 0,
-                            totalVolume: 0
-                        });
-                    }
-                    const existing = allTargetProcedures.get(code);
-                    existing.totalCharge += procData.avg_charge * procData.volume;
-                    existing.totalVolume += procData.volume;
-                }
-            });
-        }
-    });
+/**
+ * Basket Price Index card - the target's price for the active basket with peers at 100
+ */
+function describeBasketIndex(basket) {
+    const card = {
+        label: 'Basket Price Index',
+        tooltip: `Target pricing for the "${basket.name}" procedure basket with the peers at 100, weighted by ${BASKET_WEIGHTINGS[basket.weighting].label.toLowerCase()} instead of the target's volumes. Basket codes the target or peers do not price are left out.`
+    };
 
-    console.log(`[National Market Position] Using ${allTargetProcedures.size} procedures from target hospital(s)`);
+    if (basket.index === null) {
+        return { ...card, value: 'N/A', subvalue: `No codes in ${escapeHtml(basket.name)} are priced`, isPosition: false };
+    }
 
-    // Calculate national average using volume-weighted methodology
-    let nationalWeightedRevenue = 0;
-    let nationalWeightedVolume = 0;
-    let targetWeightedRevenue = 0;
-    let targetWeightedVolume = 0;
+    return {
+        ...card,
+        value: basket.index.toFixed(1),
+        subvalue: `${escapeHtml(basket.name)} - ${basket.pricedCount} of ${basket.codeCount} codes priced, peers = 100`,
+        isPosition: true,
+        positionValue: basket.index - 100,
+        showTriangle: true
+    };
+}
 
-    allTargetProcedures.forEach((targetData, code) => {
-        // Use the pre-calculated national average (already accounts for outliers if enabled)
-        const nationalAvg = AppState.nationalAverages[code];
+/**
+ * Peer Group Market Position card - the overall variance, weighted by the index mix
+ */
+function describePeerGroupPosition(peerGroupPosition, indexMix) {
+    return {
+        label: 'Peer Group Market Position',
+        value: `${Math.abs(peerGroupPosition).toFixed(1)}%`,
+        subvalue: `${peerGroupPosition < 0 ? 'Below peer average' : 'Above peer average'}${indexMix.standardized ? ` - ${indexMix.label}` : ''}`,
+        isPosition: true,
+        positionValue: peerGroupPosition,
+        showTriangle: true,
+        tooltip: `Target hospital pricing compared to selected peer hospitals, weighted by ${indexMix.standardized ? `the ${indexMix.label.toLowerCase()} (standardized index)` : "the target's volumes"}. Changes when you modify peer selection or filters.`
+    };
+}
 
-        if (nationalAvg && nationalAvg.avgCharge > 0) {
-            const targetAvgForProc = targetData.totalCharge / targetData.totalVolume;
+/**
+ * Local, regional (when a benchmark is set), state and national market position cards
+ */
+function describeMarketPositions(marketPosition) {
+    const stateMarketPosition = marketPosition.state;  // ALWAYS vs all state hospitals
+    const nationalMarketPosition = marketPosition.national;  // ALWAYS vs all national hospitals
 
-            // Weight by target volume for this procedure
-            nationalWeightedRevenue += nationalAvg.avgCharge * targetData.totalVolume;
-            nationalWeightedVolume += targetData.totalVolume;
-            targetWeightedRevenue += targetAvgForProc * targetData.totalVolume;
-            targetWeightedVolume += targetData.totalVolume;
+    return [
+        describeLocalMarketPosition(marketPosition.local),
+        ...(marketPosition.regional ? [describeRegionalMarketPosition(marketPosition.regional)] : []),
+        {
+            label: 'State Market Position',
+            value: `${Math.abs(stateMarketPosition).toFixed(1)}%`,
+            subvalue: stateMarketPosition < 0 ? 'Below state average' : 'Above state average',
+            isPosition: true,
+            positionValue: stateMarketPosition,
+            showTriangle: true,
+            tooltip: 'Target hospital pricing compared to ALL hospitals in the same state(s). Only changes when you change target hospital selection.'
+        },
+        {
+            label: 'National Market Position',
+            value: `${Math.abs(nationalMarketPosition).toFixed(1)}%`,
+            subvalue: nationalMarketPosition < 0 ? 'Below national average' : 'Above national average',
+            isPosition: true,
+            positionValue: nationalMarketPosition,
+            showTriangle: true,
+            tooltip: 'Target hospital pricing compared to ALL hospitals nationally (41,000+ hospitals). Only changes when you change target hospital selection.'
         }
-    });
+    ];
+}
 
-    if (nationalWeightedVolume === 0 || targetWeightedVolume === 0) {
-        console.log('[National Market Position] Insufficient volume data');
-        return 0;
+/**
+ * Build a metric card element
+ */
+function renderMetricCard(metric) {
+    const card = document.createElement('div');
+    card.className = 'metric-card';
+
+    // Add tooltip if available
+    if (metric.tooltip) {
+        card.title = metric.tooltip;
+        card.style.cursor = 'help';
     }
 
-    const nationalAvgCharge = nationalWeightedRevenue / nationalWeightedVolume;
-    const targetAvgCharge = targetWeightedRevenue / targetWeightedVolume;
-
-    if (nationalAvgCharge === 0) {
-        console.log('[National Market Position] National average charge is 0');
-        return 0;
+    // Add color coding for market position cards
+    if (metric.isPosition) {
+        const colorClass = metric.positionValue < 0 ? 'position-favorable' : 'position-unfavorable';
+        card.classList.add(colorClass);
     }
 
-    // Calculate variance: (target - national) / national * 100
-    const variance = ((targetAvgCharge - nationalAvgCharge) / nationalAvgCharge) * 100;
+    // Add triangle indicator for position cards
+    let valueContent = metric.value;
+    if (metric.showTriangle) {
+        const triangle = metric.positionValue < 0
+            ? '<span class="triangle-down">▼</span>'
+            : '<span class="triangle-up">▲</span>';
+        valueContent = `${metric.value} ${triangle}`;
+    }
 
-    console.log(`[National Market Position] Target avg: $${targetAvgCharge.toFixed(2)}, National avg: $${nationalAvgCharge.toFixed(2)}, Variance: ${variance.toFixed(2)}%`);
+    card.innerHTML = `
+        <div class="metric-label">${metric.label}</div>
+        <div class="metric-value">${valueContent}</div>
+        <div class="metric-subvalue">${metric.subvalue}</div>
+    `;
 
-    return variance;
+    return card;
 }
 
 /**
@@ -1362,14 +1613,23 @@ function displayOverallMetrics(results) {
         return;
     }
 
-    // Calculate market positions
+    // Market positions (state and national are calculated by the worker)
     const peerGroupPosition = results.overall.variance; // % above/below selected peer group
-    const stateMarketPosition = calculateStateMarketPosition(results);  // ALWAYS vs all state hospitals
-    const nationalMarketPosition = calculateNationalMarketPosition(results);  // ALWAYS vs all national hospitals
+    const localMarket = results.marketPosition.local;  // vs hospitals near the targets, null without coordinates
+    const regionalMarket = results.marketPosition.regional;  // vs the benchmark region, null when none is set
+    const stateMarketPosition = results.marketPosition.state;  // ALWAYS vs all state hospitals
+    const nationalMarketPosition = results.marketPosition.national;  // ALWAYS vs all national hospitals
+    const indexMix = INDEX_MIXES[results.indexMix];
 
     // Comprehensive logging for market positions
     console.log('=== MARKET POSITION SUMMARY ===');
     console.log('Peer Group Position:', peerGroupPosition.toFixed(2) + '% (compared to selected peer group)');
+    if (localMarket && localMarket.variance !== null) {
+        console.log('Local Market Position:', localMarket.variance.toFixed(2) + `% (compared to ${localMarket.hospitalCount} hospitals within ${localMarket.radiusMiles} miles)`);
+    }
+    if (regionalMarket && regionalMarket.variance !== null) {
+        console.log('Regional Market Position:', regionalMarket.variance.toFixed(2) + `% (compared to ${regionalMarket.hospitalCount} hospitals in ${regionalMarket.name})`);
+    }
     console.log('State Market Position:', stateMarketPosition.toFixed(2) + '% (compared to ALL hospitals in target state(s))');
     console.log('National Market Position:', nationalMarketPosition.toFixed(2) + '% (compared to ALL hospitals nationally)');
     console.log('Target Hospitals:', results.targetHospitals.map(h => h.name).join(', '));
@@ -1380,72 +1640,29 @@ function displayOverallMetrics(results) {
         {
             label: 'Procedures Compared',
             value: results.overall.procedureCount.toLocaleString(),
-            subvalue: `${results.overall.targetVolume.toLocaleString()} total cases`,
+            subvalue: `${results.overall.targetVolume.toLocaleString()} total cases - ${METHODOLOGIES[results.methodology].label}`,
             isPosition: false,
-            tooltip: 'Number of procedures with matching data between target and peer hospitals'
-        },
-        {
-            label: 'Peer Group Market Position',
-            value: `${Math.abs(peerGroupPosition).toFixed(1)}%`,
-            subvalue: peerGroupPosition < 0 ? 'Below peer average' : 'Above peer average',
-            isPosition: true,
-            positionValue: peerGroupPosition,
-            showTriangle: true,
-            tooltip: 'Target hospital pricing compared to selected peer hospitals. Changes when you modify peer selection or filters.'
-        },
-        {
-            label: 'State Market Position',
-            value: `${Math.abs(stateMarketPosition).toFixed(1)}%`,
-            subvalue: stateMarketPosition < 0 ? 'Below state average' : 'Above state average',
-            isPosition: true,
-            positionValue: stateMarketPosition,
-            showTriangle: true,
-            tooltip: 'Target hospital pricing compared to ALL hospitals in the same state(s). Only changes when you change target hospital selection.'
+            tooltip: 'Number of procedures with matching data between target and peer hospitals. Prices are averaged with the selected methodology.'
         },
-        {
-            label: 'National Market Position',
-            value: `${Math.abs(nationalMarketPosition).toFixed(1)}%`,
-            subvalue: nationalMarketPosition < 0 ? 'Below national average' : 'Above national average',
-            isPosition: true,
-            positionValue: nationalMarketPosition,
-            showTriangle: true,
-            tooltip: 'Target hospital pricing compared to ALL hospitals nationally (41,000+ hospitals). Only changes when you change target hospital selection.'
-        }
+        describePeerGroupPosition(peerGroupPosition, indexMix),
+        ...(results.basket ? [describeBasketIndex(results.basket)] : []),
+        ...describeMarketPositions(results.marketPosition)
     ];
 
-    metrics.forEach(metric => {
-        const card = document.createElement('div');
-        card.className = 'metric-card';
-
-        // Add tooltip if available
-        if (metric.tooltip) {
-            card.title = metric.tooltip;
-            card.style.cursor = 'help';
-        }
-
-        // Add color coding for market position cards
-        if (metric.isPosition) {
-            const colorClass = metric.positionValue < 0 ? 'position-favorable' : 'position-unfavorable';
-            card.classList.add(colorClass);
-        }
-
-        // Add triangle indicator for position cards
-        let valueContent = metric.value;
-        if (metric.showTriangle) {
-            const triangle = metric.positionValue < 0
-                ? '<span class="triangle-down">▼</span>'
-                : '<span class="triangle-up">▲</span>';
-            valueContent = `${metric.value} ${triangle}`;
-        }
+    metrics.forEach(metric => metricsContainer.appendChild(renderMetricCard(metric)));
 
-        card.innerHTML = `
-            <div class="metric-label">${metric.label}</div>
-            <div class="metric-value">${valueContent}</div>
-            <div class="metric-subvalue">${metric.subvalue}</div>
-        `;
+    // Side by side, a labelled row of market position cards per target follows the combined cards
+    if (results.sideBySide) {
+        results.targetComparisons.forEach(target => {
+            const rowLabel = document.createElement('div');
+            rowLabel.className = 'metrics-row-label';
+            rowLabel.textContent = `${target.hospitalName} - ${target.procedureCount.toLocaleString()} procedures, ${target.targetVolume.toLocaleString()} cases`;
+            metricsContainer.appendChild(rowLabel);
 
-        metricsContainer.appendChild(card);
-    });
+            [describePeerGroupPosition(target.variance, indexMix), ...describeMarketPositions(target.marketPosition)]
+                .forEach(metric => metricsContainer.appendChild(renderMetricCard(metric)));
+        });
+    }
 }
 
 /**
@@ -1454,6 +1671,7 @@ function displayOverallMetrics(results) {
 function displayProcedureTable(results) {
     const tableBody = document.querySelector('#procedure-table tbody');
     tableBody.innerHTML = '';
+    renderTargetColumnHeaders(DOM.procedureTable, results, AppState.currentSort.column, AppState.currentSort.direction);
 
     const fragment = document.createDocumentFragment();
 
@@ -1476,8 +1694,18 @@ function displayProcedureTable(results) {
             <td class="number-cell">$${proc.compareRevenue.toLocaleString('en-US', {maximumFractionDigits: 0})}</td>
             <td class="number-cell">${proc.difference >= 0 ? '+' : ''}$${proc.difference.toFixed(2)}</td>
             <td class="number-cell"><span class="${varianceClass}">${proc.percentVariance >= 0 ? '+' : ''}${proc.percentVariance.toFixed(1)}%</span></td>
+            ${renderTargetVarianceCells(results, proc.targets)}
+            <td class="number-cell percentile-cell">${formatPercentile(proc.peerPercentile)}</td>
+            <td class="number-cell percentile-cell">${formatPercentile(proc.statePercentile)}</td>
+            <td class="number-cell percentile-cell">${formatPercentile(proc.nationalPercentile)}</td>
+            ${renderRatioCells(proc)}
         `;
 
+        // Rows open the price distribution drill-down
+        row.classList.add('clickable-row');
+        row.title = 'Show price distribution';
+        row.addEventListener('click', () => openDistributionPanel(proc.code));
+
         // Store data for sorting
         row.dataset.code = proc.code;
         row.dataset.name = proc.name;
@@ -1506,109 +1734,22 @@ function displayHospitalTable(results, sortColumn = 'percentVariance', sortDirec
 
     tableBody.innerHTML = '';
 
-    // Calculate hospital-level comparisons
-    const hospitalComparisons = [];
-
-    // Get all procedure codes that exist in the comparison (1-to-1 matches only)
-    const allProcedureCodes = new Set();
-    results.procedureComparisons.forEach(proc => {
-        allProcedureCodes.add(proc.code);
-    });
-
-    // If using national average, show TARGET hospitals compared to national avg
-    // Otherwise show PEER hospitals
-    const hospitalsToShow = results.useNationalAverage ? results.targetHospitals : results.compareHospitals;
-
-    // Process each hospital
-    hospitalsToShow.forEach(hospital => {
-        // Calculate metrics for this hospital using CPT/HCPCS aggregation approach
-        let hospitalTotalRevenue = 0;
-        let compareTotalRevenue = 0;
-        let hospitalTotalVolume = 0;
-        let compareTotalVolume = 0;
-
-        // For each procedure code in the comparison
-        allProcedureCodes.forEach(code => {
-            const hospitalProc = hospital.procedures[code];
-            if (!hospitalProc || hospitalProc.volume === 0) return;
-
-            if (results.useNationalAverage) {
-                // Comparing target hospital to national average
-                const nationalAvg = AppState.nationalAverages[code];
-                if (!nationalAvg) return;
-
-                hospitalTotalVolume += hospitalProc.volume;
-                hospitalTotalRevenue += hospitalProc.avg_charge * hospitalProc.volume;
-                compareTotalRevenue += nationalAvg.avgCharge * hospitalProc.volume;
-                compareTotalVolume += hospitalProc.volume;
-            } else {
-                // Comparing peer hospital to target average
-                // Calculate target average for this CPT code
-                let targetAvgCharge = 0;
-                let targetCount = 0;
-                let targetVolumeForCode = 0;
-
-                results.targetHospitals.forEach(targetHospital => {
-                    const targetProc = targetHospital.procedures[code];
-                    if (targetProc && targetProc.volume > 0) {
-                        targetAvgCharge += targetProc.avg_charge;
-                        targetVolumeForCode += targetProc.volume;
-                        targetCount++;
-                    }
-                });
-
-                if (targetCount === 0) return;
-
-                // Average the target charges for this CPT code
-                targetAvgCharge = targetAvgCharge / targetCount;
-
-                // Use target volume for revenue calculation (apples-to-apples)
-                hospitalTotalVolume += targetVolumeForCode;
-                hospitalTotalRevenue += targetAvgCharge * targetVolumeForCode;
-                compareTotalVolume += hospitalProc.volume;
-                compareTotalRevenue += hospitalProc.avg_charge * targetVolumeForCode; // Use target volume!
-            }
-        });
+    // Standardized rows rank targets and peers together on the index column
+    const standardized = INDEX_MIXES[results.indexMix].standardized;
+    document.getElementById('hospital-table').classList.toggle('standardized', standardized);
+    const note = document.getElementById('standardized-index-note');
+    note.classList.toggle('hidden', !standardized);
+    if (standardized) {
+        note.textContent = `Standardized index: every target and peer hospital is priced on the ${INDEX_MIXES[results.indexMix].label.toLowerCase()} against the ${results.useNationalAverage ? 'national' : 'peer group'} average for each procedure it reports (= 100). Target columns are the hospital, peer columns that reference, and target volume is the mix weight.`;
+    }
 
-        if (hospitalTotalVolume === 0) return;
-
-        const hospitalAvgCharge = hospitalTotalRevenue / hospitalTotalVolume;
-        const compareAvgCharge = compareTotalRevenue / hospitalTotalVolume;
-
-        // Calculate variance
-        const difference = hospitalTotalRevenue - compareTotalRevenue;
-        const percentVariance = compareTotalRevenue > 0 ? ((difference / compareTotalRevenue) * 100) : 0;
-
-        hospitalComparisons.push({
-            provnum: hospital.provnum,
-            hospitalName: hospital.name,
-            targetVolume: hospitalTotalVolume,
-            peerVolume: compareTotalVolume,
-            targetAvgCharge: hospitalAvgCharge,
-            peerAvgCharge: compareAvgCharge,
-            targetRevenue: hospitalTotalRevenue,
-            peerRevenue: compareTotalRevenue,
-            percentVariance
-        });
-    });
+    // Hospital-level comparisons are calculated by the worker alongside the procedure comparisons
+    const hospitalComparisons = AppState.groupBySystem
+        ? calculateSystemComparisons(results.hospitalComparisons, AppState.hospitalData.hospitals)
+        : results.hospitalComparisons.slice();
 
     // Sort by specified column and direction
-    hospitalComparisons.sort((a, b) => {
-        let aVal = a[sortColumn];
-        let bVal = b[sortColumn];
-
-        // Handle string sorting
-        if (typeof aVal === 'string') {
-            aVal = aVal.toLowerCase();
-            bVal = bVal.toLowerCase();
-        }
-
-        if (sortDirection === 'asc') {
-            return aVal > bVal ? 1 : aVal < bVal ? -1 : 0;
-        } else {
-            return aVal < bVal ? 1 : aVal > bVal ? -1 : 0;
-        }
-    });
+    hospitalComparisons.sort((a, b) => compareSortValues(a[sortColumn], b[sortColumn], sortDirection));
 
     // Render table rows
     const fragment = document.createDocumentFragment();
@@ -1621,17 +1762,26 @@ function displayHospitalTable(results, sortColumn = 'percentVariance', sortDirec
                 : 'variance-neutral';
 
         row.innerHTML = `
-            <td class="code-cell">${hosp.provnum}</td>
-            <td>${hosp.hospitalName}</td>
-            <td class="number-cell">${hosp.targetVolume.toLocaleString()}</td>
+            <td class="code-cell">${hosp.provnum !== null ? escapeHtml(hosp.provnum) : `${hosp.hospitalCount} hospitals`}</td>
+            <td>${escapeHtml(hosp.hospitalName)}${hosp.isTarget ? ' <span class="hospital-role-tag">Target</span>' : ''}</td>
+            <td class="number-cell">${Math.round(hosp.targetVolume).toLocaleString()}</td>
             <td class="number-cell">${hosp.peerVolume.toLocaleString()}</td>
             <td class="number-cell">$${hosp.targetAvgCharge.toFixed(2)}</td>
             <td class="number-cell">$${hosp.peerAvgCharge.toFixed(2)}</td>
             <td class="number-cell">$${hosp.targetRevenue.toLocaleString('en-US', {maximumFractionDigits: 0})}</td>
             <td class="number-cell">$${hosp.peerRevenue.toLocaleString('en-US', {maximumFractionDigits: 0})}</td>
             <td class="number-cell"><span class="${varianceClass}">${hosp.percentVariance >= 0 ? '+' : ''}${hosp.percentVariance.toFixed(1)}%</span></td>
+            <td class="number-cell standardized-column">${hosp.standardizedIndex != null ? hosp.standardizedIndex.toFixed(1) : '-'}</td>
+            ${renderRatioCells(hosp)}
         `;
 
+        // Hospital rows open the hospital profile; system rollups have no single hospital
+        if (hosp.provnum !== null) {
+            row.classList.add('clickable-row');
+            row.title = 'Show hospital profile';
+            row.addEventListener('click', () => openHospitalProfile(hosp.provnum));
+        }
+
         fragment.appendChild(row);
     });
 
@@ -1646,6 +1796,7 @@ function displayCategoryTable(results, sortColumn = 'percentVariance', sortDirec
     if (!tableBody) return;
 
     tableBody.innerHTML = '';
+    renderTargetColumnHeaders(document.getElementById('category-table'), results, sortColumn, sortDirection);
 
     // Group procedures by service category (using same logic as CPT/HCPCS)
     const categoryData = {};
@@ -1660,7 +1811,11 @@ function displayCategoryTable(results, sortColumn = 'percentVariance', sortDirec
                 targetVolume: 0,
                 peerVolume: 0,
                 targetRevenue: 0,
-                peerRevenue: 0
+                peerRevenue: 0,
+                targetTotals: createDollarTotals(),
+                peerTotals: createDollarTotals(),
+                // Side by side: each target's revenue and peer revenue on its own volumes
+                targets: {}
             };
         }
 
@@ -1670,6 +1825,14 @@ function displayCategoryTable(results, sortColumn = 'percentVariance', sortDirec
         // Use the same revenue calculation as CPT table (peer avg * target volume)
         categoryData[category].targetRevenue += proc.targetRevenue;
         categoryData[category].peerRevenue += proc.compareRevenue;
+        addScaledDollarTotals(categoryData[category].targetTotals, proc.targetTotals, proc.targetTotals.volume);
+        addScaledDollarTotals(categoryData[category].peerTotals, proc.compareTotals, proc.compareTotals.volume);
+
+        Object.entries(proc.targets || {}).forEach(([provnum, figures]) => {
+            const totals = categoryData[category].targets[provnum] || (categoryData[category].targets[provnum] = { revenue: 0, peerRevenue: 0 });
+            totals.revenue += figures.avgCharge * figures.volume;
+            totals.peerRevenue += proc.compareAvgCharge * figures.volume;
+        });
     });
 
     // Convert to array and calculate metrics (same as CPT/HCPCS logic)
@@ -1678,6 +1841,14 @@ function displayCategoryTable(results, sortColumn = 'percentVariance', sortDirec
         const peerAvgCharge = cat.targetVolume > 0 ? cat.peerRevenue / cat.targetVolume : 0;
         const difference = cat.targetRevenue - cat.peerRevenue;
         const percentVariance = cat.peerRevenue > 0 ? ((difference / cat.peerRevenue) * 100) : 0;
+        const targetRatios = calculateRatios(cat.targetTotals);
+        const peerRatios = calculateRatios(cat.peerTotals);
+        const targets = {};
+        Object.entries(cat.targets).forEach(([provnum, totals]) => {
+            targets[provnum] = {
+                percentVariance: totals.peerRevenue > 0 ? ((totals.revenue - totals.peerRevenue) / totals.peerRevenue) * 100 : 0
+            };
+        });
 
         return {
             serviceCategory: cat.serviceCategory,
@@ -1688,27 +1859,19 @@ function displayCategoryTable(results, sortColumn = 'percentVariance', sortDirec
             peerAvgCharge,
             targetRevenue: cat.targetRevenue,
             peerRevenue: cat.peerRevenue,
-            percentVariance
+            percentVariance,
+            targets,
+            targetMarkup: targetRatios.markup,
+            compareMarkup: peerRatios.markup,
+            targetCollection: targetRatios.collection,
+            compareCollection: peerRatios.collection,
+            targetMargin: targetRatios.margin,
+            compareMargin: peerRatios.margin
         };
     });
 
     // Sort by specified column and direction
-    categoryComparisons.sort((a, b) => {
-        let aVal = a[sortColumn];
-        let bVal = b[sortColumn];
-
-        // Handle string sorting
-        if (typeof aVal === 'string') {
-            aVal = aVal.toLowerCase();
-            bVal = bVal.toLowerCase();
-        }
-
-        if (sortDirection === 'asc') {
-            return aVal > bVal ? 1 : aVal < bVal ? -1 : 0;
-        } else {
-            return aVal < bVal ? 1 : aVal > bVal ? -1 : 0;
-        }
-    });
+    categoryComparisons.sort((a, b) => compareSortValues(getSortValue(a, sortColumn), getSortValue(b, sortColumn), sortDirection));
 
     // Render table rows
     const fragment = document.createDocumentFragment();
@@ -1730,6 +1893,8 @@ function displayCategoryTable(results, sortColumn = 'percentVariance', sortDirec
             <td class="number-cell">$${cat.targetRevenue.toLocaleString('en-US', {maximumFractionDigits: 0})}</td>
             <td class="number-cell">$${cat.peerRevenue.toLocaleString('en-US', {maximumFractionDigits: 0})}</td>
             <td class="number-cell"><span class="${varianceClass}">${cat.percentVariance >= 0 ? '+' : ''}${cat.percentVariance.toFixed(1)}%</span></td>
+            ${renderTargetVarianceCells(results, cat.targets)}
+            ${renderRatioCells(cat)}
         `;
 
         fragment.appendChild(row);
@@ -1750,6 +1915,8 @@ function displayBreakdownTable(results, sortColumn = 'code', sortDirection = 'as
     tableHeaders.innerHTML = '';
     tableBody.innerHTML = '';
 
+    const { label, totalLabel } = METRICS[results.metric];
+
     // Build dynamic headers - tableHeaders is already a <tr> element
     // Fixed columns
     const fixedHeaders = [
@@ -1757,9 +1924,9 @@ function displayBreakdownTable(results, sortColumn = 'code', sortDirection = 'as
         { column: 'name', label: 'Procedure Name' },
         { column: 'hospitalsCount', label: '# Hospitals' },
         { column: 'targetVolume', label: 'Target Volume' },
-        { column: 'targetRevenue', label: 'Target Revenue' },
-        { column: 'targetAvgCharge', label: 'Target Avg Charge' },
-        { column: 'compareAvgCharge', label: 'Peer Avg Charge' }
+        { column: 'targetRevenue', label: `Target ${totalLabel}` },
+        { column: 'targetAvgCharge', label: `Target Avg ${label}` },
+        { column: 'compareAvgCharge', label: `Peer Avg ${label}` }
     ];
 
     fixedHeaders.forEach(header => {
@@ -1770,20 +1937,8 @@ function displayBreakdownTable(results, sortColumn = 'code', sortDirection = 'as
         tableHeaders.appendChild(th);
     });
 
-    // Get top 40 hospitals by net_patient_revenue
-    // If using national average, use all available hospitals, otherwise use compareHospitals
-    let hospitalsToShow;
-    if (results.useNationalAverage) {
-        // Get all hospitals and limit to top 40 by revenue
-        hospitalsToShow = AppState.hospitalsArray
-            .slice(0, 40); // Already sorted by net_patient_revenue in descending order
-    } else {
-        // Limit compareHospitals to top 40 by net_patient_revenue
-        hospitalsToShow = results.compareHospitals
-            .slice() // Create a copy to avoid modifying original
-            .sort((a, b) => (b.net_patient_revenue || 0) - (a.net_patient_revenue || 0))
-            .slice(0, 40);
-    }
+    // Top 40 hospitals by net_patient_revenue, chosen by the worker
+    const hospitalsToShow = results.breakdown.provnums.map(pn => AppState.hospitalData.hospitals[pn]);
 
     // Dynamic peer hospital columns
     hospitalsToShow.forEach(hospital => {
@@ -1807,38 +1962,16 @@ function displayBreakdownTable(results, sortColumn = 'code', sortDirection = 'as
             compareAvgCharge: proc.compareAvgCharge
         };
 
-        // Add each peer hospital's charge for this procedure (top 40 only)
+        // Add each peer hospital's price for this procedure (top 40 only)
         hospitalsToShow.forEach(hospital => {
-            const hospitalProc = hospital.procedures ? hospital.procedures[proc.code] : null;
-            row[`hospital_${hospital.provnum}`] = (hospitalProc && hospitalProc.volume > 0 && hospitalProc.avg_charge != null)
-                ? hospitalProc.avg_charge
-                : null;
+            row[`hospital_${hospital.provnum}`] = results.breakdown.values[proc.code][hospital.provnum];
         });
 
         return row;
     });
 
     // Sort the data
-    breakdownData.sort((a, b) => {
-        let aVal = a[sortColumn];
-        let bVal = b[sortColumn];
-
-        // Handle null values
-        if (aVal === null) return 1;
-        if (bVal === null) return -1;
-
-        // Handle string sorting
-        if (typeof aVal === 'string') {
-            aVal = aVal.toLowerCase();
-            bVal = bVal.toLowerCase();
-        }
-
-        if (sortDirection === 'asc') {
-            return aVal > bVal ? 1 : aVal < bVal ? -1 : 0;
-        } else {
-            return aVal < bVal ? 1 : aVal > bVal ? -1 : 0;
-        }
-    });
+    breakdownData.sort((a, b) => compareSortValues(a[sortColumn], b[sortColumn], sortDirection));
 
     // Render table rows
     const fragment = document.createDocumentFragment();
@@ -1872,6 +2005,75 @@ function displayBreakdownTable(results, sortColumn = 'code', sortDirection = 'as
     tableBody.appendChild(fragment);
 }
 
+/**
+ * Render markup, collection and margin cells (target and peer side by side)
+ */
+function renderRatioCells(item) {
+    return `
+            <td class="number-cell ratio-cell">${formatMarkup(item.targetMarkup)}</td>
+            <td class="number-cell ratio-cell">${formatMarkup(item.compareMarkup)}</td>
+            <td class="number-cell ratio-cell">${formatCollection(item.targetCollection)}</td>
+            <td class="number-cell ratio-cell">${formatCollection(item.compareCollection)}</td>
+            <td class="number-cell ratio-cell">${formatMargin(item.targetMargin)}</td>
+            <td class="number-cell ratio-cell">${formatMargin(item.compareMargin)}</td>
+    `;
+}
+
+/**
+ * Side-by-side % above/below columns, one per target, after the combined one
+ * Rebuilt on every render so they follow the targets of the results shown
+ */
+function renderTargetColumnHeaders(table, results, sortColumn, sortDirection) {
+    table.querySelectorAll('th.target-column').forEach(th => th.remove());
+    if (!results.sideBySide) return;
+
+    let previous = table.querySelector('.sortable-header[data-column="percentVariance"]');
+    results.targetComparisons.forEach(target => {
+        const th = document.createElement('th');
+        th.className = 'sortable-header target-column';
+        th.dataset.column = `${TARGET_COLUMN_PREFIX}${target.provnum}`;
+        th.title = `${target.hospitalName} - % above/below the same comparison prices, on its own volumes`;
+        th.textContent = target.hospitalName;
+
+        const icon = document.createElement('span');
+        icon.className = 'sort-icon';
+        th.appendChild(icon);
+
+        th.addEventListener('click', () => handleSort(th.dataset.column, th));
+        previous.after(th);
+        previous = th;
+    });
+
+    renderSortIndicator(table, sortColumn, sortDirection);
+}
+
+/**
+ * Side-by-side % above/below cells, one per target - '-' where the target has no price
+ * targets maps provider number to { percentVariance }
+ */
+function renderTargetVarianceCells(results, targets) {
+    if (!results.sideBySide) return '';
+
+    return results.targetComparisons.map(target => {
+        const figures = targets[target.provnum];
+        if (!figures) return '<td class="number-cell target-column">-</td>';
+
+        const variance = figures.percentVariance;
+        const varianceClass = variance > 0 ? 'variance-positive' : variance < 0 ? 'variance-negative' : 'variance-neutral';
+        return `<td class="number-cell target-column"><span class="${varianceClass}">${variance >= 0 ? '+' : ''}${variance.toFixed(1)}%</span></td>`;
+    }).join('');
+}
+
+/**
+ * Value of a row in a sort column - side-by-side target columns read that target's variance
+ */
+function getSortValue(item, column) {
+    if (!column.startsWith(TARGET_COLUMN_PREFIX)) return item[column];
+
+    const figures = item.targets && item.targets[column.slice(TARGET_COLUMN_PREFIX.length)];
+    return figures ? figures.percentVariance : null;
+}
+
 /**
  * Setup table sorting
  */
@@ -1900,20 +2102,14 @@ function handleSort(column, headerElement) {
         AppState.currentSort.direction = 'asc';
     }
 
-    // Update header classes only within this table
-    table.querySelectorAll('.sortable-header').forEach(h => {
-        h.classList.remove('active', 'asc', 'desc');
-        h.querySelector('.sort-icon').textContent = '';
-    });
-
-    headerElement.classList.add('active', AppState.currentSort.direction);
-    headerElement.querySelector('.sort-icon').textContent = AppState.currentSort.direction === 'asc' ? '▲' : '▼';
+    renderSortIndicator(table, column, AppState.currentSort.direction);
 
     // Re-sort and display the appropriate table
     if (AppState.currentResults) {
         if (tableId === 'procedure-table') {
             sortProcedureComparisons(AppState.currentResults.procedureComparisons);
             displayProcedureTable(AppState.currentResults);
+            updateUrlState(captureAnalysisConfig(), 'replace');
         } else if (tableId === 'hospital-table') {
             displayHospitalTable(AppState.currentResults, column, AppState.currentSort.direction);
         } else if (tableId === 'category-table') {
@@ -1924,6 +2120,18 @@ function handleSort(column, headerElement) {
     }
 }
 
+/**
+ * Mark the sorted column's header - header classes are updated only within this table
+ */
+function renderSortIndicator(table, column, direction) {
+    table.querySelectorAll('.sortable-header').forEach(h => {
+        const active = h.dataset.column === column;
+        h.classList.remove('active', 'asc', 'desc');
+        if (active) h.classList.add('active', direction);
+        h.querySelector('.sort-icon').textContent = active ? (direction === 'asc' ? '▲' : '▼') : '';
+    });
+}
+
 /**
  * Sort procedure comparisons
  */
@@ -1931,22 +2139,7 @@ function sortProcedureComparisons(comparisons) {
     const column = AppState.currentSort.column;
     const direction = AppState.currentSort.direction;
 
-    comparisons.sort((a, b) => {
-        let aVal = a[column];
-        let bVal = b[column];
-
-        // Handle string sorting
-        if (typeof aVal === 'string') {
-            aVal = aVal.toLowerCase();
-            bVal = bVal.toLowerCase();
-        }
-
-        if (direction === 'asc') {
-            return aVal > bVal ? 1 : aVal < bVal ? -1 : 0;
-        } else {
-            return aVal < bVal ? 1 : aVal > bVal ? -1 : 0;
-        }
-    });
+    comparisons.sort((a, b) => compareSortValues(getSortValue(a, column), getSortValue(b, column), direction));
 }
 
 /**
@@ -1955,6 +2148,7 @@ function sortProcedureComparisons(comparisons) {
 function showLoadingState() {
     DOM.emptyState.classList.add('hidden');
     DOM.resultsContent.classList.add('hidden');
+    DOM.loadingMessage.textContent = 'Calculating comparison...';
     DOM.loadingState.classList.remove('hidden');
 }
 
@@ -1970,6 +2164,8 @@ function hideLoadingState() {
  * Reset form to initial state
  */
 function resetForm() {
+    cancelActiveComparison();
+
     // Clear selections
     AppState.selectedTargetHospitals.clear();
     AppState.selectedCompareHospitals.clear();
@@ -2000,7 +2196,14 @@ function resetForm() {
     DOM.targetFilterToggle.classList.remove('active');
     DOM.compareFilterToggle.classList.remove('active');
 
-    // Reset to empty state
+    showEmptyState();
+    clearUrlState();
+}
+
+/**
+ * Reset the results panel to the empty state
+ */
+function showEmptyState() {
     DOM.loadingState.classList.add('hidden');
     DOM.resultsContent.classList.add('hidden');
     DOM.emptyState.classList.remove('hidden');
@@ -2018,6 +2221,7 @@ function exportToCSV() {
     }
 
     const results = AppState.currentResults;
+    const { label, totalLabel } = METRICS[results.metric];
     const targetNames = results.targetHospitals.map(h => h.name).join('; ');
     const compareNames = results.useNationalAverage
         ? 'National Average'
@@ -2026,19 +2230,70 @@ function exportToCSV() {
     let csv = 'Hospital Price Comparison Report\n\n';
     csv += `Target Hospital(s),"${targetNames}"\n`;
     csv += `Comparison,"${compareNames}"\n`;
+    csv += `Price Measure,${label}\n`;
+    csv += `Methodology,${METHODOLOGIES[results.methodology].label}\n`;
+    csv += `Volume Mix,${INDEX_MIXES[results.indexMix].label}\n`;
+    csv += `Outlier Logic,"${describeOutlierLogic(results.outlierLogic)}"\n`;
+    if (results.basket) {
+        csv += `Procedure Basket,"${results.basket.name} (${BASKET_WEIGHTINGS[results.basket.weighting].label})"\n`;
+        csv += `Basket Price Index,${formatCsvNumber(results.basket.index, 1)}\n`;
+    }
     csv += `Overall Variance,${results.overall.variance.toFixed(1)}%\n\n`;
 
-    csv += 'CPT/HCPCS Code,Procedure Name,Target Avg Charge,Target Volume,Target Revenue,Comparison Avg,Comparison Volume,Comparison Revenue,# Hospitals,Difference,% Variance\n';
+    csv += `CPT/HCPCS Code,Procedure Name,Target Avg ${label},Target Volume,Target ${totalLabel},Comparison Avg ${label},Comparison Volume,Comparison ${totalLabel},# Hospitals,Difference,% Variance,Peer Percentile,State Percentile,National Percentile,Target Markup,Peer Markup,Target Collection,Peer Collection,Target Margin/Case,Peer Margin/Case\n`;
 
     results.procedureComparisons.forEach(proc => {
-        csv += `${proc.code},"${proc.name}",${proc.targetAvgCharge.toFixed(2)},${proc.targetVolume},${proc.targetRevenue.toFixed(2)},${proc.compareAvgCharge.toFixed(2)},${proc.compareVolume},${proc.compareRevenue.toFixed(2)},${proc.hospitalsCount},${proc.difference.toFixed(2)},${proc.percentVariance.toFixed(1)}%\n`;
+        csv += `${proc.code},"${proc.name}",${proc.targetAvgCharge.toFixed(2)},${proc.targetVolume},${proc.targetRevenue.toFixed(2)},${proc.compareAvgCharge.toFixed(2)},${proc.compareVolume},${proc.compareRevenue.toFixed(2)},${proc.hospitalsCount},${proc.difference.toFixed(2)},${proc.percentVariance.toFixed(1)}%,${formatCsvNumber(proc.peerPercentile, 0)},${formatCsvNumber(proc.statePercentile, 0)},${formatCsvNumber(proc.nationalPercentile, 0)},${formatCsvNumber(proc.targetMarkup, 2)},${formatCsvNumber(proc.compareMarkup, 2)},${formatCsvNumber(proc.targetCollection, 4)},${formatCsvNumber(proc.compareCollection, 4)},${formatCsvNumber(proc.targetMargin, 2)},${formatCsvNumber(proc.compareMargin, 2)}\n`;
     });
 
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    // Side by side, a section per target: its overall variance, market positions and procedures
+    if (results.sideBySide) {
+        const percent = variance => variance == null ? 'N/A' : `${variance.toFixed(1)}%`;
+
+        results.targetComparisons.forEach(target => {
+            const { local, regional, state, national } = target.marketPosition;
+
+            csv += `\nTarget,"${target.hospitalName}",${target.provnum}\n`;
+            csv += `Overall Variance,${percent(target.variance)}\n`;
+            csv += `Local Market Position,${percent(local ? local.variance : null)}\n`;
+            if (regional) csv += `Regional Market Position,${percent(regional.variance)}\n`;
+            csv += `State Market Position,${percent(state)}\n`;
+            csv += `National Market Position,${percent(national)}\n`;
+            csv += `CPT/HCPCS Code,Procedure Name,Target Avg ${label},Target Volume,Comparison Avg ${label},% Variance\n`;
+
+            results.procedureComparisons.forEach(proc => {
+                const figures = proc.targets[target.provnum];
+                if (!figures) return;
+                csv += `${proc.code},"${proc.name}",${figures.avgCharge.toFixed(2)},${figures.volume},${proc.compareAvgCharge.toFixed(2)},${figures.percentVariance.toFixed(1)}%\n`;
+            });
+        });
+    }
+
+    if (results.outlierReport.length > 0) {
+        csv += `\nOutlier Exclusions\n`;
+        csv += `CPT/HCPCS Code,Procedure Name,Lower Cut-off,Upper Cut-off,Hospitals Kept,Excluded Hospital,Provider #,Avg ${label},Volume,Reason\n`;
+        results.outlierReport.forEach(entry => {
+            const lower = entry.cutoffs ? entry.cutoffs.lower.toFixed(2) : '';
+            const upper = entry.cutoffs ? entry.cutoffs.upper.toFixed(2) : '';
+            entry.exclusions.forEach(exclusion => {
+                const hospital = AppState.hospitalData.hospitals[exclusion.provnum];
+                csv += `${entry.code},"${entry.name}",${lower},${upper},${entry.keptCount},"${hospital ? hospital.name : ''}",${exclusion.provnum},${formatCsvNumber(exclusion.price, 2)},${exclusion.volume},${OUTLIER_EXCLUSION_REASONS[exclusion.reason]}\n`;
+            });
+        });
+    }
+
+    downloadFile(csv, `hospital-comparison-${Date.now()}.csv`, 'text/csv;charset=utf-8;');
+}
+
+/**
+ * Save text content as a file through a temporary link
+ */
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
     const url = window.URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `hospital-comparison-${Date.now()}.csv`;
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -2065,6 +2320,10 @@ function setupTabSwitching() {
         button.addEventListener('click', () => {
             const tabName = button.dataset.tab;
             switchTab(tabName);
+
+            if (AppState.currentResults) {
+                updateUrlState(captureAnalysisConfig(), 'replace');
+            }
         });
     });
 }
@@ -2107,63 +2366,2367 @@ function hideMessage() {
 }
 
 /* ============================================
-   SAVE/LOAD FUNCTIONALITY
+   DISTRIBUTION PANEL
    ============================================ */
 
-// LocalStorage keys
-const STORAGE_KEYS = {
-    SAVED_TARGETS: 'hospital_saved_targets',
-    SAVED_PEERS: 'hospital_saved_peers'
+// Chart geometry (SVG user units)
+const DISTRIBUTION_CHART = {
+    width: 640,
+    height: 320,
+    margin: { top: 44, right: 24, bottom: 40, left: 40 },
+    labelRowHeight: 12,
+    boxPlotHeight: 28,
+    maxBins: 30
 };
 
-// Current edit state
-let currentEditItem = null;
-let currentEditType = null;
+// Request currently filling the distribution panel
+let activeDistributionRequestId = null;
 
 /**
- * Initialize save/load functionality - SIMPLIFIED VERSION
+ * Open the drill-down panel for one procedure of the current results
  */
-function initSaveLoadFeatures() {
-    console.log('Initializing save/load features...');
+async function openDistributionPanel(code) {
+    const results = AppState.currentResults;
+    if (!results) return;
 
-    // Save buttons
-    document.getElementById('save-target-btn').addEventListener('click', openSaveTargetModal);
-    document.getElementById('save-peer-btn').addEventListener('click', openSavePeerModal);
+    const proc = results.procedureComparisons.find(p => p.code === code);
+    const { label } = METRICS[results.metric];
 
-    // View Saved buttons
-    document.getElementById('view-saved-target-btn').addEventListener('click', openViewTargetModal);
-    document.getElementById('view-saved-peer-btn').addEventListener('click', openViewPeerModal);
+    document.getElementById('distribution-title').textContent = `${code} - ${proc ? proc.name : ''}`;
+    document.getElementById('distribution-summary').innerHTML = '';
+    document.getElementById('distribution-exclusions').innerHTML = '';
+    document.getElementById('distribution-chart').innerHTML = `<p class="distribution-note">Loading ${label.toLowerCase()} distribution...</p>`;
+    document.getElementById('distribution-modal').classList.remove('hidden');
 
-    // Save Target Modal
-    document.getElementById('cancel-save-target').addEventListener('click', closeSaveTargetModal);
-    document.getElementById('confirm-save-target').addEventListener('click', confirmSaveTarget);
-    document.getElementById('save-target-modal').addEventListener('click', (e) => {
-        if (e.target.id === 'save-target-modal') closeSaveTargetModal();
+    if (activeDistributionRequestId !== null) {
+        cancelWorkerRequest(activeDistributionRequestId);
+    }
+
+    const request = workerRequest('distribution', {
+        code,
+        targetProvnums: results.targetProvnums,
+        compareProvnums: results.compareProvnums,
+        useNationalAverage: results.useNationalAverage,
+        metric: results.metric,
+        methodology: results.methodology,
+        outlierLogic: results.outlierLogic
     });
-    document.getElementById('save-target-name').addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') confirmSaveTarget();
+    activeDistributionRequestId = request.id;
+
+    try {
+        const distribution = await request.promise;
+        activeDistributionRequestId = null;
+        renderDistributionPanel(distribution, proc);
+    } catch (error) {
+        if (error.cancelled) return;
+        activeDistributionRequestId = null;
+        console.error('Error loading distribution:', error);
+        document.getElementById('distribution-chart').innerHTML = `<p class="distribution-note">Could not load distribution: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+/**
+ * Close the drill-down panel, dropping any request still running
+ */
+function closeDistributionPanel() {
+    if (activeDistributionRequestId !== null) {
+        cancelWorkerRequest(activeDistributionRequestId);
+        activeDistributionRequestId = null;
+    }
+    document.getElementById('distribution-modal').classList.add('hidden');
+}
+
+/**
+ * Fill the panel with summary figures and the chart
+ */
+function renderDistributionPanel(distribution, proc) {
+    const { label } = METRICS[distribution.metric];
+    const peerLabel = distribution.useNationalAverage ? 'National' : 'Peer';
+    const summary = distribution.summary;
+
+    // Against the national average the exact rank from the distribution replaces the estimated one
+    const items = [
+        [`Target Avg ${label}`, distribution.targetValue != null ? formatCurrency(distribution.targetValue) : '-'],
+        [`${peerLabel} Median`, summary ? formatCurrency(summary.median) : '-']
+    ];
+    if (!distribution.useNationalAverage) {
+        items.push(['Peer Percentile', formatPercentile(distribution.percentile)]);
+    }
+    items.push(
+        ['State Percentile', formatPercentile(proc ? proc.statePercentile : null)],
+        ['National Percentile', formatPercentile(distribution.useNationalAverage
+            ? distribution.percentile
+            : proc ? proc.nationalPercentile : null)],
+        ['Hospitals', distribution.excluded.length > 0
+            ? `${distribution.included.length} (${distribution.excluded.length} excluded)`
+            : `${distribution.included.length}`]
+    );
+    if (distribution.cutoffs) {
+        items.push(['Outlier Cut-offs', `${formatCurrency(Math.max(0, distribution.cutoffs.lower))} - ${formatCurrency(distribution.cutoffs.upper)}`]);
+    }
+
+    document.getElementById('distribution-summary').innerHTML = items.map(([name, value]) => `
+        <div class="distribution-stat">
+            <span class="distribution-stat-label">${name}</span>
+            <span class="distribution-stat-value">${value}</span>
+        </div>
+    `).join('');
+
+    const chart = document.getElementById('distribution-chart');
+    if (distribution.included.length + distribution.excluded.length === 0) {
+        chart.innerHTML = '<p class="distribution-note">No hospitals report this procedure.</p>';
+        return;
+    }
+    chart.innerHTML = renderDistributionChart(distribution);
+    renderDistributionExclusions(distribution);
+}
+
+/**
+ * List the peer hospitals the outlier settings removed from a procedure, with the reason
+ */
+function renderDistributionExclusions(distribution) {
+    const container = document.getElementById('distribution-exclusions');
+    if (distribution.exclusions.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const { label } = METRICS[distribution.metric];
+    const rows = distribution.exclusions
+        .slice()
+        .sort((a, b) => (a.price != null ? a.price : -1) - (b.price != null ? b.price : -1))
+        .map(exclusion => `
+            <tr>
+                <td>${escapeHtml(exclusion.name)}</td>
+                <td>${exclusion.provnum}</td>
+                <td class="number-cell">${exclusion.price != null ? formatCurrency(exclusion.price) : '-'}</td>
+                <td class="number-cell">${exclusion.volume.toLocaleString()}</td>
+                <td>${OUTLIER_EXCLUSION_REASONS[exclusion.reason]}</td>
+            </tr>
+        `).join('');
+
+    container.innerHTML = `
+        <h4 class="distribution-exclusions-title">Excluded Hospitals (${OUTLIER_METHODS[distribution.outlierLogic.method].label})</h4>
+        <table class="comparison-table">
+            <thead>
+                <tr>
+                    <th>Hospital</th>
+                    <th>Provider #</th>
+                    <th>Avg ${label}</th>
+                    <th>Volume</th>
+                    <th>Reason</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
+
+/**
+ * Histogram of hospital prices (excluded outliers stacked in grey) with a box plot underneath
+ * Marks the target price, the median of the kept prices and the outlier cut-offs
+ */
+function renderDistributionChart(distribution) {
+    const { width, height, margin, boxPlotHeight, maxBins, labelRowHeight } = DISTRIBUTION_CHART;
+    const { included, excluded, targetValue, cutoffs, summary } = distribution;
+
+    // Price axis covers every price, the target and any cut-off that is above zero
+    const domainValues = included.concat(excluded);
+    if (targetValue != null) domainValues.push(targetValue);
+    if (cutoffs) {
+        if (cutoffs.lower > 0) domainValues.push(cutoffs.lower);
+        domainValues.push(cutoffs.upper);
+    }
+    let min = Math.min(...domainValues);
+    let max = Math.max(...domainValues);
+    if (min === max) {
+        min = Math.max(0, min - 1);
+        max = max + 1;
+    }
+
+    const plotLeft = margin.left;
+    const plotRight = width - margin.right;
+    const histogramBottom = height - margin.bottom - boxPlotHeight;
+    const x = value => plotLeft + ((value - min) / (max - min)) * (plotRight - plotLeft);
+
+    // Bin the prices
+    const priceCount = included.length + excluded.length;
+    const binCount = Math.min(maxBins, Math.max(5, Math.ceil(Math.sqrt(priceCount))));
+    const binWidth = (max - min) / binCount;
+    const bins = Array.from({ length: binCount }, () => ({ included: 0, excluded: 0 }));
+    const binIndex = value => Math.min(binCount - 1, Math.floor((value - min) / binWidth));
+    included.forEach(value => bins[binIndex(value)].included++);
+    excluded.forEach(value => bins[binIndex(value)].excluded++);
+
+    const maxCount = Math.max(...bins.map(bin => bin.included + bin.excluded));
+    const y = count => histogramBottom - (count / maxCount) * (histogramBottom - margin.top);
+
+    const parts = [];
+
+    bins.forEach((bin, i) => {
+        const left = x(min + i * binWidth) + 1;
+        const barWidth = Math.max(1, x(min + (i + 1) * binWidth) - x(min + i * binWidth) - 2);
+        if (bin.included > 0) {
+            parts.push(`<rect class="distribution-bar" x="${left}" y="${y(bin.included)}" width="${barWidth}" height="${histogramBottom - y(bin.included)}"><title>${bin.included} ${bin.included === 1 ? 'hospital' : 'hospitals'}</title></rect>`);
+        }
+        if (bin.excluded > 0) {
+            const top = y(bin.included + bin.excluded);
+            parts.push(`<rect class="distribution-bar-excluded" x="${left}" y="${top}" width="${barWidth}" height="${y(bin.included) - top}"><title>${bin.excluded} excluded ${bin.excluded === 1 ? 'hospital' : 'hospitals'}</title></rect>`);
+        }
     });
 
-    // Save Peer Modal
-    document.getElementById('cancel-save-peer').addEventListener('click', closeSavePeerModal);
-    document.getElementById('confirm-save-peer').addEventListener('click', confirmSavePeer);
-    document.getElementById('save-peer-modal').addEventListener('click', (e) => {
-        if (e.target.id === 'save-peer-modal') closeSavePeerModal();
+    // Baseline, count axis label and price ticks
+    parts.push(`<line class="distribution-axis" x1="${plotLeft}" y1="${histogramBottom}" x2="${plotRight}" y2="${histogramBottom}" />`);
+    parts.push(`<text class="distribution-tick" x="${plotLeft - 6}" y="${margin.top + 4}" text-anchor="end">${maxCount}</text>`);
+    parts.push(`<text class="distribution-tick" x="${plotLeft - 6}" y="${histogramBottom}" text-anchor="end">0</text>`);
+    for (let i = 0; i <= 4; i++) {
+        const value = min + ((max - min) * i) / 4;
+        parts.push(`<text class="distribution-tick" x="${x(value)}" y="${height - 8}" text-anchor="middle">$${Math.round(value).toLocaleString()}</text>`);
+    }
+
+    // Box plot of the kept prices
+    if (summary) {
+        const boxTop = histogramBottom + 8;
+        const boxMiddle = boxTop + (boxPlotHeight - 12) / 2;
+        const boxBottom = boxTop + boxPlotHeight - 12;
+        parts.push(`<line class="distribution-whisker" x1="${x(summary.min)}" y1="${boxMiddle}" x2="${x(summary.max)}" y2="${boxMiddle}" />`);
+        parts.push(`<rect class="distribution-box" x="${x(summary.q1)}" y="${boxTop}" width="${Math.max(1, x(summary.q3) - x(summary.q1))}" height="${boxBottom - boxTop}" />`);
+        parts.push(`<line class="distribution-marker-median" x1="${x(summary.median)}" y1="${boxTop}" x2="${x(summary.median)}" y2="${boxBottom}" />`);
+    }
+
+    // Reference lines, each kind labelled on its own row so nearby lines stay readable
+    const marker = (value, className, text, row) => {
+        const labelY = (row + 1) * labelRowHeight;
+        parts.push(`<line class="${className}" x1="${x(value)}" y1="${labelY + 3}" x2="${x(value)}" y2="${histogramBottom}" />`);
+        parts.push(`<text class="distribution-marker-label" x="${x(value)}" y="${labelY}" text-anchor="middle">${text}</text>`);
+    };
+    if (cutoffs) {
+        if (cutoffs.lower > 0) marker(cutoffs.lower, 'distribution-marker-cutoff', 'Cut-off', 2);
+        marker(cutoffs.upper, 'distribution-marker-cutoff', 'Cut-off', 2);
+    }
+    if (summary) marker(summary.median, 'distribution-marker-median', 'Median', 1);
+    if (targetValue != null) marker(targetValue, 'distribution-marker-target', 'Target', 0);
+
+    return `<svg class="distribution-svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="Price distribution">${parts.join('')}</svg>`;
+}
+
+/* ============================================
+   HOSPITAL MAP
+   ============================================ */
+
+// Map geometry (SVG user units)
+const HOSPITAL_MAP = {
+    width: 800,
+    height: 480,
+    padding: 36,
+    minSpanMiles: 20,
+    markerRadius: { target: 7, peer: 5, local: 3 }
+};
+
+// Scale bar lengths to choose from, in miles
+const MAP_SCALE_STEPS = [1, 2, 5, 10, 20, 50, 100, 200, 500, 1000];
+
+/**
+ * Fill the Map tab with the target and peer hospitals
+ * Other hospitals inside the local market radius are drawn for context
+ */
+function renderHospitalMap(results) {
+    const container = document.getElementById('hospital-map');
+    const targets = results.targetHospitals;
+    const peers = results.useNationalAverage ? [] : results.compareHospitals;
+    const localMarket = results.marketPosition.local;
+
+    const locatedTargets = targets.filter(hasCoordinates);
+    const locatedPeers = peers.filter(hasCoordinates);
+
+    if (locatedTargets.length + locatedPeers.length === 0) {
+        container.innerHTML = AppState.hospitalsArray.some(hasCoordinates)
+            ? '<p class="distribution-note">None of the selected hospitals could be located by zip code.</p>'
+            : '<p class="distribution-note">Hospital locations are unavailable. Run build_zip_centroids.py to create data/zip_centroids.json.</p>';
+        return;
+    }
+
+    // Hospitals near the targets that are neither targets nor peers
+    const radiusMiles = localMarket ? localMarket.radiusMiles : null;
+    const shown = new Set(targets.concat(peers).map(h => h.provnum));
+    const localHospitals = radiusMiles && locatedTargets.length > 0
+        ? findHospitalsWithinRadius(AppState.hospitalsArray, locatedTargets, radiusMiles).filter(h => !shown.has(h.provnum))
+        : [];
+
+    const unlocated = (targets.length - locatedTargets.length) + (peers.length - locatedPeers.length);
+    const note = unlocated > 0
+        ? `<p class="distribution-note">${unlocated} selected ${unlocated === 1 ? 'hospital has' : 'hospitals have'} no location and ${unlocated === 1 ? 'is' : 'are'} not shown.</p>`
+        : '';
+
+    container.innerHTML = renderHospitalMapSvg(locatedTargets, locatedPeers, localHospitals, radiusMiles) + `
+        <div class="distribution-legend">
+            <span class="distribution-legend-item"><span class="map-swatch map-swatch-target"></span>Target</span>
+            ${locatedPeers.length > 0 ? '<span class="distribution-legend-item"><span class="map-swatch map-swatch-peer"></span>Peer group</span>' : ''}
+            ${localHospitals.length > 0 ? '<span class="distribution-legend-item"><span class="map-swatch map-swatch-local"></span>Other local hospitals</span>' : ''}
+            ${radiusMiles && locatedTargets.length > 0 ? `<span class="distribution-legend-item"><span class="map-swatch map-swatch-radius"></span>${radiusMiles} mi of target</span>` : ''}
+        </div>${note}`;
+}
+
+/**
+ * Build the map SVG
+ * Equirectangular projection, with longitude shrunk by the cosine of the middle latitude so
+ * distances look right at the scale of a region
+ */
+function renderHospitalMapSvg(targets, peers, localHospitals, radiusMiles) {
+    const { width, height, padding, minSpanMiles, markerRadius } = HOSPITAL_MAP;
+    const points = targets.concat(peers, localHospitals);
+
+    // Bounds cover every hospital and the radius rings around the targets
+    const ringDegrees = targets.length > 0 && radiusMiles ? radiusMiles / MILES_PER_DEGREE_LATITUDE : 0;
+    const latitudes = points.map(h => h.latitude);
+    let minLat = Math.min(...latitudes, ...targets.map(h => h.latitude - ringDegrees));
+    let maxLat = Math.max(...latitudes, ...targets.map(h => h.latitude + ringDegrees));
+    const midLat = (minLat + maxLat) / 2;
+    const lonScale = Math.cos(midLat * Math.PI / 180);
+    const lonRing = ringDegrees / lonScale;
+    let minLon = Math.min(...points.map(h => h.longitude), ...targets.map(h => h.longitude - lonRing));
+    let maxLon = Math.max(...points.map(h => h.longitude), ...targets.map(h => h.longitude + lonRing));
+
+    // Keep a single hospital (or a tight cluster) from filling the whole map
+    const minSpanDegrees = minSpanMiles / MILES_PER_DEGREE_LATITUDE;
+    if (maxLat - minLat < minSpanDegrees) {
+        const grow = (minSpanDegrees - (maxLat - minLat)) / 2;
+        minLat -= grow;
+        maxLat += grow;
+    }
+    if ((maxLon - minLon) * lonScale < minSpanDegrees) {
+        const grow = (minSpanDegrees / lonScale - (maxLon - minLon)) / 2;
+        minLon -= grow;
+        maxLon += grow;
+    }
+
+    // One scale for both axes so circles stay round
+    const unitsPerDegree = Math.min(
+        (width - 2 * padding) / ((maxLon - minLon) * lonScale),
+        (height - 2 * padding) / (maxLat - minLat)
+    );
+    const offsetX = (width - (maxLon - minLon) * lonScale * unitsPerDegree) / 2;
+    const offsetY = (height - (maxLat - minLat) * unitsPerDegree) / 2;
+    const x = h => offsetX + (h.longitude - minLon) * lonScale * unitsPerDegree;
+    const y = h => offsetY + (maxLat - h.latitude) * unitsPerDegree;
+    const unitsPerMile = unitsPerDegree / MILES_PER_DEGREE_LATITUDE;
+
+    const parts = [];
+    const distanceNote = h => {
+        const distance = distanceToNearest(h, targets);
+        return distance === null ? '' : ` - ${distance.toFixed(1)} mi from target`;
+    };
+    const marker = (h, kind, label) => {
+        const place = [h.city, h.state].filter(Boolean).join(', ');
+        parts.push(`<circle class="map-marker map-marker-${kind}" cx="${x(h)}" cy="${y(h)}" r="${markerRadius[kind]}"><title>${escapeHtml(h.name)} (${h.provnum})${place ? `, ${escapeHtml(place)}` : ''}${label}</title></circle>`);
+    };
+
+    if (ringDegrees > 0) {
+        targets.forEach(h => {
+            parts.push(`<circle class="map-radius" cx="${x(h)}" cy="${y(h)}" r="${radiusMiles * unitsPerMile}" />`);
+        });
+    }
+    localHospitals.forEach(h => marker(h, 'local', distanceNote(h)));
+    peers.forEach(h => marker(h, 'peer', distanceNote(h)));
+    targets.forEach(h => marker(h, 'target', ''));
+
+    // Scale bar: the longest step that fits in a quarter of the width
+    const maxBarMiles = (width / 4) / unitsPerMile;
+    const scaleMiles = MAP_SCALE_STEPS.filter(step => step <= maxBarMiles).pop() || MAP_SCALE_STEPS[0];
+    const barLeft = padding / 2;
+    const barRight = barLeft + scaleMiles * unitsPerMile;
+    const barY = height - padding / 2;
+    parts.push(`<line class="map-scale" x1="${barLeft}" y1="${barY}" x2="${barRight}" y2="${barY}" />`);
+    parts.push(`<text class="distribution-tick" x="${barRight + 6}" y="${barY + 4}">${scaleMiles} mi</text>`);
+
+    return `<svg class="map-svg" viewBox="0 0 ${width} ${height}" role="img" aria-label="Map of target and peer hospitals">${parts.join('')}</svg>`;
+}
+
+/* ============================================
+   COMPARISON WORKER CLIENT
+   ============================================ */
+
+// Connection to the comparison worker and its in-flight requests
+const WorkerClient = {
+    worker: null,
+    nextRequestId: 1,
+    pending: new Map()
+};
+
+/**
+ * Start the comparison worker that owns the hospital data
+ */
+function startComparisonWorker() {
+    WorkerClient.worker = new Worker('js/comparison-worker.js');
+    WorkerClient.worker.addEventListener('message', handleWorkerMessage);
+    WorkerClient.worker.addEventListener('error', (event) => {
+        console.error('Comparison worker error:', event.message);
+
+        // Fail everything still waiting - the worker cannot answer anymore
+        WorkerClient.pending.forEach(request => request.reject(new Error(event.message || 'Comparison worker failed')));
+        WorkerClient.pending.clear();
     });
-    document.getElementById('save-peer-name').addEventListener('keypress', (e) => {
-        if (e.key === 'Enter') confirmSavePeer();
+}
+
+/**
+ * Send a request to the worker
+ * Returns { id, promise } - the id can be passed to cancelWorkerRequest
+ */
+function workerRequest(type, payload, onProgress) {
+    const id = WorkerClient.nextRequestId++;
+
+    const promise = new Promise((resolve, reject) => {
+        WorkerClient.pending.set(id, { resolve, reject, onProgress });
     });
 
-    // View Target Modal
-    document.getElementById('close-view-target-modal').addEventListener('click', closeViewTargetModal);
-    document.getElementById('view-saved-target-modal').addEventListener('click', (e) => {
-        if (e.target.id === 'view-saved-target-modal') closeViewTargetModal();
+    WorkerClient.worker.postMessage({ id, type, payload });
+    return { id, promise };
+}
+
+/**
+ * Cancel a worker request - its promise rejects immediately with error.cancelled set
+ */
+function cancelWorkerRequest(id) {
+    const request = WorkerClient.pending.get(id);
+    if (!request) return;
+
+    WorkerClient.pending.delete(id);
+    WorkerClient.worker.postMessage({ id: WorkerClient.nextRequestId++, type: 'cancel', payload: { id } });
+
+    const error = new Error('Comparison cancelled');
+    error.cancelled = true;
+    request.reject(error);
+}
+
+/**
+ * Route worker replies to the matching request
+ */
+function handleWorkerMessage(event) {
+    const { id, type, payload } = event.data;
+    const request = WorkerClient.pending.get(id);
+    if (!request) return; // Cancelled or already settled
+
+    if (type === 'progress') {
+        if (request.onProgress) request.onProgress(payload);
+        return;
+    }
+
+    WorkerClient.pending.delete(id);
+
+    if (type === 'result') {
+        request.resolve(payload);
+    } else if (type === 'cancelled') {
+        const error = new Error('Comparison cancelled');
+        error.cancelled = true;
+        request.reject(error);
+    } else {
+        request.reject(new Error(payload.message));
+    }
+}
+
+/* ============================================
+   BULK SELECTION
+   ============================================ */
+
+// CMS certification number: two-digit state code, then four characters (the third may be a letter)
+const PROVNUM_PATTERN = /^\d{2}[0-9A-Z]\d{3}$/;
+
+// Words too common in hospital names to show that two names refer to the same hospital
+const GENERIC_NAME_WORDS = new Set([
+    'hospital', 'hospitals', 'medical', 'center', 'centre', 'health', 'healthcare', 'regional',
+    'memorial', 'community', 'general', 'system', 'saint', 'county', 'university', 'clinic', 'the'
+]);
+
+// Column headings of an exported spreadsheet, e.g. "CCN,Hospital Name"
+const HEADER_CELL_PATTERN = /^(provnum|prov ?num|provider( ?(number|num|no|id|#))?|ccn|cms( ?(certification number|id))?|(hospital|facility)( ?name)?|name)$/i;
+
+// Name candidates offered for a row that needs review
+const MAX_NAME_CANDIDATES = 10;
+
+// Parsed and matched rows of the list being reviewed
+let bulkSelectionRows = [];
+
+function initBulkSelection() {
+    const fileInput = document.getElementById('bulk-select-file');
+    const input = document.getElementById('bulk-select-input');
+
+    document.getElementById('bulk-target-btn').addEventListener('click', () => openBulkSelectModal('target'));
+    document.getElementById('bulk-compare-btn').addEventListener('click', () => openBulkSelectModal('compare'));
+    document.getElementById('bulk-select-upload-btn').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) return;
+        input.value = await file.text();
+        updateBulkSelection();
+    });
+    input.addEventListener('input', debounce(updateBulkSelection, 300));
+    document.getElementById('bulk-select-type').addEventListener('change', renderBulkSelectionResults);
+    document.getElementById('bulk-select-results').addEventListener('change', (e) => {
+        const select = e.target.closest('select[data-index]');
+        if (select) chooseBulkSelectionCandidate(Number(select.dataset.index), select.value);
+    });
+
+    document.getElementById('close-bulk-select-modal').addEventListener('click', closeBulkSelectModal);
+    document.getElementById('cancel-bulk-select').addEventListener('click', closeBulkSelectModal);
+    document.getElementById('confirm-bulk-select').addEventListener('click', confirmBulkSelection);
+    document.getElementById('bulk-select-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'bulk-select-modal') closeBulkSelectModal();
+    });
+}
+
+function openBulkSelectModal(type) {
+    document.getElementById('bulk-select-input').value = '';
+    document.getElementById('bulk-select-type').value = type;
+    updateBulkSelection();
+    document.getElementById('bulk-select-modal').classList.remove('hidden');
+    setTimeout(() => document.getElementById('bulk-select-input').focus(), 100);
+}
+
+function closeBulkSelectModal() {
+    document.getElementById('bulk-select-modal').classList.add('hidden');
+    bulkSelectionRows = [];
+}
+
+function updateBulkSelection() {
+    bulkSelectionRows = parseProviderList(document.getElementById('bulk-select-input').value)
+        .map(matchProviderRow);
+    renderBulkSelectionResults();
+}
+
+/**
+ * Parse pasted or uploaded text into { input, provnum, name } rows
+ * Each line may hold a provider number, a hospital name or both, separated by commas, tabs or
+ * semicolons; a leading header line is skipped
+ */
+function parseProviderList(text) {
+    const rows = [];
+
+    text.split(/\r?\n/).forEach(line => {
+        const cells = splitDelimitedLine(line).map(cell => cell.trim()).filter(cell => cell !== '');
+        if (cells.length === 0) return;
+
+        let provnum = null;
+        let name = null;
+        cells.forEach(cell => {
+            const normalized = normalizeProvnum(cell);
+            if (normalized && !provnum) {
+                provnum = normalized;
+            } else if (!name && /[a-z]/i.test(cell)) {
+                name = cell;
+            }
+        });
+
+        if (rows.length === 0 && !provnum && cells.every(cell => HEADER_CELL_PATTERN.test(cell))) return;
+
+        rows.push({ input: cells.join(', '), provnum, name });
+    });
+
+    return rows;
+}
+
+/**
+ * Split one CSV/TSV line, honouring double-quoted cells
+ */
+function splitDelimitedLine(line) {
+    const cells = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const char = line[i];
+        if (char === '"') {
+            if (quoted && line[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else {
+                quoted = !quoted;
+            }
+        } else if (!quoted && (char === ',' || char === '\t' || char === ';')) {
+            cells.push(cell);
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    cells.push(cell);
+
+    return cells;
+}
+
+/**
+ * Provider number in a cell, or null - restores the leading zero spreadsheets drop
+ */
+function normalizeProvnum(cell) {
+    let value = cell.replace(/^'/, '').trim().toUpperCase();
+    if (/^\d{5}$/.test(value)) value = `0${value}`;
+    return PROVNUM_PATTERN.test(value) ? value : null;
+}
+
+/**
+ * Match a parsed row against the loaded hospitals
+ * Returns the row with status 'matched' (hospital), 'ambiguous' (candidates to choose from and
+ * the preselected provnum) or 'unmatched', plus a note explaining why
+ */
+function matchProviderRow(row) {
+    const hospital = row.provnum ? AppState.hospitalData.hospitals[row.provnum] : null;
+
+    if (hospital) {
+        if (!row.name || namesAgree(row.name, hospital.name)) {
+            return { ...row, status: 'matched', hospital };
+        }
+        const others = findHospitalsByName(row.name).filter(h => h.provnum !== hospital.provnum);
+        return {
+            ...row,
+            status: 'ambiguous',
+            candidates: [hospital, ...others].slice(0, MAX_NAME_CANDIDATES),
+            choice: hospital.provnum,
+            note: 'Name does not match the provider number'
+        };
+    }
+
+    const candidates = row.name ? findHospitalsByName(row.name) : [];
+    if (candidates.length === 0) {
+        return { ...row, status: 'unmatched', note: row.provnum ? 'Provider number not in the loaded data' : 'No provider number or matching name' };
+    }
+
+    // A name alone is enough when it identifies exactly one hospital
+    if (!row.provnum && candidates.length === 1 && normalizeHospitalName(candidates[0].name) === normalizeHospitalName(row.name)) {
+        return { ...row, status: 'matched', hospital: candidates[0], note: 'Matched by name' };
+    }
+
+    return {
+        ...row,
+        status: 'ambiguous',
+        candidates,
+        choice: '',
+        note: row.provnum ? 'Provider number not in the loaded data; similar names found' : 'Several hospitals have a similar name'
+    };
+}
+
+function normalizeHospitalName(name) {
+    return name.toLowerCase().replace(/&/g, ' and ').replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Hospitals whose name equals the given name, or failing that contains it
+ */
+function findHospitalsByName(name) {
+    const query = normalizeHospitalName(name);
+    if (query.length < 4) return [];
+
+    const exact = AppState.hospitalsArray.filter(h => normalizeHospitalName(h.name) === query);
+    if (exact.length > 0) return exact.slice(0, MAX_NAME_CANDIDATES);
+
+    return AppState.hospitalsArray
+        .filter(h => normalizeHospitalName(h.name).includes(query))
+        .slice(0, MAX_NAME_CANDIDATES);
+}
+
+/**
+ * Whether a typed name plausibly refers to a hospital: one contains the other, or they share a distinctive word
+ */
+function namesAgree(typed, actual) {
+    const a = normalizeHospitalName(typed);
+    const b = normalizeHospitalName(actual);
+    if (a.includes(b) || b.includes(a)) return true;
+
+    const distinctive = a.split(' ').filter(word => word.length >= 4 && !GENERIC_NAME_WORDS.has(word));
+    if (distinctive.length === 0) return true;
+
+    const actualWords = new Set(b.split(' '));
+    return distinctive.some(word => actualWords.has(word));
+}
+
+/**
+ * Provider numbers the current review would add, without duplicates
+ */
+function getBulkSelectionProvnums() {
+    const provnums = new Set();
+    bulkSelectionRows.forEach(row => {
+        if (row.status === 'matched') provnums.add(row.hospital.provnum);
+        if (row.status === 'ambiguous' && row.choice) provnums.add(row.choice);
+    });
+    return provnums;
+}
+
+function chooseBulkSelectionCandidate(index, provnum) {
+    bulkSelectionRows[index].choice = provnum;
+    updateBulkSelectionButton();
+}
+
+function updateBulkSelectionButton() {
+    const type = document.getElementById('bulk-select-type').value;
+    const selectedSet = getBulkSelectionDestination(type);
+    const provnums = getBulkSelectionProvnums();
+    const newCount = Array.from(provnums).filter(provnum => !selectedSet.has(provnum)).length;
+    const button = document.getElementById('confirm-bulk-select');
+
+    button.textContent = newCount > 0 ? `Add ${newCount} Hospital${newCount !== 1 ? 's' : ''}` : 'Add Hospitals';
+    button.disabled = newCount === 0;
+}
+
+function renderBulkSelectionResults() {
+    const container = document.getElementById('bulk-select-results');
+    updateBulkSelectionButton();
+
+    if (bulkSelectionRows.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const describeHospital = h => `${escapeHtml(h.name)} (${escapeHtml(h.provnum)}) • ${escapeHtml(h.city)}, ${escapeHtml(h.state)}`;
+    const indexed = bulkSelectionRows.map((row, index) => ({ ...row, index }));
+    const matched = indexed.filter(row => row.status === 'matched');
+    const ambiguous = indexed.filter(row => row.status === 'ambiguous');
+    const unmatched = indexed.filter(row => row.status === 'unmatched');
+
+    let html = `
+        <p class="bulk-select-summary">
+            <span class="saved-list-count">${matched.length} matched</span>
+            <span class="saved-list-separator">•</span>
+            <span>${ambiguous.length} to review</span>
+            <span class="saved-list-separator">•</span>
+            <span>${unmatched.length} not found</span>
+        </p>
+    `;
+
+    if (ambiguous.length > 0) {
+        html += `
+            <h4 class="bulk-select-section-title">To Review</h4>
+            <table class="comparison-table">
+                <thead><tr><th>Input</th><th>Hospital</th><th>Note</th></tr></thead>
+                <tbody>${ambiguous.map(row => `
+                    <tr>
+                        <td>${escapeHtml(row.input)}</td>
+                        <td>
+                            <select class="filter-select" data-index="${row.index}">
+                                <option value="">Skip</option>
+                                ${row.candidates.map(h => `<option value="${escapeHtml(h.provnum)}"${h.provnum === row.choice ? ' selected' : ''}>${describeHospital(h)}</option>`).join('')}
+                            </select>
+                        </td>
+                        <td>${row.note}</td>
+                    </tr>
+                `).join('')}</tbody>
+            </table>
+        `;
+    }
+
+    if (unmatched.length > 0) {
+        html += `
+            <h4 class="bulk-select-section-title">Not Found</h4>
+            <table class="comparison-table">
+                <thead><tr><th>Input</th><th>Note</th></tr></thead>
+                <tbody>${unmatched.map(row => `
+                    <tr><td>${escapeHtml(row.input)}</td><td>${row.note}</td></tr>
+                `).join('')}</tbody>
+            </table>
+        `;
+    }
+
+    if (matched.length > 0) {
+        html += `
+            <h4 class="bulk-select-section-title">Matched</h4>
+            <table class="comparison-table">
+                <thead><tr><th>Input</th><th>Hospital</th></tr></thead>
+                <tbody>${matched.map(row => `
+                    <tr><td>${escapeHtml(row.input)}</td><td>${describeHospital(row.hospital)}${row.note ? ` <span class="bulk-select-note">(${row.note})</span>` : ''}</td></tr>
+                `).join('')}</tbody>
+            </table>
+        `;
+    }
+
+    container.innerHTML = html;
+}
+
+/**
+ * Provider numbers already in the list a bulk selection adds to
+ */
+function getBulkSelectionDestination(type) {
+    if (type === 'exclude') return new Set(AppState.filters.compare.excludeProvnums);
+    return type === 'target' ? AppState.selectedTargetHospitals : AppState.selectedCompareHospitals;
+}
+
+/**
+ * Add hospitals to the target or peer selection, or to the peer exclusion list ('exclude')
+ * Returns how many were not there already
+ */
+function addHospitalsToList(type, provnums) {
+    if (type === 'exclude') return addExcludedProvnums(provnums);
+
+    const selectedSet = getBulkSelectionDestination(type);
+    cancelActiveComparison();
+    const before = selectedSet.size;
+    provnums.forEach(provnum => selectedSet.add(provnum));
+    renderSelectedHospitals(type);
+    filterHospitals(type === 'target' ? DOM.targetSearchInput.value : DOM.compareSearchInput.value, type);
+    return selectedSet.size - before;
+}
+
+function confirmBulkSelection() {
+    const type = document.getElementById('bulk-select-type').value;
+    const added = addHospitalsToList(type, Array.from(getBulkSelectionProvnums()));
+
+    closeBulkSelectModal();
+    showSuccessMessage(`${type === 'exclude' ? 'Excluded' : 'Added'} ${added} hospital(s)`);
+}
+
+/* ============================================
+   HEALTH SYSTEMS
+   ============================================ */
+
+function initSystemSelection() {
+    document.getElementById('system-target-btn').addEventListener('click', () => openSelectSystemModal('target'));
+    document.getElementById('system-compare-btn').addEventListener('click', () => openSelectSystemModal('compare'));
+    document.getElementById('select-system-name').addEventListener('change', renderSystemMembers);
+    document.getElementById('select-system-type').addEventListener('change', renderSystemMembers);
+
+    document.getElementById('close-select-system-modal').addEventListener('click', closeSelectSystemModal);
+    document.getElementById('cancel-select-system').addEventListener('click', closeSelectSystemModal);
+    document.getElementById('confirm-select-system').addEventListener('click', confirmSystemSelection);
+    document.getElementById('select-system-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'select-system-modal') closeSelectSystemModal();
+    });
+
+    document.getElementById('group-by-system').addEventListener('change', (e) => {
+        AppState.groupBySystem = e.target.checked;
+        if (!AppState.currentResults) return;
+        const sorted = document.querySelector('#hospital-table .sortable-header.active');
+        displayHospitalTable(
+            AppState.currentResults,
+            sorted ? sorted.dataset.column : undefined,
+            sorted && sorted.classList.contains('asc') ? 'asc' : 'desc'
+        );
+    });
+}
+
+/**
+ * Open the system picker, starting on the first target hospital's system
+ */
+function openSelectSystemModal(type) {
+    const systems = filterChoices.healthSystem;
+    const counts = {};
+    AppState.hospitalsArray.forEach(h => {
+        if (h.health_system) counts[h.health_system] = (counts[h.health_system] || 0) + 1;
+    });
+
+    // Option values are indexes into filterChoices.healthSystem
+    const select = document.getElementById('select-system-name');
+    select.innerHTML = systems.map((system, index) =>
+        `<option value="${index}">${escapeHtml(system)} (${counts[system]} ${counts[system] === 1 ? 'hospital' : 'hospitals'})</option>`
+    ).join('');
+
+    const targetSystem = Array.from(AppState.selectedTargetHospitals)
+        .map(provnum => AppState.hospitalData.hospitals[provnum])
+        .map(h => h && h.health_system)
+        .find(Boolean);
+    select.value = String(Math.max(0, systems.indexOf(targetSystem)));
+
+    document.getElementById('select-system-type').value = type;
+    renderSystemMembers();
+    document.getElementById('select-system-modal').classList.remove('hidden');
+}
+
+function closeSelectSystemModal() {
+    document.getElementById('select-system-modal').classList.add('hidden');
+}
+
+/**
+ * Hospitals in the system chosen in the picker
+ */
+function getSelectedSystemMembers() {
+    const system = filterChoices.healthSystem[document.getElementById('select-system-name').value];
+    return AppState.hospitalsArray.filter(h => h.health_system === system);
+}
+
+function renderSystemMembers() {
+    const members = getSelectedSystemMembers();
+    const destination = getBulkSelectionDestination(document.getElementById('select-system-type').value);
+    const newCount = members.filter(h => !destination.has(h.provnum)).length;
+
+    document.getElementById('select-system-members').innerHTML = `
+        <table class="comparison-table">
+            <thead><tr><th>Hospital</th><th>Location</th><th>Type</th><th>Beds</th></tr></thead>
+            <tbody>${members.map(h => `
+                <tr>
+                    <td>${escapeHtml(h.name)} (${h.provnum})${destination.has(h.provnum) ? ' <span class="bulk-select-note">(already added)</span>' : ''}</td>
+                    <td>${escapeHtml(h.city)}, ${h.state}</td>
+                    <td>${escapeHtml(h.hospital_type || '-')}</td>
+                    <td class="number-cell">${h.beds_total != null ? h.beds_total : '-'}</td>
+                </tr>
+            `).join('')}</tbody>
+        </table>
+    `;
+
+    const button = document.getElementById('confirm-select-system');
+    button.textContent = newCount > 0 ? `Add ${newCount} Hospital${newCount !== 1 ? 's' : ''}` : 'Add Hospitals';
+    button.disabled = newCount === 0;
+}
+
+function confirmSystemSelection() {
+    const type = document.getElementById('select-system-type').value;
+    const added = addHospitalsToList(type, getSelectedSystemMembers().map(h => h.provnum));
+
+    closeSelectSystemModal();
+    showSuccessMessage(`${type === 'exclude' ? 'Excluded' : 'Added'} ${added} hospital(s)`);
+}
+
+/* ============================================
+   PEER SUGGESTIONS
+   ============================================ */
+
+// Worker request for the suggestions being computed
+let activeSuggestionRequestId = null;
+
+// Suggestions shown in the modal
+let peerSuggestions = [];
+
+function initPeerSuggestions() {
+    document.getElementById('suggest-peers-btn').addEventListener('click', openSuggestPeersModal);
+    document.getElementById('suggest-peers-limit').addEventListener('change', loadPeerSuggestions);
+    document.getElementById('close-suggest-peers-modal').addEventListener('click', closeSuggestPeersModal);
+    document.getElementById('cancel-suggest-peers').addEventListener('click', closeSuggestPeersModal);
+    document.getElementById('confirm-suggest-peers').addEventListener('click', confirmPeerSuggestions);
+    document.getElementById('suggest-peers-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'suggest-peers-modal') closeSuggestPeersModal();
+    });
+    document.getElementById('suggest-peers-results').addEventListener('change', (e) => {
+        if (e.target.id === 'suggestion-select-all') {
+            selectAllPeerSuggestions(e.target.checked);
+        } else if (e.target.classList.contains('suggestion-select')) {
+            updatePeerSuggestionButton();
+        }
+    });
+}
+
+function openSuggestPeersModal() {
+    if (AppState.selectedTargetHospitals.size === 0) {
+        alert('Please select at least one target hospital to suggest peers for');
+        return;
+    }
+
+    document.getElementById('suggest-peers-modal').classList.remove('hidden');
+    loadPeerSuggestions();
+}
+
+/**
+ * Close the modal, dropping any request still running
+ */
+function closeSuggestPeersModal() {
+    if (activeSuggestionRequestId !== null) {
+        cancelWorkerRequest(activeSuggestionRequestId);
+        activeSuggestionRequestId = null;
+    }
+    document.getElementById('suggest-peers-modal').classList.add('hidden');
+    peerSuggestions = [];
+}
+
+async function loadPeerSuggestions() {
+    const container = document.getElementById('suggest-peers-results');
+    container.innerHTML = '<p class="distribution-note">Ranking hospitals by similarity...</p>';
+    peerSuggestions = [];
+    updatePeerSuggestionButton();
+
+    if (activeSuggestionRequestId !== null) {
+        cancelWorkerRequest(activeSuggestionRequestId);
+    }
+
+    const request = workerRequest('suggest-peers', {
+        targetProvnums: Array.from(AppState.selectedTargetHospitals),
+        limit: parseInt(document.getElementById('suggest-peers-limit').value),
+        excludeProvnums: Array.from(getExcludedPeerProvnums())
+    }, (progress) => {
+        if (progress.stage === 'suggest') {
+            container.innerHTML = `<p class="distribution-note">Ranking hospitals by similarity... ${progress.completed.toLocaleString()} of ${progress.total.toLocaleString()}</p>`;
+        }
+    });
+    activeSuggestionRequestId = request.id;
+
+    try {
+        const result = await request.promise;
+        activeSuggestionRequestId = null;
+        peerSuggestions = result.suggestions;
+        renderPeerSuggestions(result);
+    } catch (error) {
+        if (error.cancelled) return;
+        activeSuggestionRequestId = null;
+        console.error('Error suggesting peers:', error);
+        container.innerHTML = `<p class="distribution-note">Could not suggest peers: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function renderPeerSuggestions(result) {
+    const container = document.getElementById('suggest-peers-results');
+
+    if (result.suggestions.length === 0) {
+        container.innerHTML = '<p class="distribution-note">No other hospitals to suggest</p>';
+        return;
+    }
+
+    const formatScore = value => `${Math.round(value * 100)}%`;
+    const rows = result.suggestions.map((suggestion, index) => {
+        const alreadySelected = AppState.selectedCompareHospitals.has(suggestion.provnum);
+        const breakdown = Object.entries(PEER_SIMILARITY_FACTORS)
+            .map(([key, { label }]) => `${label}: ${formatScore(suggestion.factors[key])}`)
+            .join('\n');
+
+        return `
+            <tr>
+                <td><input type="checkbox" class="suggestion-select" data-index="${index}"${alreadySelected ? ' checked disabled' : ''}></td>
+                <td>${escapeHtml(suggestion.name)}<div class="suggestion-detail">${escapeHtml(suggestion.provnum)}${alreadySelected ? ' • already in peer group' : ''}</div></td>
+                <td>${escapeHtml(suggestion.city)}, ${escapeHtml(suggestion.state)}</td>
+                <td>${escapeHtml(suggestion.hospital_type || '-')}</td>
+                <td class="number-cell">${suggestion.beds_total ? suggestion.beds_total.toLocaleString() : '-'}</td>
+                <td class="number-cell">${formatScore(suggestion.factors.procedureMix)}</td>
+                <td class="number-cell" title="${breakdown}">
+                    <div class="suggestion-score">
+                        <div class="suggestion-score-bar" style="width: ${formatScore(suggestion.score)}"></div>
+                    </div>
+                    ${formatScore(suggestion.score)}
+                </td>
+            </tr>
+        `;
+    }).join('');
+
+    const targetCount = AppState.selectedTargetHospitals.size;
+    container.innerHTML = `
+        <p class="suggestion-summary">Top ${result.suggestions.length} of ${result.candidateCount.toLocaleString()} hospitals by similarity to ${targetCount === 1 ? 'the target hospital' : `${targetCount} target hospitals`}. Hover a score for its breakdown.</p>
+        <table class="comparison-table">
+            <thead>
+                <tr>
+                    <th><input type="checkbox" id="suggestion-select-all" title="Select all"></th>
+                    <th>Hospital</th>
+                    <th>Location</th>
+                    <th>Type</th>
+                    <th>Beds</th>
+                    <th>Procedure Mix</th>
+                    <th>Similarity</th>
+                </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+    updatePeerSuggestionButton();
+}
+
+/**
+ * Provider numbers of the ticked suggestions that are not already peers
+ */
+function getAcceptedPeerSuggestions() {
+    return Array.from(document.querySelectorAll('#suggest-peers-results .suggestion-select:checked'))
+        .filter(checkbox => !checkbox.disabled)
+        .map(checkbox => peerSuggestions[parseInt(checkbox.dataset.index)].provnum);
+}
+
+function selectAllPeerSuggestions(checked) {
+    document.querySelectorAll('#suggest-peers-results .suggestion-select').forEach(checkbox => {
+        if (!checkbox.disabled) checkbox.checked = checked;
+    });
+    updatePeerSuggestionButton();
+}
+
+function updatePeerSuggestionButton() {
+    const count = getAcceptedPeerSuggestions().length;
+    const button = document.getElementById('confirm-suggest-peers');
+    button.textContent = count > 0 ? `Add ${count} to Peer Group` : 'Add to Peer Group';
+    button.disabled = count === 0;
+}
+
+function confirmPeerSuggestions() {
+    const provnums = getAcceptedPeerSuggestions();
+
+    cancelActiveComparison();
+    provnums.forEach(provnum => AppState.selectedCompareHospitals.add(provnum));
+    renderSelectedHospitals('compare');
+    filterHospitals(DOM.compareSearchInput.value, 'compare');
+
+    closeSuggestPeersModal();
+    showSuccessMessage(`Added ${provnums.length} suggested peer(s)`);
+}
+
+/* ============================================
+   HOSPITAL PROFILE
+   ============================================ */
+
+// Worker request filling the profile being shown
+let activeProfileRequestId = null;
+
+// Provider number of the hospital whose profile is open
+let profileProvnum = null;
+
+function initHospitalProfile() {
+    document.getElementById('close-hospital-profile-modal').addEventListener('click', closeHospitalProfile);
+    document.getElementById('cancel-hospital-profile').addEventListener('click', closeHospitalProfile);
+    document.getElementById('profile-use-target').addEventListener('click', useProfileHospitalAsTarget);
+    document.getElementById('profile-add-peer').addEventListener('click', addProfileHospitalToPeers);
+    document.getElementById('hospital-profile-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'hospital-profile-modal') closeHospitalProfile();
+    });
+}
+
+/**
+ * Open the profile of one hospital - its details show at once, procedures and market position once the worker has them
+ */
+async function openHospitalProfile(provnum) {
+    const hospital = AppState.hospitalData.hospitals[provnum];
+    if (!hospital) return;
+
+    profileProvnum = provnum;
+    document.getElementById('hospital-profile-title').textContent = `${hospital.name} (${provnum})`;
+    renderProfileDetails(hospital);
+    updateProfileActions();
+
+    const content = document.getElementById('hospital-profile-content');
+    content.innerHTML = '<p class="distribution-note">Loading procedures and market position...</p>';
+    document.getElementById('hospital-profile-modal').classList.remove('hidden');
+
+    if (activeProfileRequestId !== null) {
+        cancelWorkerRequest(activeProfileRequestId);
+    }
+
+    const request = workerRequest('hospital-profile', {
+        provnum,
+        metric: AppState.metric,
+        methodology: AppState.methodology,
+        outlierLogic: { ...AppState.outlierLogic }
+    });
+    activeProfileRequestId = request.id;
+
+    try {
+        const profile = await request.promise;
+        activeProfileRequestId = null;
+        renderProfileContent(profile);
+    } catch (error) {
+        if (error.cancelled) return;
+        activeProfileRequestId = null;
+        console.error('Error loading hospital profile:', error);
+        content.innerHTML = `<p class="distribution-note">Could not load the profile: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+/**
+ * Close the profile, dropping any request still running
+ */
+function closeHospitalProfile() {
+    if (activeProfileRequestId !== null) {
+        cancelWorkerRequest(activeProfileRequestId);
+        activeProfileRequestId = null;
+    }
+    document.getElementById('hospital-profile-modal').classList.add('hidden');
+    profileProvnum = null;
+}
+
+/**
+ * Facility details and the summary totals from the data pipeline
+ */
+function renderProfileDetails(hospital) {
+    const formatDollars = value => value ? `$${Math.round(value).toLocaleString()}` : '-';
+    const items = [
+        ['Location', `${escapeHtml(hospital.city)}, ${escapeHtml(hospital.state)} ${escapeHtml(hospital.zip_code || '')}`],
+        ['Hospital Type', escapeHtml(hospital.hospital_type || '-')],
+        ['Ownership', escapeHtml(hospital.ownership || '-')],
+        ['Beds', hospital.beds_total ? hospital.beds_total.toLocaleString() : '-'],
+        ['Net Patient Revenue', formatDollars(hospital.net_patient_revenue)]
+    ];
+    if (hospital.health_system) {
+        items.push(['Health System', escapeHtml(hospital.health_system)]);
+    }
+
+    const summary = hospital.summary;
+    if (summary) {
+        items.push(
+            ['Total Cases', summary.total_volume.toLocaleString()],
+            ['Total Charges', formatDollars(summary.total_charges)],
+            ['Total Cost', formatDollars(summary.total_cost)],
+            ['Total Paid', formatDollars(summary.total_paid)],
+            ['Avg Charge per Case', formatCurrency(summary.avg_charge_per_case)]
+        );
+    }
+
+    document.getElementById('hospital-profile-details').innerHTML = items.map(([name, value]) => `
+        <div class="distribution-stat">
+            <span class="distribution-stat-label">${name}</span>
+            <span class="distribution-stat-value">${value}</span>
+        </div>
+    `).join('');
+}
+
+/**
+ * Market position cards, top procedures and service category mix from the worker
+ */
+function renderProfileContent(profile) {
+    const content = document.getElementById('hospital-profile-content');
+    const { label, totalLabel } = METRICS[profile.metric];
+
+    if (profile.procedureCount === 0) {
+        content.innerHTML = `<p class="distribution-note">This hospital reports no procedures with a ${label.toLowerCase()}.</p>`;
+        return;
+    }
+
+    const procedureRows = procedures => procedures.map(proc => `
+        <tr>
+            <td class="code-cell">${escapeHtml(proc.code)}</td>
+            <td>${escapeHtml(proc.name)}</td>
+            <td class="number-cell">${proc.volume.toLocaleString()}</td>
+            <td class="number-cell">${formatCurrency(proc.price)}</td>
+            <td class="number-cell">$${proc.revenue.toLocaleString('en-US', {maximumFractionDigits: 0})}</td>
+        </tr>
+    `).join('');
+    const procedureTable = (title, procedures) => `
+        <h4 class="distribution-exclusions-title">${title}</h4>
+        <table class="comparison-table">
+            <thead>
+                <tr>
+                    <th>CPT/HCPCS</th>
+                    <th>Procedure Name</th>
+                    <th>Volume</th>
+                    <th>Avg ${label}</th>
+                    <th>${totalLabel}</th>
+                </tr>
+            </thead>
+            <tbody>${procedureRows(procedures)}</tbody>
+        </table>
+    `;
+    const formatShare = share => `${(share * 100).toFixed(1)}%`;
+    const categoryRows = profile.categoryMix.map(category => `
+        <tr>
+            <td>${escapeHtml(category.serviceCategory)}</td>
+            <td class="number-cell">${category.procedureCount}</td>
+            <td class="number-cell">${category.volume.toLocaleString()}</td>
+            <td class="number-cell">${formatShare(category.volumeShare)}</td>
+            <td class="number-cell">$${category.revenue.toLocaleString('en-US', {maximumFractionDigits: 0})}</td>
+            <td class="number-cell">${formatShare(category.revenueShare)}</td>
+        </tr>
+    `).join('');
+
+    content.innerHTML = `
+        <div class="metrics-grid profile-positions"></div>
+        <p class="table-note">${profile.procedureCount.toLocaleString()} procedures, ${profile.totalVolume.toLocaleString()} cases, $${profile.totalRevenue.toLocaleString('en-US', {maximumFractionDigits: 0})} ${totalLabel.toLowerCase()} at the hospital's average ${label.toLowerCase()}s</p>
+        ${procedureTable('Top Procedures by Volume', profile.topByVolume)}
+        ${procedureTable(`Top Procedures by ${totalLabel}`, profile.topByRevenue)}
+        <h4 class="distribution-exclusions-title">Service Category Mix</h4>
+        <table class="comparison-table">
+            <thead>
+                <tr>
+                    <th>Service Category</th>
+                    <th>Procedures</th>
+                    <th>Volume</th>
+                    <th>% of Cases</th>
+                    <th>${totalLabel}</th>
+                    <th>% of ${totalLabel}</th>
+                </tr>
+            </thead>
+            <tbody>${categoryRows}</tbody>
+        </table>
+    `;
+
+    // Same state and national positions as the metric cards, with this hospital as the only target
+    const positions = content.querySelector('.profile-positions');
+    [
+        ['State Market Position', profile.marketPosition.state, 'state', 'ALL hospitals in the same state'],
+        ['National Market Position', profile.marketPosition.national, 'national', 'ALL hospitals nationally']
+    ].forEach(([cardLabel, variance, scope, market]) => {
+        positions.appendChild(renderMetricCard({
+            label: cardLabel,
+            value: `${Math.abs(variance).toFixed(1)}%`,
+            subvalue: `${variance < 0 ? 'Below' : 'Above'} ${scope} average - ${label}`,
+            isPosition: true,
+            positionValue: variance,
+            showTriangle: true,
+            tooltip: `This hospital's ${label.toLowerCase()}s compared to ${market}, weighted by its own volumes with the selected methodology and outlier settings.`
+        }));
+    });
+}
+
+/**
+ * Disable the actions that would not change anything for the profiled hospital
+ */
+function updateProfileActions() {
+    const targets = AppState.selectedTargetHospitals;
+    const useTarget = document.getElementById('profile-use-target');
+    const addPeer = document.getElementById('profile-add-peer');
+
+    const isOnlyTarget = targets.size === 1 && targets.has(profileProvnum);
+    useTarget.disabled = isOnlyTarget;
+    useTarget.textContent = isOnlyTarget ? 'Current Target' : 'Use as Target';
+
+    const isPeer = AppState.selectedCompareHospitals.has(profileProvnum);
+    addPeer.disabled = isPeer;
+    addPeer.textContent = isPeer ? 'In Peer Group' : 'Add to Peers';
+}
+
+/**
+ * Make the profiled hospital the only target - it leaves the peer group if it was in it
+ */
+function useProfileHospitalAsTarget() {
+    const hospital = AppState.hospitalData.hospitals[profileProvnum];
+
+    cancelActiveComparison();
+    AppState.selectedTargetHospitals.clear();
+    AppState.selectedTargetHospitals.add(profileProvnum);
+    AppState.selectedCompareHospitals.delete(profileProvnum);
+    renderSelectedHospitals('target');
+    renderSelectedHospitals('compare');
+    filterHospitals(DOM.targetSearchInput.value, 'target');
+    filterHospitals(DOM.compareSearchInput.value, 'compare');
+
+    updateProfileActions();
+    showSuccessMessage(`${hospital.name} is now the target`);
+}
+
+function addProfileHospitalToPeers() {
+    const hospital = AppState.hospitalData.hospitals[profileProvnum];
+
+    addHospitalsToList('compare', [profileProvnum]);
+    updateProfileActions();
+    showSuccessMessage(`Added ${hospital.name} to the peer group`);
+}
+
+/* ============================================
+   REGIONS
+   ============================================ */
+
+// Region filters and the regional benchmark hold region ids: custom:<id> for a saved custom
+// region, or the bundled census:<name>, cbsa:<code> and hrr:<code>
+
+// Members shown in a custom region's summary before "+N more"
+const REGION_SUMMARY_MEMBERS = 5;
+
+// Custom region being edited in the regions modal (null for a new one)
+let editingRegionId = null;
+
+function initRegionEditor() {
+    document.getElementById('target-edit-regions').addEventListener('click', openRegionsModal);
+    document.getElementById('compare-edit-regions').addEventListener('click', openRegionsModal);
+    document.getElementById('close-regions-modal').addEventListener('click', closeRegionsModal);
+    document.getElementById('cancel-region-edit').addEventListener('click', closeRegionsModal);
+    document.getElementById('save-region-btn').addEventListener('click', saveCustomRegion);
+    document.getElementById('region-type').addEventListener('change', () => renderRegionMemberOptions([]));
+    document.getElementById('regions-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'regions-modal') closeRegionsModal();
+    });
+    bindSavedListActions(document.getElementById('custom-region-list'), {
+        open: editCustomRegion,
+        edit: editCustomRegion,
+        delete: deleteCustomRegion
+    });
+}
+
+function getCustomRegions() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEYS.CUSTOM_REGIONS) || '[]');
+    } catch (e) {
+        console.error('Error loading custom regions:', e);
+        return [];
+    }
+}
+
+function storeCustomRegions(regions) {
+    localStorage.setItem(STORAGE_KEYS.CUSTOM_REGIONS, JSON.stringify(regions));
+    renderRegionOptions();
+}
+
+/**
+ * Region definition { name, type, values } for a region id, or null when it is unknown
+ */
+function resolveRegion(regionId) {
+    const separator = regionId.indexOf(':');
+    const kind = regionId.slice(0, separator);
+    const key = regionId.slice(separator + 1);
+
+    switch (kind) {
+        case 'custom': {
+            const region = getCustomRegions().find(item => item.id === key);
+            return region ? { name: region.name, type: region.type, values: region.values } : null;
+        }
+        case 'census':
+            return CENSUS_REGIONS[key] ? { name: `${key} Census Region`, type: 'states', values: CENSUS_REGIONS[key] } : null;
+        case 'cbsa':
+        case 'hrr': {
+            const names = AppState.regionNames[kind] || {};
+            if (!names[key]) return null;
+            return { name: kind === 'hrr' ? `${names[key]} HRR` : names[key], type: kind, values: [key] };
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * Fill the region filter and regional benchmark dropdowns from the custom and bundled regions
+ */
+function renderRegionOptions() {
+    const byName = (a, b) => a[1].localeCompare(b[1]);
+    const bundled = type => Object.entries(AppState.regionNames[type] || {})
+        .map(([code, name]) => [`${type}:${code}`, name])
+        .sort(byName);
+
+    const groups = [
+        ['My Regions', getCustomRegions().map(region => [`custom:${region.id}`, region.name]).sort(byName)],
+        ['Census Regions', Object.keys(CENSUS_REGIONS).map(name => [`census:${name}`, name])],
+        [REGION_TYPES.cbsa.label, bundled('cbsa')],
+        [REGION_TYPES.hrr.label, bundled('hrr')]
+    ];
+    const optgroups = groups
+        .filter(([, options]) => options.length > 0)
+        .map(([label, options]) => `<optgroup label="${label}">${options.map(([value, name]) =>
+            `<option value="${escapeHtml(value)}">${escapeHtml(name)}</option>`).join('')}</optgroup>`)
+        .join('');
+
+    [
+        [document.getElementById('target-region'), 'All Regions', AppState.filters.target.region],
+        [document.getElementById('compare-region'), 'All Regions', AppState.filters.compare.region],
+        [DOM.regionalBenchmarkFilter, 'None', AppState.regionalBenchmark]
+    ].forEach(([select, emptyLabel, value]) => {
+        select.innerHTML = `<option value="">${emptyLabel}</option>${optgroups}`;
+        select.value = value;
+    });
+}
+
+function openRegionsModal() {
+    // Metro areas and referral regions need the region crosswalk (build_regions.py)
+    document.querySelectorAll('#region-type option').forEach(option => {
+        option.disabled = option.value !== 'states' && !AppState.regionNames[option.value];
+    });
+
+    resetRegionForm();
+    renderCustomRegionList();
+    document.getElementById('regions-modal').classList.remove('hidden');
+}
+
+function closeRegionsModal() {
+    document.getElementById('regions-modal').classList.add('hidden');
+    editingRegionId = null;
+}
+
+function resetRegionForm() {
+    editingRegionId = null;
+    document.getElementById('region-form-title').textContent = 'New Region';
+    document.getElementById('region-name').value = '';
+    document.getElementById('region-type').value = 'states';
+    renderRegionMemberOptions([]);
+}
+
+/**
+ * Fill the member list with every state, metro area or referral region of the chosen type
+ */
+function renderRegionMemberOptions(selectedValues) {
+    const type = document.getElementById('region-type').value;
+    const selected = new Set(selectedValues);
+
+    const members = type === 'states'
+        ? Array.from(new Set(AppState.hospitalsArray.map(h => h.state).filter(Boolean))).sort().map(state => [state, state])
+        : Object.entries(AppState.regionNames[type] || {}).sort((a, b) => a[1].localeCompare(b[1]));
+
+    document.getElementById('region-values').innerHTML = members
+        .map(([value, name]) => `<option value="${escapeHtml(value)}"${selected.has(value) ? ' selected' : ''}>${escapeHtml(name)}</option>`)
+        .join('');
+}
+
+/**
+ * Member names of a custom region, e.g. "NY, NJ, CT"
+ */
+function describeRegionMembers(region) {
+    const names = AppState.regionNames[region.type] || {};
+    const members = region.values.map(value => names[value] || value);
+    const shown = members.slice(0, REGION_SUMMARY_MEMBERS).join(', ');
+    return members.length > REGION_SUMMARY_MEMBERS ? `${shown} +${members.length - REGION_SUMMARY_MEMBERS} more` : shown;
+}
+
+function renderCustomRegionList() {
+    const regions = getCustomRegions();
+    const container = document.getElementById('custom-region-list');
+    const emptyState = document.getElementById('custom-region-empty');
+
+    if (regions.length === 0) {
+        container.innerHTML = '';
+        emptyState.classList.remove('hidden');
+        return;
+    }
+
+    emptyState.classList.add('hidden');
+    container.innerHTML = regions.map(region => `
+        <div class="saved-list-item" data-id="${escapeHtml(region.id)}">
+            <div class="saved-list-main">
+                <div class="saved-list-name">${escapeHtml(region.name)}</div>
+                <div class="saved-list-details">
+                    <span class="saved-list-count">${region.values.length} ${REGION_TYPES[region.type].label}</span>
+                    <span class="saved-list-separator">•</span>
+                    <span class="saved-list-date">${escapeHtml(describeRegionMembers(region))}</span>
+                </div>
+            </div>
+            <div class="saved-list-actions">
+                <button class="list-action-btn edit" data-action="edit" title="Edit">
+                    <svg width="18" height="18" viewBox="0 0 20 20" fill="currentColor">
+                        <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z"/>
+                    </svg>
+                </button>
+                <button class="list-action-btn delete" data-action="delete" title="Delete">
+                    <svg width="18" height="18" viewBox="0 0 20 20" fill="currentColor">
+                        <path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clip-rule="evenodd"/>
+                    </svg>
+                </button>
+            </div>
+        </div>
+    `).join('');
+}
+
+function editCustomRegion(id) {
+    const region = getCustomRegions().find(item => item.id === id);
+    if (!region) return;
+
+    editingRegionId = id;
+    document.getElementById('region-form-title').textContent = `Edit ${region.name}`;
+    document.getElementById('region-name').value = region.name;
+    document.getElementById('region-type').value = region.type;
+    renderRegionMemberOptions(region.values);
+}
+
+function deleteCustomRegion(id) {
+    if (!confirm('Are you sure you want to delete this region?')) return;
+
+    storeCustomRegions(getCustomRegions().filter(item => item.id !== id));
+    clearRegionReferences(`custom:${id}`);
+
+    if (editingRegionId === id) resetRegionForm();
+    renderCustomRegionList();
+}
+
+function saveCustomRegion() {
+    const name = document.getElementById('region-name').value.trim();
+    const type = document.getElementById('region-type').value;
+    const values = Array.from(document.getElementById('region-values').selectedOptions).map(option => option.value);
+
+    if (!name) {
+        alert('Please enter a name for the region');
+        return;
+    }
+    if (values.length === 0) {
+        alert('Please select at least one member for the region');
+        return;
+    }
+
+    const regions = getCustomRegions();
+    const existing = regions.find(item => item.id === editingRegionId);
+    if (existing) {
+        Object.assign(existing, { name, type, values });
+    } else {
+        regions.push({ id: createUniqueId(regions), name, type, values, createdAt: new Date().toISOString() });
+    }
+    storeCustomRegions(regions);
+
+    // Hospital lists filtered by an edited region pick up its new members
+    if (existing) {
+        ['target', 'compare'].forEach(filterType => {
+            if (AppState.filters[filterType].region === `custom:${existing.id}`) {
+                updateFilterState(filterType);
+            }
+        });
+    }
+
+    showSuccessMessage(existing ? 'Region updated' : 'Region saved');
+    resetRegionForm();
+    renderCustomRegionList();
+}
+
+/**
+ * Drop a deleted region from the filters and the regional benchmark
+ */
+function clearRegionReferences(regionId) {
+    ['target', 'compare'].forEach(type => {
+        if (AppState.filters[type].region === regionId) {
+            document.getElementById(`${type}-region`).value = '';
+            updateFilterState(type);
+        }
+    });
+
+    if (AppState.regionalBenchmark === regionId) {
+        AppState.regionalBenchmark = '';
+        DOM.regionalBenchmarkFilter.value = '';
+    }
+}
+
+/**
+ * Definitions of the custom regions an analysis config refers to, so shared links and
+ * saved analyses work on machines that do not have them
+ */
+function collectConfigRegions(config) {
+    const filters = config.filters || {};
+    const ids = [
+        filters.target && filters.target.region,
+        filters.compare && filters.compare.region,
+        config.regionalBenchmark
+    ].filter(id => id && id.startsWith('custom:')).map(id => id.slice('custom:'.length));
+
+    return getCustomRegions().filter(region => ids.includes(region.id));
+}
+
+/**
+ * Save the custom regions carried by an analysis config and return the local id for each carried id
+ * Ids in a config come from another machine, so a region is matched to a stored one by its type
+ * and members, and otherwise stored under a new id - never under the carried one
+ */
+function importConfigRegions(regions) {
+    const localIds = {};
+    if (!Array.isArray(regions)) return localIds;
+
+    const stored = getCustomRegions();
+    const storedCount = stored.length;
+    regions.forEach(region => {
+        if (!region || typeof region.id !== 'string' || typeof region.name !== 'string' ||
+            !REGION_TYPES[region.type] || !Array.isArray(region.values)) return;
+
+        const values = region.values.map(String);
+        const match = stored.find(item => item.type === region.type && haveSameMembers(item.values, values));
+        if (match) {
+            localIds[region.id] = match.id;
+            return;
+        }
+
+        const id = createUniqueId(stored);
+        stored.push({ id, name: region.name, type: region.type, values, createdAt: new Date().toISOString() });
+        localIds[region.id] = id;
+    });
+
+    if (stored.length > storedCount) storeCustomRegions(stored);
+    return localIds;
+}
+
+/**
+ * Point a region reference from an analysis config at the local copy of its custom region
+ */
+function localRegionReference(regionId, localIds) {
+    if (typeof regionId !== 'string') return '';
+    if (!regionId.startsWith('custom:')) return regionId;
+
+    const localId = localIds[regionId.slice('custom:'.length)];
+    return localId ? `custom:${localId}` : regionId;
+}
+
+/* ============================================
+   PROCEDURE BASKETS
+   ============================================ */
+
+// A basket is a saved list of codes priced as one mix: { id, name, codes, weighting, weights }
+// weights maps code to the weight entered with it; only fixed weighting uses them (see BASKET_WEIGHTINGS)
+
+// Basket being edited in the baskets modal (null for a new one)
+let editingBasketId = null;
+
+function initBasketEditor() {
+    document.getElementById('edit-baskets-btn').addEventListener('click', openBasketsModal);
+    document.getElementById('close-baskets-modal').addEventListener('click', closeBasketsModal);
+    document.getElementById('cancel-basket-edit').addEventListener('click', closeBasketsModal);
+    document.getElementById('save-basket-btn').addEventListener('click', saveBasket);
+    document.getElementById('basket-fill-btn').addEventListener('click', fillBasketFromProcedureFilter);
+    document.getElementById('baskets-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'baskets-modal') closeBasketsModal();
+    });
+    bindSavedListActions(document.getElementById('basket-list'), {
+        open: editBasket,
+        edit: editBasket,
+        delete: deleteBasket
+    });
+
+    renderBasketOptions();
+}
+
+function getBaskets() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEYS.PROCEDURE_BASKETS) || '[]');
+    } catch (e) {
+        console.error('Error loading procedure baskets:', e);
+        return [];
+    }
+}
+
+function storeBaskets(baskets) {
+    localStorage.setItem(STORAGE_KEYS.PROCEDURE_BASKETS, JSON.stringify(baskets));
+    renderBasketOptions();
+}
+
+/**
+ * Basket definition { name, codes, weighting, weights } for a basket id, or null when it is unknown
+ */
+function resolveBasket(basketId) {
+    const basket = getBaskets().find(item => item.id === basketId);
+    if (!basket) return null;
+    return { name: basket.name, codes: basket.codes, weighting: basket.weighting, weights: basket.weights || {} };
+}
+
+/**
+ * Fill the basket dropdown, keeping the choice that has not been applied yet when it still exists
+ */
+function renderBasketOptions() {
+    const baskets = getBaskets().sort((a, b) => a.name.localeCompare(b.name));
+    const current = DOM.basketFilter.value;
+
+    DOM.basketFilter.innerHTML = `<option value="">None</option>${baskets
+        .map(basket => `<option value="${escapeHtml(basket.id)}">${escapeHtml(basket.name)}</option>`)
+        .join('')}`;
+    DOM.basketFilter.value = baskets.some(basket => basket.id === current) ? current : '';
+}
+
+function openBasketsModal() {
+    resetBasketForm();
+    renderBasketList();
+    document.getElementById('baskets-modal').classList.remove('hidden');
+}
+
+function closeBasketsModal() {
+    document.getElementById('baskets-modal').classList.add('hidden');
+    editingBasketId = null;
+}
+
+function resetBasketForm() {
+    editingBasketId = null;
+    document.getElementById('basket-form-title').textContent = 'New Basket';
+    document.getElementById('basket-name').value = '';
+    document.getElementById('basket-weighting').value = 'equal';
+    document.getElementById('basket-codes').value = '';
+}
+
+function renderBasketList() {
+    const baskets = getBaskets();
+    const container = document.getElementById('basket-list');
+    const emptyState = document.getElementById('basket-empty');
+
+    if (baskets.length === 0) {
+        container.innerHTML = '';
+        emptyState.classList.remove('hidden');
+        return;
+    }
+
+    emptyState.classList.add('hidden');
+    container.innerHTML = baskets.map(basket => `
+        <div class="saved-list-item" data-id="${escapeHtml(basket.id)}">
+            <div class="saved-list-main">
+                <div class="saved-list-name">${escapeHtml(basket.name)}</div>
+                <div class="saved-list-details">
+                    <span class="saved-list-count">${basket.codes.length} code${basket.codes.length !== 1 ? 's' : ''}</span>
+                    <span class="saved-list-separator">•</span>
+                    <span class="saved-list-date">${BASKET_WEIGHTINGS[basket.weighting].label}</span>
+                </div>
+            </div>
+            <div class="saved-list-actions">
+                <button class="list-action-btn edit" data-action="edit" title="Edit">
+                    <svg width="18" height="18" viewBox="0 0 20 20" fill="currentColor">
+                        <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z"/>
+                    </svg>
+                </button>
+                <button class="list-action-btn delete" data-action="delete" title="Delete">
+                    <svg width="18" height="18" viewBox="0 0 20 20" fill="currentColor">
+                        <path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clip-rule="evenodd"/>
+                    </svg>
+                </button>
+            </div>
+        </div>
+    `).join('');
+}
+
+/**
+ * Codes of a basket as edited - one per line, followed by its weight when it has one
+ */
+function formatBasketCodes(basket) {
+    const weights = basket.weights || {};
+    return basket.codes.map(code => weights[code] != null ? `${code}, ${weights[code]}` : code).join('\n');
+}
+
+function editBasket(id) {
+    const basket = getBaskets().find(item => item.id === id);
+    if (!basket) return;
+
+    editingBasketId = id;
+    document.getElementById('basket-form-title').textContent = `Edit ${basket.name}`;
+    document.getElementById('basket-name').value = basket.name;
+    document.getElementById('basket-weighting').value = basket.weighting;
+    document.getElementById('basket-codes').value = formatBasketCodes(basket);
+}
+
+function deleteBasket(id) {
+    if (!confirm('Are you sure you want to delete this basket?')) return;
+
+    storeBaskets(getBaskets().filter(item => item.id !== id));
+    if (AppState.procedureFilters.basket === id) {
+        AppState.procedureFilters.basket = '';
+    }
+
+    if (editingBasketId === id) resetBasketForm();
+    renderBasketList();
+}
+
+/**
+ * Read the basket code list: one code per line, optionally followed by a weight
+ * Returns { codes, weights, unknownCodes, badWeights } - codes not in the loaded data and
+ * weights that are not positive numbers are listed rather than kept
+ */
+function parseBasketCodes(text) {
+    const knownCodes = new Set(AppState.hospitalData.procedure_codes);
+    const parsed = { codes: [], weights: {}, unknownCodes: [], badWeights: [] };
+
+    text.split(/\r?\n/).forEach(line => {
+        const [rawCode, rawWeight] = line.split(/[,\t]|\s+/).map(part => part.trim()).filter(Boolean);
+        if (!rawCode) return;
+
+        const code = rawCode.toUpperCase();
+        if (!knownCodes.has(code)) {
+            parsed.unknownCodes.push(rawCode);
+            return;
+        }
+        if (parsed.codes.includes(code)) return;
+        parsed.codes.push(code);
+
+        if (rawWeight !== undefined) {
+            const weight = parseFloat(rawWeight);
+            if (weight > 0) {
+                parsed.weights[code] = weight;
+            } else {
+                parsed.badWeights.push(code);
+            }
+        }
+    });
+
+    return parsed;
+}
+
+/**
+ * Add the codes the CPT/HCPCS filter matches to the basket code list
+ */
+function fillBasketFromProcedureFilter() {
+    const parsedFilter = parseCptFilter(getProcedureFilterValue());
+    if (!parsedFilter) {
+        alert('Enter codes or ranges in the CPT/HCPCS filter first');
+        return;
+    }
+
+    const textarea = document.getElementById('basket-codes');
+    const listed = new Set(parseBasketCodes(textarea.value).codes);
+    const added = AppState.hospitalData.procedure_codes
+        .filter(createCptCodeFilter(parsedFilter))
+        .filter(code => !listed.has(code));
+
+    if (added.length === 0) {
+        alert('The CPT/HCPCS filter matches no codes that are not in the basket already');
+        return;
+    }
+
+    textarea.value = [textarea.value.trim(), ...added].filter(Boolean).join('\n');
+}
+
+function saveBasket() {
+    const name = document.getElementById('basket-name').value.trim();
+    const weighting = document.getElementById('basket-weighting').value;
+    const { codes, weights, unknownCodes, badWeights } = parseBasketCodes(document.getElementById('basket-codes').value);
+
+    if (!name) {
+        alert('Please enter a name for the basket');
+        return;
+    }
+    if (unknownCodes.length > 0) {
+        alert(`These codes are not in the loaded data: ${unknownCodes.join(', ')}`);
+        return;
+    }
+    if (badWeights.length > 0) {
+        alert(`Weights must be positive numbers - check: ${badWeights.join(', ')}`);
+        return;
+    }
+    if (codes.length === 0) {
+        alert('Please enter at least one code for the basket');
+        return;
+    }
+    if (weighting === 'fixed') {
+        const unweighted = codes.filter(code => weights[code] == null);
+        if (unweighted.length > 0) {
+            alert(`Fixed weights need a weight for every code - missing for: ${unweighted.join(', ')}`);
+            return;
+        }
+    }
+
+    const baskets = getBaskets();
+    const existing = baskets.find(item => item.id === editingBasketId);
+    if (existing) {
+        Object.assign(existing, { name, codes, weighting, weights });
+    } else {
+        baskets.push({ id: createUniqueId(baskets), name, codes, weighting, weights, createdAt: new Date().toISOString() });
+    }
+    storeBaskets(baskets);
+
+    showSuccessMessage(existing ? 'Basket updated' : 'Basket saved');
+    resetBasketForm();
+    renderBasketList();
+}
+
+/**
+ * Definition of the basket an analysis config uses, so shared links and saved analyses
+ * work on machines that do not have it
+ */
+function collectConfigBaskets(config) {
+    const basketId = config.procedureFilters && config.procedureFilters.basket;
+    return basketId ? getBaskets().filter(basket => basket.id === basketId) : [];
+}
+
+/**
+ * Save the baskets carried by an analysis config and return the local id for each carried id
+ * Like custom regions, a basket is matched to a stored one by its codes and weights, and
+ * otherwise stored under a new id
+ */
+function importConfigBaskets(baskets) {
+    const localIds = {};
+    if (!Array.isArray(baskets)) return localIds;
+
+    const stored = getBaskets();
+    const storedCount = stored.length;
+    baskets.forEach(basket => {
+        if (!basket || typeof basket.id !== 'string' || typeof basket.name !== 'string' ||
+            !BASKET_WEIGHTINGS[basket.weighting] || !Array.isArray(basket.codes)) return;
+
+        const codes = basket.codes.map(String);
+        const carriedWeights = basket.weights || {};
+        const weights = {};
+        codes.filter(code => Number(carriedWeights[code]) > 0).forEach(code => {
+            weights[code] = Number(carriedWeights[code]);
+        });
+
+        const match = stored.find(item =>
+            item.weighting === basket.weighting && haveSameMembers(item.codes, codes) &&
+            codes.every(code => (item.weights || {})[code] === weights[code])
+        );
+        if (match) {
+            localIds[basket.id] = match.id;
+            return;
+        }
+
+        const id = createUniqueId(stored);
+        stored.push({ id, name: basket.name, codes, weighting: basket.weighting, weights, createdAt: new Date().toISOString() });
+        localIds[basket.id] = id;
+    });
+
+    if (stored.length > storedCount) storeBaskets(stored);
+    return localIds;
+}
+
+/* ============================================
+   SHAREABLE URL STATE
+   ============================================ */
+
+// Analysis configurations are serialized into the hash as #a=<encoded>
+// The first character of the encoding says how the rest is stored: j = JSON, z = JSON deflated with pako
+const URL_HASH_PARAM = 'a';
+const ANALYSIS_CONFIG_VERSION = 1;
+
+// JSON longer than this is compressed
+const URL_COMPRESSION_THRESHOLD = 1000;
+
+// Settings omitted from the URL while they keep these values
+const ANALYSIS_DEFAULTS = {
+    metric: AppState.metric,
+    methodology: AppState.methodology,
+    indexMix: AppState.indexMix,
+    sideBySide: AppState.sideBySide,
+    regionalBenchmark: AppState.regionalBenchmark,
+    outlierLogic: { ...AppState.outlierLogic },
+    sort: { ...AppState.currentSort },
+    tab: 'hospitals'
+};
+
+// Configuration the current URL represents, as JSON (null when the URL has none)
+let urlStateKey = null;
+
+/**
+ * Capture the current analysis setup: selections, filters, procedure filters, price measure,
+ * methodology, volume mix, side-by-side targets, regional benchmark, outlier settings, sort and active tab
+ * Custom regions and the procedure basket the setup refers to are included; empty and default values are left out to keep links short
+ */
+function captureAnalysisConfig() {
+    const config = { v: ANALYSIS_CONFIG_VERSION };
+
+    if (AppState.selectedTargetHospitals.size > 0) config.target = Array.from(AppState.selectedTargetHospitals);
+    if (AppState.selectedCompareHospitals.size > 0) config.compare = Array.from(AppState.selectedCompareHospitals);
+
+    const filters = {};
+    ['target', 'compare'].forEach(type => {
+        const set = pickNonEmpty(AppState.filters[type]);
+        if (Object.keys(set).length > 0) filters[type] = set;
+    });
+    if (Object.keys(filters).length > 0) config.filters = filters;
+
+    const procedureFilters = pickNonEmpty(AppState.procedureFilters);
+    if (Object.keys(procedureFilters).length > 0) config.procedureFilters = procedureFilters;
+
+    if (AppState.metric !== ANALYSIS_DEFAULTS.metric) config.metric = AppState.metric;
+    if (AppState.methodology !== ANALYSIS_DEFAULTS.methodology) config.methodology = AppState.methodology;
+    if (AppState.indexMix !== ANALYSIS_DEFAULTS.indexMix) config.indexMix = AppState.indexMix;
+    if (AppState.sideBySide !== ANALYSIS_DEFAULTS.sideBySide) config.sideBySide = AppState.sideBySide;
+    if (AppState.regionalBenchmark) config.regionalBenchmark = AppState.regionalBenchmark;
+    if (AppState.outlierLogic.enabled) config.outlierLogic = { ...AppState.outlierLogic };
+
+    const regions = collectConfigRegions(config);
+    if (regions.length > 0) config.regions = regions;
+
+    const baskets = collectConfigBaskets(config);
+    if (baskets.length > 0) config.baskets = baskets;
+
+    const sort = AppState.currentSort;
+    if (sort.column !== ANALYSIS_DEFAULTS.sort.column || sort.direction !== ANALYSIS_DEFAULTS.sort.direction) {
+        config.sort = { ...sort };
+    }
+
+    const activeTab = document.querySelector('.tab-button.active');
+    if (activeTab && activeTab.dataset.tab && activeTab.dataset.tab !== ANALYSIS_DEFAULTS.tab) {
+        config.tab = activeTab.dataset.tab;
+    }
+
+    return config;
+}
+
+/**
+ * Restore an analysis setup captured by captureAnalysisConfig (missing values revert to defaults)
+ * Returns the provider numbers that are not in the loaded data; they are skipped
+ */
+function applyAnalysisConfig(config) {
+    cancelActiveComparison();
+
+    // Custom regions and baskets first, so the filters and benchmark below can find them
+    const regionIds = importConfigRegions(config.regions);
+    const basketIds = importConfigBaskets(config.baskets);
+
+    const unknownProvnums = [];
+    [['target', AppState.selectedTargetHospitals], ['compare', AppState.selectedCompareHospitals]].forEach(([type, selectedSet]) => {
+        selectedSet.clear();
+        (config[type] || []).forEach(provnum => {
+            if (AppState.hospitalData.hospitals[provnum]) {
+                selectedSet.add(provnum);
+            } else {
+                unknownProvnums.push(provnum);
+            }
+        });
+        renderSelectedHospitals(type);
+
+        const saved = config.filters ? config.filters[type] : null;
+        AppState.filters[type] = mergeFilterSet(AppState.filters[type], saved);
+        AppState.filters[type].region = localRegionReference(AppState.filters[type].region, regionIds);
+        if (AppState.filters[type].region && !resolveRegion(AppState.filters[type].region)) {
+            // e.g. a metro area filter opened where the region crosswalk has not been built
+            AppState.filters[type].region = '';
+        }
+        updateFilterUI(type);
+        updateFilterCountBadge(type);
+    });
+
+    AppState.procedureFilters = mergeKnownKeys(AppState.procedureFilters, config.procedureFilters, '');
+    AppState.procedureFilters.basket = basketIds[AppState.procedureFilters.basket] || AppState.procedureFilters.basket;
+    DOM.serviceCategoryFilter.value = AppState.procedureFilters.serviceCategory;
+    DOM.procedureFilter.value = AppState.procedureFilters.cptCode;
+    updateProcedureFilterPreview();
+    DOM.shoppableServiceFilter.value = AppState.procedureFilters.shoppableService;
+    if (AppState.procedureFilters.basket && !resolveBasket(AppState.procedureFilters.basket)) {
+        AppState.procedureFilters.basket = '';
+    }
+    DOM.basketFilter.value = AppState.procedureFilters.basket;
+
+    AppState.metric = METRICS[config.metric] ? config.metric : ANALYSIS_DEFAULTS.metric;
+    DOM.metricFilter.value = AppState.metric;
+    updateMetricLabels();
+
+    AppState.methodology = METHODOLOGIES[config.methodology] ? config.methodology : ANALYSIS_DEFAULTS.methodology;
+    DOM.methodologyFilter.value = AppState.methodology;
+
+    AppState.indexMix = INDEX_MIXES[config.indexMix] ? config.indexMix : ANALYSIS_DEFAULTS.indexMix;
+    DOM.indexMixFilter.value = AppState.indexMix;
+
+    AppState.sideBySide = typeof config.sideBySide === 'boolean' ? config.sideBySide : ANALYSIS_DEFAULTS.sideBySide;
+    DOM.sideBySideTargets.checked = AppState.sideBySide;
+
+    const benchmark = localRegionReference(config.regionalBenchmark, regionIds);
+    AppState.regionalBenchmark = benchmark && resolveRegion(benchmark) ? benchmark : ANALYSIS_DEFAULTS.regionalBenchmark;
+    DOM.regionalBenchmarkFilter.value = AppState.regionalBenchmark;
+
+    AppState.outlierLogic = { ...ANALYSIS_DEFAULTS.outlierLogic, ...(config.outlierLogic || {}) };
+    if (!OUTLIER_METHODS[AppState.outlierLogic.method]) {
+        AppState.outlierLogic.method = ANALYSIS_DEFAULTS.outlierLogic.method;
+    }
+    renderOutlierControls();
+
+    AppState.currentSort = { ...ANALYSIS_DEFAULTS.sort, ...(config.sort || {}) };
+    renderSortIndicator(DOM.procedureTable, AppState.currentSort.column, AppState.currentSort.direction);
+
+    switchTab(config.tab || ANALYSIS_DEFAULTS.tab);
+
+    return unknownProvnums;
+}
+
+/**
+ * Restore the analysis in the URL hash and run it
+ * Called at startup and on back/forward navigation
+ */
+async function restoreUrlState() {
+    const encoded = new URLSearchParams(window.location.hash.slice(1)).get(URL_HASH_PARAM);
+
+    if (!encoded) {
+        // Navigated back to the page before the first comparison
+        if (urlStateKey !== null) {
+            urlStateKey = null;
+            applyAnalysisConfig({ v: ANALYSIS_CONFIG_VERSION });
+            showEmptyState();
+        }
+        return;
+    }
+
+    let config;
+    try {
+        config = decodeAnalysisConfig(encoded);
+    } catch (error) {
+        console.error('Could not read the analysis in the URL:', error);
+        alert('This link does not contain a valid comparison. Please check that it was copied in full.');
+        return;
+    }
+
+    const unknownProvnums = applyAnalysisConfig(config);
+    if (unknownProvnums.length > 0) {
+        console.warn(`Link refers to ${unknownProvnums.length} hospital(s) not in the loaded data:`, unknownProvnums.join(', '));
+    }
+
+    urlStateKey = JSON.stringify(captureAnalysisConfig());
+
+    const hasTarget = AppState.selectedTargetHospitals.size > 0 ||
+        hasActiveFilters(AppState.filters.target);
+    if (hasTarget) {
+        await performComparison();
+    } else {
+        showEmptyState();
+    }
+}
+
+/**
+ * Record an analysis in the URL - 'push' adds a history entry, 'replace' updates the current one
+ * Does nothing when the URL already holds the same configuration
+ */
+function updateUrlState(config, mode) {
+    const key = JSON.stringify(config);
+    if (key === urlStateKey) return;
+    urlStateKey = key;
+
+    try {
+        const url = `#${URL_HASH_PARAM}=${encodeAnalysisConfig(config)}`;
+        if (mode === 'push') {
+            window.history.pushState(null, '', url);
+        } else {
+            window.history.replaceState(null, '', url);
+        }
+    } catch (error) {
+        console.warn('Could not update the URL:', error);
+    }
+}
+
+/**
+ * Drop the analysis from the URL, keeping a history entry to go back to
+ */
+function clearUrlState() {
+    if (urlStateKey === null) return;
+    urlStateKey = null;
+    window.history.pushState(null, '', window.location.pathname + window.location.search);
+}
+
+/**
+ * Encode a configuration for the URL hash, compressing it when large (and pako has loaded)
+ */
+function encodeAnalysisConfig(config) {
+    const bytes = new TextEncoder().encode(JSON.stringify(config));
+
+    if (bytes.length > URL_COMPRESSION_THRESHOLD && typeof pako !== 'undefined') {
+        return `z${bytesToBase64Url(pako.deflateRaw(bytes))}`;
+    }
+    return `j${bytesToBase64Url(bytes)}`;
+}
+
+/**
+ * Decode a configuration from the URL hash; throws when it is malformed or from an unknown version
+ */
+function decodeAnalysisConfig(encoded) {
+    let bytes = base64UrlToBytes(encoded.slice(1));
+
+    if (encoded[0] === 'z') {
+        bytes = pako.inflateRaw(bytes);
+    } else if (encoded[0] !== 'j') {
+        throw new Error(`Unknown encoding "${encoded[0]}"`);
+    }
+
+    const config = JSON.parse(new TextDecoder().decode(bytes));
+    if (!config || config.v !== ANALYSIS_CONFIG_VERSION) {
+        throw new Error('Unsupported configuration version');
+    }
+    return config;
+}
+
+function bytesToBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlToBytes(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+/**
+ * Copy of an object without its empty-string and empty-list values
+ */
+function pickNonEmpty(values) {
+    const picked = {};
+    Object.entries(values).forEach(([key, value]) => {
+        if (isFilterValueSet(value)) picked[key] = value;
+    });
+    return picked;
+}
+
+/**
+ * Take saved values for the keys of template, using fallback for the rest
+ */
+function mergeKnownKeys(template, saved, fallback) {
+    const merged = {};
+    Object.keys(template).forEach(key => {
+        merged[key] = saved && saved[key] != null ? saved[key] : fallback;
+    });
+    return merged;
+}
+
+/**
+ * Take saved hospital filters for the keys of template
+ * Filters saved before state, type and ownership took lists hold a single value, or ''
+ * Excluded peers that are not in the loaded data are dropped
+ */
+function mergeFilterSet(template, saved) {
+    const merged = mergeKnownKeys(template, saved, '');
+    Object.keys(template).forEach(key => {
+        const value = merged[key];
+        if (typeof template[key] === 'boolean') {
+            merged[key] = value === true;
+        } else if (Array.isArray(template[key])) {
+            merged[key] = Array.isArray(value) ? value.map(String) : value !== '' ? [String(value)] : [];
+        }
+    });
+    if (merged.excludeProvnums) {
+        merged.excludeProvnums = merged.excludeProvnums.filter(provnum => AppState.hospitalData.hospitals[provnum]);
+    }
+    return merged;
+}
+
+/* ============================================
+   SAVE/LOAD FUNCTIONALITY
+   ============================================ */
+
+// LocalStorage keys
+const STORAGE_KEYS = {
+    SAVED_TARGETS: 'hospital_saved_targets',
+    SAVED_PEERS: 'hospital_saved_peers',
+    SAVED_ANALYSES: 'hospital_saved_analyses',
+    CUSTOM_REGIONS: 'hospital_custom_regions',
+    PROCEDURE_BASKETS: 'hospital_procedure_baskets'
+};
+
+// Current edit state
+let currentEditItem = null;
+let currentEditType = null;
+
+/**
+ * Initialize save/load functionality - SIMPLIFIED VERSION
+ */
+function initSaveLoadFeatures() {
+    console.log('Initializing save/load features...');
+
+    // Save buttons
+    document.getElementById('save-target-btn').addEventListener('click', openSaveTargetModal);
+    document.getElementById('save-peer-btn').addEventListener('click', openSavePeerModal);
+
+    // View Saved buttons
+    document.getElementById('view-saved-target-btn').addEventListener('click', openViewTargetModal);
+    document.getElementById('view-saved-peer-btn').addEventListener('click', openViewPeerModal);
+
+    // Save Target Modal
+    document.getElementById('cancel-save-target').addEventListener('click', closeSaveTargetModal);
+    document.getElementById('confirm-save-target').addEventListener('click', confirmSaveTarget);
+    document.getElementById('save-target-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'save-target-modal') closeSaveTargetModal();
+    });
+    document.getElementById('save-target-name').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') confirmSaveTarget();
+    });
+
+    // Save Peer Modal
+    document.getElementById('cancel-save-peer').addEventListener('click', closeSavePeerModal);
+    document.getElementById('confirm-save-peer').addEventListener('click', confirmSavePeer);
+    document.getElementById('save-peer-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'save-peer-modal') closeSavePeerModal();
+    });
+    document.getElementById('save-peer-name').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') confirmSavePeer();
+    });
+
+    // View Target Modal
+    document.getElementById('close-view-target-modal').addEventListener('click', closeViewTargetModal);
+    bindSavedListActions(document.getElementById('view-target-list'), {
+        open: loadTargetFromGrid,
+        select: () => updateExportButton('target'),
+        rename: id => editSavedItemFromGrid(id, 'target'),
+        delete: id => deleteSavedItemFromGrid(id, 'target')
+    });
+    document.getElementById('view-saved-target-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'view-saved-target-modal') closeViewTargetModal();
+    });
+
+    // View Peer Modal
+    document.getElementById('close-view-peer-modal').addEventListener('click', closeViewPeerModal);
+    bindSavedListActions(document.getElementById('view-peer-list'), {
+        open: loadPeerFromGrid,
+        select: () => updateExportButton('peer'),
+        rename: id => editSavedItemFromGrid(id, 'peer'),
+        delete: id => deleteSavedItemFromGrid(id, 'peer')
+    });
+    document.getElementById('view-saved-peer-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'view-saved-peer-modal') closeViewPeerModal();
+    });
+
+    // Saved Analyses
+    document.getElementById('save-analysis-btn').addEventListener('click', openSaveAnalysisModal);
+    document.getElementById('view-saved-analyses-btn').addEventListener('click', openViewAnalysesModal);
+    document.getElementById('cancel-save-analysis').addEventListener('click', closeSaveAnalysisModal);
+    document.getElementById('confirm-save-analysis').addEventListener('click', confirmSaveAnalysis);
+    document.getElementById('save-analysis-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'save-analysis-modal') closeSaveAnalysisModal();
+    });
+    document.getElementById('save-analysis-name').addEventListener('keypress', (e) => {
+        if (e.key === 'Enter') confirmSaveAnalysis();
+    });
+    document.getElementById('close-view-analyses-modal').addEventListener('click', closeViewAnalysesModal);
+    bindSavedListActions(document.getElementById('view-analysis-list'), {
+        open: loadAnalysisFromGrid,
+        rename: id => editSavedItemFromGrid(id, 'analysis'),
+        duplicate: duplicateAnalysisFromGrid,
+        delete: id => deleteSavedItemFromGrid(id, 'analysis')
+    });
+    document.getElementById('view-saved-analyses-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'view-saved-analyses-modal') closeViewAnalysesModal();
+    });
+
+    // Import / Export
+    ['target', 'peer'].forEach(type => {
+        const fileInput = document.getElementById(`import-${type}-file`);
+        document.getElementById(`export-${type}-btn`).addEventListener('click', () => exportSavedGroups(type));
+        document.getElementById(`import-${type}-btn`).addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            const file = fileInput.files[0];
+            fileInput.value = '';
+            if (file) readSavedGroupsFile(file);
+        });
     });
-
-    // View Peer Modal
-    document.getElementById('close-view-peer-modal').addEventListener('click', closeViewPeerModal);
-    document.getElementById('view-saved-peer-modal').addEventListener('click', (e) => {
-        if (e.target.id === 'view-saved-peer-modal') closeViewPeerModal();
+    document.getElementById('close-import-groups-modal').addEventListener('click', closeImportGroupsModal);
+    document.getElementById('cancel-import-groups').addEventListener('click', closeImportGroupsModal);
+    document.getElementById('confirm-import-groups').addEventListener('click', confirmImportGroups);
+    document.getElementById('import-groups-modal').addEventListener('click', (e) => {
+        if (e.target.id === 'import-groups-modal') closeImportGroupsModal();
     });
 
     // Edit Name Modal
@@ -2203,6 +4766,7 @@ function renderSavedTargetsInGrid() {
     const saved = getSavedTargets();
     const container = document.getElementById('view-target-list');
     const emptyState = document.getElementById('view-target-empty');
+    document.getElementById('export-target-btn').textContent = 'Export All';
 
     if (saved.length === 0) {
         container.innerHTML = '';
@@ -2212,7 +4776,8 @@ function renderSavedTargetsInGrid() {
 
     emptyState.classList.add('hidden');
     container.innerHTML = saved.map(item => `
-        <div class="saved-list-item" onclick="loadTargetFromGrid('${item.id}')">
+        <div class="saved-list-item" data-id="${escapeHtml(item.id)}">
+            <input type="checkbox" class="saved-list-select" data-id="${escapeHtml(item.id)}" data-action="select" title="Select for export">
             <div class="saved-list-main">
                 <div class="saved-list-name">${escapeHtml(item.name)}</div>
                 <div class="saved-list-details">
@@ -2222,12 +4787,12 @@ function renderSavedTargetsInGrid() {
                 </div>
             </div>
             <div class="saved-list-actions">
-                <button class="list-action-btn edit" onclick="event.stopPropagation(); editSavedItemFromGrid('${item.id}', 'target')" title="Rename">
+                <button class="list-action-btn edit" data-action="rename" title="Rename">
                     <svg width="18" height="18" viewBox="0 0 20 20" fill="currentColor">
                         <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z"/>
                     </svg>
                 </button>
-                <button class="list-action-btn delete" onclick="event.stopPropagation(); deleteSavedItemFromGrid('${item.id}', 'target')" title="Delete">
+                <button class="list-action-btn delete" data-action="delete" title="Delete">
                     <svg width="18" height="18" viewBox="0 0 20 20" fill="currentColor">
                         <path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clip-rule="evenodd"/>
                     </svg>
@@ -2241,6 +4806,7 @@ function renderSavedPeersInGrid() {
     const saved = getSavedPeers();
     const container = document.getElementById('view-peer-list');
     const emptyState = document.getElementById('view-peer-empty');
+    document.getElementById('export-peer-btn').textContent = 'Export All';
 
     if (saved.length === 0) {
         container.innerHTML = '';
@@ -2250,7 +4816,8 @@ function renderSavedPeersInGrid() {
 
     emptyState.classList.add('hidden');
     container.innerHTML = saved.map(item => `
-        <div class="saved-list-item" onclick="loadPeerFromGrid('${item.id}')">
+        <div class="saved-list-item" data-id="${escapeHtml(item.id)}">
+            <input type="checkbox" class="saved-list-select" data-id="${escapeHtml(item.id)}" data-action="select" title="Select for export">
             <div class="saved-list-main">
                 <div class="saved-list-name">${escapeHtml(item.name)}</div>
                 <div class="saved-list-details">
@@ -2260,12 +4827,12 @@ function renderSavedPeersInGrid() {
                 </div>
             </div>
             <div class="saved-list-actions">
-                <button class="list-action-btn edit" onclick="event.stopPropagation(); editSavedItemFromGrid('${item.id}', 'peer')" title="Rename">
+                <button class="list-action-btn edit" data-action="rename" title="Rename">
                     <svg width="18" height="18" viewBox="0 0 20 20" fill="currentColor">
                         <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z"/>
                     </svg>
                 </button>
-                <button class="list-action-btn delete" onclick="event.stopPropagation(); deleteSavedItemFromGrid('${item.id}', 'peer')" title="Delete">
+                <button class="list-action-btn delete" data-action="delete" title="Delete">
                     <svg width="18" height="18" viewBox="0 0 20 20" fill="currentColor">
                         <path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clip-rule="evenodd"/>
                     </svg>
@@ -2275,37 +4842,39 @@ function renderSavedPeersInGrid() {
     `).join('');
 }
 
-// Global functions for grid onclick handlers
-window.loadTargetFromGrid = function(id) {
+function loadTargetFromGrid(id) {
     const saved = getSavedTargets();
     const item = saved.find(i => i.id === id);
     if (item) {
         loadTarget(item);
         closeViewTargetModal();
     }
-};
+}
 
-window.loadPeerFromGrid = function(id) {
+function loadPeerFromGrid(id) {
     const saved = getSavedPeers();
     const item = saved.find(i => i.id === id);
     if (item) {
         loadPeer(item);
         closeViewPeerModal();
     }
-};
+}
 
-window.editSavedItemFromGrid = function(id, type) {
-    const saved = type === 'target' ? getSavedTargets() : getSavedPeers();
+function editSavedItemFromGrid(id, type) {
+    const saved = type === 'target' ? getSavedTargets() : type === 'analysis' ? getSavedAnalyses() : getSavedPeers();
     const item = saved.find(i => i.id === id);
     if (item) {
         openEditNameModal(item, type);
     }
-};
+}
 
-window.deleteSavedItemFromGrid = function(id, type) {
+function deleteSavedItemFromGrid(id, type) {
     if (type === 'target') {
         deleteTarget(id);
         renderSavedTargetsInGrid();
+    } else if (type === 'analysis') {
+        deleteAnalysis(id);
+        renderSavedAnalysesInGrid();
     } else {
         deletePeer(id);
         renderSavedPeersInGrid();
@@ -2318,7 +4887,7 @@ function openSaveTargetModal() {
     console.log('Opening Save Target Modal');
     // Check if there are selected hospitals or filters
     const hasSelection = AppState.selectedTargetHospitals.size > 0;
-    const hasFilters = Object.values(AppState.filters.target).some(v => v !== '');
+    const hasFilters = hasActiveFilters(AppState.filters.target);
 
     if (!hasSelection && !hasFilters) {
         alert('Please select at least one hospital or apply filters before saving');
@@ -2380,7 +4949,7 @@ function loadTarget(item) {
     });
 
     // Load saved filters
-    AppState.filters.target = { ...item.filters };
+    AppState.filters.target = mergeFilterSet(AppState.filters.target, item.filters);
 
     // Update UI
     renderSelectedHospitals('target');
@@ -2403,7 +4972,7 @@ function deleteTarget(id) {
 
 function openSavePeerModal() {
     const hasSelection = AppState.selectedCompareHospitals.size > 0;
-    const hasFilters = Object.values(AppState.filters.compare).some(v => v !== '');
+    const hasFilters = hasActiveFilters(AppState.filters.compare);
 
     if (!hasSelection && !hasFilters) {
         alert('Please select at least one hospital or apply filters before saving');
@@ -2461,7 +5030,7 @@ function loadPeer(item) {
         AppState.selectedCompareHospitals.add(provnum);
     });
 
-    AppState.filters.compare = { ...item.filters };
+    AppState.filters.compare = mergeFilterSet(AppState.filters.compare, item.filters);
 
     renderSelectedHospitals('compare');
     updateFilterUI('compare');
@@ -2479,6 +5048,478 @@ function deletePeer(id) {
     showSuccessMessage('Deleted successfully');
 }
 
+/* ================ SAVED ANALYSES ================ */
+
+// A saved analysis is the full configuration from captureAnalysisConfig, plus the time and
+// headline variance of the last run of that configuration
+
+function openSaveAnalysisModal() {
+    const hasTarget = AppState.selectedTargetHospitals.size > 0 ||
+        hasActiveFilters(AppState.filters.target);
+
+    if (!hasTarget) {
+        alert('Please select at least one target hospital or apply filters before saving');
+        return;
+    }
+
+    document.getElementById('save-analysis-name').value = '';
+    document.getElementById('save-analysis-modal').classList.remove('hidden');
+    setTimeout(() => document.getElementById('save-analysis-name').focus(), 100);
+}
+
+function closeSaveAnalysisModal() {
+    document.getElementById('save-analysis-modal').classList.add('hidden');
+}
+
+function confirmSaveAnalysis() {
+    const name = document.getElementById('save-analysis-name').value.trim();
+
+    if (!name) {
+        alert('Please enter a name for this analysis');
+        return;
+    }
+
+    const config = captureAnalysisConfig();
+    const savedData = {
+        id: Date.now().toString(),
+        name: name,
+        config,
+        savedAt: new Date().toISOString(),
+        lastRunAt: null,
+        lastVariance: null
+    };
+
+    // Carry over the current results when they came from this configuration
+    const results = AppState.currentResults;
+    if (results && getAnalysisRunKey(results.analysisConfig) === getAnalysisRunKey(config)) {
+        savedData.lastRunAt = results.runAt;
+        savedData.lastVariance = results.overall.variance;
+    }
+
+    const saved = getSavedAnalyses();
+    saved.push(savedData);
+    storeSavedAnalyses(saved);
+
+    closeSaveAnalysisModal();
+    showSuccessMessage(`Saved "${name}" successfully!`);
+}
+
+function getSavedAnalyses() {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEYS.SAVED_ANALYSES) || '[]');
+    } catch (e) {
+        console.error('Error loading saved analyses:', e);
+        return [];
+    }
+}
+
+function storeSavedAnalyses(saved) {
+    localStorage.setItem(STORAGE_KEYS.SAVED_ANALYSES, JSON.stringify(saved));
+}
+
+/**
+ * Key identifying what an analysis computes - the view-only sort and tab are left out
+ */
+function getAnalysisRunKey(config) {
+    if (!config) return null;
+    const { sort, tab, ...runConfig } = config;
+    return JSON.stringify(runConfig);
+}
+
+/**
+ * Stamp the run time and headline variance on every saved analysis with the results' configuration
+ */
+function recordSavedAnalysisRun(results) {
+    const runKey = getAnalysisRunKey(results.analysisConfig);
+    const saved = getSavedAnalyses();
+    let changed = false;
+
+    saved.forEach(item => {
+        if (getAnalysisRunKey(item.config) === runKey) {
+            item.lastRunAt = results.runAt;
+            item.lastVariance = results.overall.variance;
+            changed = true;
+        }
+    });
+
+    if (changed) storeSavedAnalyses(saved);
+}
+
+function loadAnalysis(item) {
+    const unknownProvnums = applyAnalysisConfig(item.config);
+    if (unknownProvnums.length > 0) {
+        alert(`${unknownProvnums.length} hospital(s) in "${item.name}" are not in the loaded data and were skipped: ${unknownProvnums.join(', ')}`);
+    }
+
+    showSuccessMessage(`Loaded "${item.name}"!`);
+    performComparison();
+}
+
+function duplicateAnalysis(id) {
+    const saved = getSavedAnalyses();
+    const item = saved.find(i => i.id === id);
+    if (!item) return;
+
+    saved.push({
+        ...item,
+        id: Date.now().toString(),
+        name: `${item.name} (copy)`,
+        savedAt: new Date().toISOString()
+    });
+    storeSavedAnalyses(saved);
+
+    showSuccessMessage(`Duplicated "${item.name}"`);
+}
+
+function deleteAnalysis(id) {
+    if (!confirm('Are you sure you want to delete this saved analysis?')) return;
+
+    storeSavedAnalyses(getSavedAnalyses().filter(item => item.id !== id));
+
+    showSuccessMessage('Deleted successfully');
+}
+
+/**
+ * One-line summary of who an analysis compares, e.g. "2 targets vs National Average • Paid • Median"
+ */
+function describeAnalysisConfig(config) {
+    const describeSide = (type, singular, plural) => {
+        const count = (config[type] || []).length;
+        if (count > 0) return `${count} ${count === 1 ? singular : plural}`;
+        return config.filters && config.filters[type] ? `Filtered ${plural}` : null;
+    };
+
+    const target = describeSide('target', 'target', 'targets') || 'No target';
+    const compare = describeSide('compare', 'peer', 'peers') || 'National Average';
+    const metric = METRICS[config.metric || ANALYSIS_DEFAULTS.metric];
+    const methodology = METHODOLOGIES[config.methodology || ANALYSIS_DEFAULTS.methodology];
+    const indexMix = INDEX_MIXES[config.indexMix || ANALYSIS_DEFAULTS.indexMix];
+    const benchmark = config.regionalBenchmark ? resolveRegion(config.regionalBenchmark) : null;
+    const basketId = config.procedureFilters && config.procedureFilters.basket;
+    const basket = basketId ? resolveBasket(basketId) : null;
+
+    return `${target}${config.sideBySide ? ' side by side' : ''} vs ${compare} • ${metric.label} • ${methodology.label}${indexMix.standardized ? ` • ${indexMix.label}` : ''}${benchmark ? ` • ${benchmark.name} benchmark` : ''}${basket ? ` • ${basket.name} basket` : ''}`;
+}
+
+function openViewAnalysesModal() {
+    renderSavedAnalysesInGrid();
+    document.getElementById('view-saved-analyses-modal').classList.remove('hidden');
+}
+
+function closeViewAnalysesModal() {
+    document.getElementById('view-saved-analyses-modal').classList.add('hidden');
+}
+
+function renderSavedAnalysesInGrid() {
+    const saved = getSavedAnalyses();
+    const container = document.getElementById('view-analysis-list');
+    const emptyState = document.getElementById('view-analysis-empty');
+
+    if (saved.length === 0) {
+        container.innerHTML = '';
+        emptyState.classList.remove('hidden');
+        return;
+    }
+
+    emptyState.classList.add('hidden');
+    container.innerHTML = saved.map(item => {
+        const lastRun = item.lastRunAt
+            ? `<span class="saved-list-date">Last run ${new Date(item.lastRunAt).toLocaleString()}</span>
+               <span class="saved-list-separator">•</span>
+               <span class="${item.lastVariance < 0 ? 'variance-negative' : 'variance-positive'}">${item.lastVariance > 0 ? '+' : ''}${item.lastVariance.toFixed(1)}%</span>`
+            : '<span class="saved-list-date">Not run yet</span>';
+
+        return `
+        <div class="saved-list-item" data-id="${escapeHtml(item.id)}">
+            <div class="saved-list-main">
+                <div class="saved-list-name">${escapeHtml(item.name)}</div>
+                <div class="saved-list-details">
+                    <span class="saved-list-count">${escapeHtml(describeAnalysisConfig(item.config))}</span>
+                </div>
+                <div class="saved-list-details">
+                    ${lastRun}
+                </div>
+            </div>
+            <div class="saved-list-actions">
+                <button class="list-action-btn edit" data-action="rename" title="Rename">
+                    <svg width="18" height="18" viewBox="0 0 20 20" fill="currentColor">
+                        <path d="M13.586 3.586a2 2 0 112.828 2.828l-.793.793-2.828-2.828.793-.793zM11.379 5.793L3 14.172V17h2.828l8.38-8.379-2.83-2.828z"/>
+                    </svg>
+                </button>
+                <button class="list-action-btn edit" data-action="duplicate" title="Duplicate">
+                    <svg width="18" height="18" viewBox="0 0 20 20" fill="currentColor">
+                        <path d="M7 9a2 2 0 012-2h6a2 2 0 012 2v6a2 2 0 01-2 2H9a2 2 0 01-2-2V9z"/>
+                        <path d="M5 3a2 2 0 00-2 2v6a2 2 0 002 2V5h8a2 2 0 00-2-2H5z"/>
+                    </svg>
+                </button>
+                <button class="list-action-btn delete" data-action="delete" title="Delete">
+                    <svg width="18" height="18" viewBox="0 0 20 20" fill="currentColor">
+                        <path fill-rule="evenodd" d="M9 2a1 1 0 00-.894.553L7.382 4H4a1 1 0 000 2v10a2 2 0 002 2h8a2 2 0 002-2V6a1 1 0 100-2h-3.382l-.724-1.447A1 1 0 0011 2H9zM7 8a1 1 0 012 0v6a1 1 0 11-2 0V8zm5-1a1 1 0 00-1 1v6a1 1 0 102 0V8a1 1 0 00-1-1z" clip-rule="evenodd"/>
+                    </svg>
+                </button>
+            </div>
+        </div>
+    `;
+    }).join('');
+}
+
+function loadAnalysisFromGrid(id) {
+    const item = getSavedAnalyses().find(i => i.id === id);
+    if (item) {
+        closeViewAnalysesModal();
+        loadAnalysis(item);
+    }
+}
+
+function duplicateAnalysisFromGrid(id) {
+    duplicateAnalysis(id);
+    renderSavedAnalysesInGrid();
+}
+
+/* ================ IMPORT / EXPORT ================ */
+
+// Saved group files: { format, version, exportedAt, targets: [...], peers: [...] }
+const SAVED_GROUPS_FILE_FORMAT = 'hospital-saved-groups';
+const SAVED_GROUPS_FILE_VERSION = 1;
+
+const SAVED_GROUP_TYPES = {
+    target: { storageKey: STORAGE_KEYS.SAVED_TARGETS, fileKey: 'targets', label: 'target group', getSaved: getSavedTargets },
+    peer: { storageKey: STORAGE_KEYS.SAVED_PEERS, fileKey: 'peers', label: 'peer group', getSaved: getSavedPeers }
+};
+
+// Import checked and waiting for the collision choice
+let pendingImport = null;
+
+/**
+ * Ids of the saved groups ticked in a view modal
+ */
+function getSelectedSavedGroupIds(type) {
+    return Array.from(document.querySelectorAll(`#view-${type}-list .saved-list-select:checked`))
+        .map(checkbox => checkbox.dataset.id);
+}
+
+function updateExportButton(type) {
+    const selectedCount = getSelectedSavedGroupIds(type).length;
+    document.getElementById(`export-${type}-btn`).textContent =
+        selectedCount > 0 ? `Export Selected (${selectedCount})` : 'Export All';
+}
+
+/**
+ * Download the ticked saved groups of a type, or all of them when none are ticked
+ */
+function exportSavedGroups(type) {
+    const { fileKey, label, getSaved } = SAVED_GROUP_TYPES[type];
+    const selectedIds = getSelectedSavedGroupIds(type);
+    const saved = getSaved();
+    const items = selectedIds.length > 0 ? saved.filter(item => selectedIds.includes(item.id)) : saved;
+
+    if (items.length === 0) {
+        alert(`There are no saved ${label}s to export`);
+        return;
+    }
+
+    const file = {
+        format: SAVED_GROUPS_FILE_FORMAT,
+        version: SAVED_GROUPS_FILE_VERSION,
+        exportedAt: new Date().toISOString(),
+        [fileKey]: items
+    };
+    downloadFile(JSON.stringify(file, null, 2), `saved-${fileKey}-${Date.now()}.json`, 'application/json');
+
+    showSuccessMessage(`Exported ${items.length} ${label}${items.length !== 1 ? 's' : ''}`);
+}
+
+async function readSavedGroupsFile(file) {
+    try {
+        pendingImport = prepareSavedGroupsImport(parseSavedGroupsFile(await file.text()));
+    } catch (error) {
+        alert(`Could not import "${file.name}": ${error.message}`);
+        return;
+    }
+
+    renderImportSummary(pendingImport);
+    document.getElementById('import-groups-modal').classList.remove('hidden');
+}
+
+/**
+ * Parse and check a saved groups file; throws when it is not one this version can read
+ */
+function parseSavedGroupsFile(text) {
+    let file;
+    try {
+        file = JSON.parse(text);
+    } catch (e) {
+        throw new Error('the file is not valid JSON');
+    }
+
+    if (!file || file.format !== SAVED_GROUPS_FILE_FORMAT) {
+        throw new Error('the file is not a saved groups export');
+    }
+    if (!Number.isInteger(file.version) || file.version < 1) {
+        throw new Error('the file has no valid format version');
+    }
+    if (file.version > SAVED_GROUPS_FILE_VERSION) {
+        throw new Error(`the file uses format version ${file.version}, which is newer than this app supports`);
+    }
+
+    Object.values(SAVED_GROUP_TYPES).forEach(({ fileKey }) => {
+        if (file[fileKey] != null && !Array.isArray(file[fileKey])) {
+            throw new Error(`"${fileKey}" must be a list`);
+        }
+    });
+
+    return file;
+}
+
+/**
+ * Clean up every group in a parsed file: drop provider numbers that are not in the loaded
+ * data and skip groups that are malformed or left empty
+ */
+function prepareSavedGroupsImport(file) {
+    const groups = {};
+    const unknownProvnums = [];
+    const skipped = [];
+
+    Object.entries(SAVED_GROUP_TYPES).forEach(([type, { fileKey, label }]) => {
+        groups[type] = [];
+
+        (file[fileKey] || []).forEach((item, index) => {
+            const name = item && typeof item.name === 'string' ? item.name.trim() : '';
+            if (!name || !Array.isArray(item.hospitals)) {
+                skipped.push(`${label} #${index + 1} (missing name or hospital list)`);
+                return;
+            }
+
+            const hospitals = [];
+            item.hospitals.forEach(value => {
+                const provnum = String(value);
+                if (AppState.hospitalData.hospitals[provnum]) {
+                    if (!hospitals.includes(provnum)) hospitals.push(provnum);
+                } else {
+                    unknownProvnums.push({ name, provnum });
+                }
+            });
+
+            const filters = mergeFilterSet(AppState.filters[type === 'target' ? 'target' : 'compare'], item.filters);
+            if (hospitals.length === 0 && !hasActiveFilters(filters)) {
+                skipped.push(`"${name}" (no known hospitals or filters)`);
+                return;
+            }
+
+            groups[type].push({
+                name,
+                hospitals,
+                filters,
+                savedAt: typeof item.savedAt === 'string' ? item.savedAt : new Date().toISOString()
+            });
+        });
+    });
+
+    const conflicts = Object.entries(groups).reduce((count, [type, items]) => {
+        const existing = SAVED_GROUP_TYPES[type].getSaved();
+        return count + items.filter(item => findSavedGroupConflict(existing, item)).length;
+    }, 0);
+
+    return { groups, unknownProvnums, skipped, conflicts };
+}
+
+/**
+ * Existing group with the same (case-insensitive) name
+ */
+function findSavedGroupConflict(saved, item) {
+    const name = item.name.toLowerCase();
+    return saved.find(existing => existing.name.toLowerCase() === name);
+}
+
+function renderImportSummary(importData) {
+    const { groups, unknownProvnums, skipped, conflicts } = importData;
+    const lines = Object.entries(groups)
+        .filter(([, items]) => items.length > 0)
+        .map(([type, items]) => `${items.length} ${SAVED_GROUP_TYPES[type].label}${items.length !== 1 ? 's' : ''}`);
+
+    let html = `<p><strong>Found:</strong> ${lines.length > 0 ? lines.join(', ') : 'nothing to import'}</p>`;
+    if (conflicts > 0) {
+        html += `<p><strong>${conflicts}</strong> share a name with an existing group.</p>`;
+    }
+    if (unknownProvnums.length > 0) {
+        const listed = unknownProvnums.map(({ name, provnum }) => `${escapeHtml(provnum)} (${escapeHtml(name)})`);
+        html += `<p class="import-warning">${unknownProvnums.length} hospital(s) are not in the loaded data and will be left out: ${listed.join(', ')}</p>`;
+    }
+    if (skipped.length > 0) {
+        html += `<p class="import-warning">Skipped: ${skipped.map(escapeHtml).join(', ')}</p>`;
+    }
+
+    document.getElementById('import-groups-summary').innerHTML = html;
+    document.getElementById('import-collision-mode').parentElement.classList.toggle('hidden', conflicts === 0);
+    document.getElementById('confirm-import-groups').disabled = lines.length === 0;
+}
+
+function closeImportGroupsModal() {
+    pendingImport = null;
+    document.getElementById('import-groups-modal').classList.add('hidden');
+}
+
+function confirmImportGroups() {
+    if (!pendingImport) return;
+
+    const mode = document.getElementById('import-collision-mode').value;
+    let imported = 0;
+    let merged = 0;
+
+    Object.entries(pendingImport.groups).forEach(([type, items]) => {
+        const { storageKey, getSaved } = SAVED_GROUP_TYPES[type];
+        const saved = getSaved();
+
+        items.forEach(item => {
+            const existing = findSavedGroupConflict(saved, item);
+
+            if (existing && mode === 'merge') {
+                item.hospitals.forEach(provnum => {
+                    if (!existing.hospitals.includes(provnum)) existing.hospitals.push(provnum);
+                });
+                // Keep the existing filters, filling in any the existing group leaves blank
+                existing.filters = mergeFilterSet(item.filters, existing.filters);
+                Object.entries(item.filters).forEach(([key, value]) => {
+                    if (!isFilterValueSet(existing.filters[key])) existing.filters[key] = value;
+                });
+                merged++;
+                return;
+            }
+
+            // Ids from the file are never kept - every imported group gets a new one
+            saved.push({
+                ...item,
+                id: createUniqueId(saved),
+                name: saved.some(s => s.name.toLowerCase() === item.name.toLowerCase()) ? createUniqueName(saved, item.name) : item.name
+            });
+            imported++;
+        });
+
+        localStorage.setItem(storageKey, JSON.stringify(saved));
+    });
+
+    closeImportGroupsModal();
+    renderSavedTargetsInGrid();
+    renderSavedPeersInGrid();
+    showSuccessMessage(`Imported ${imported} group(s), merged ${merged}`);
+}
+
+function createUniqueId(saved) {
+    let id = Date.now();
+    while (saved.some(item => item.id === id.toString())) id++;
+    return id.toString();
+}
+
+/**
+ * "Name (2)", "Name (3)"... - the first not already used
+ */
+function createUniqueName(saved, name) {
+    const used = new Set(saved.map(item => item.name.toLowerCase()));
+    let suffix = 2;
+    while (used.has(`${name} (${suffix})`.toLowerCase())) suffix++;
+    return `${name} (${suffix})`;
+}
+
 /* ================ EDIT NAME ================ */
 
 function openEditNameModal(item, type) {
@@ -2512,6 +5553,14 @@ function confirmEditName() {
             localStorage.setItem(STORAGE_KEYS.SAVED_TARGETS, JSON.stringify(saved));
             renderSavedTargetsInGrid();
         }
+    } else if (currentEditType === 'analysis') {
+        const saved = getSavedAnalyses();
+        const item = saved.find(i => i.id === currentEditItem.id);
+        if (item) {
+            item.name = newName;
+            storeSavedAnalyses(saved);
+            renderSavedAnalysesInGrid();
+        }
     } else {
         const saved = getSavedPeers();
         const item = saved.find(i => i.id === currentEditItem.id);
@@ -2532,13 +5581,60 @@ function updateFilterUI(type) {
     const filters = AppState.filters[type];
     const prefix = type === 'target' ? 'target' : 'compare';
 
-    document.getElementById(`${prefix}-state`).value = filters.state || '';
+    Object.keys(CHOICE_FILTERS).forEach(key => renderChoiceFilter(type, key));
+    document.getElementById(`${prefix}-region`).value = filters.region || '';
     document.getElementById(`${prefix}-city`).value = filters.city || '';
     document.getElementById(`${prefix}-zip`).value = filters.zip || '';
-    document.getElementById(`${prefix}-hospital-type`).value = filters.hospitalType || '';
-    document.getElementById(`${prefix}-ownership`).value = filters.ownership || '';
     document.getElementById(`${prefix}-beds-min`).value = filters.bedsMin || '';
     document.getElementById(`${prefix}-beds-max`).value = filters.bedsMax || '';
+    const radiusInput = document.getElementById(`${prefix}-radius`);
+    if (radiusInput) radiusInput.value = filters.radiusMiles || '';
+    if (type === 'compare') {
+        document.getElementById('compare-exclude-target-system').checked = filters.excludeTargetSystem;
+        renderExclusionList();
+    }
+}
+
+function formatMarkup(value) {
+    return value == null ? '-' : `${value.toFixed(2)}×`;
+}
+
+function formatCollection(value) {
+    return value == null ? '-' : `${(value * 100).toFixed(1)}%`;
+}
+
+function formatMargin(value) {
+    if (value == null) return '-';
+    return `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+}
+
+function formatPercentile(value) {
+    if (value == null) return '-';
+    const rank = Math.round(value);
+    const lastTwo = rank % 100;
+    const suffix = lastTwo >= 11 && lastTwo <= 13 ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[rank % 10] || 'th');
+    return `${rank}${suffix}`;
+}
+
+function formatCurrency(value) {
+    return `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatCsvNumber(value, digits) {
+    return value == null ? '' : value.toFixed(digits);
+}
+
+function describeOutlierLogic(outlierLogic) {
+    if (!outlierLogic.enabled) return 'Off';
+
+    const band = {
+        iqr: `${outlierLogic.iqrMultiplier} x IQR`,
+        mad: `${outlierLogic.madThreshold} x MAD`,
+        percentile: `${outlierLogic.lowerPercentile}th-${outlierLogic.upperPercentile}th percentile`,
+        logStddev: `${outlierLogic.stdDev} std devs`,
+        stddev: `${outlierLogic.stdDev} std devs`
+    }[outlierLogic.method];
+    return `${OUTLIER_METHODS[outlierLogic.method].label} (${band}); min volume ${outlierLogic.minVolume}; min hospitals ${outlierLogic.minHospitals}`;
 }
 
 function showSuccessMessage(message) {
@@ -2547,10 +5643,56 @@ function showSuccessMessage(message) {
     // Could add a toast notification here
 }
 
+/**
+ * Escape text for HTML - quotes too, so the result is safe in attribute values
+ */
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Table sort comparator for one column's values
+ * Missing values (null or undefined, e.g. ratios without a denominator) sort last in either direction
+ */
+function compareSortValues(aVal, bVal, direction) {
+    if (aVal == null || bVal == null) {
+        return aVal == null ? (bVal == null ? 0 : 1) : -1;
+    }
+
+    // Strings sort without regard to case
+    if (typeof aVal === 'string') {
+        aVal = aVal.toLowerCase();
+        bVal = bVal.toLowerCase();
+    }
+
+    const order = aVal > bVal ? 1 : aVal < bVal ? -1 : 0;
+    return direction === 'asc' ? order : -order;
+}
+
+/**
+ * Whether two lists hold the same values, in any order
+ */
+function haveSameMembers(a, b) {
+    const members = new Set(a);
+    return members.size === new Set(b).size && b.every(value => members.has(value));
+}
+
+/**
+ * Handle clicks in a saved list with one listener on the list
+ * Items carry data-id and their controls data-action; handlers maps each action to a function
+ * of the item's id, with 'open' for a click anywhere else on the item
+ */
+function bindSavedListActions(container, handlers) {
+    container.addEventListener('click', (e) => {
+        const item = e.target.closest('.saved-list-item');
+        if (!item) return;
+
+        const control = e.target.closest('[data-action]');
+        const handler = handlers[control ? control.dataset.action : 'open'];
+        if (handler) handler(item.dataset.id);
+    });
 }
 
 // Initialize app when DOM is loaded
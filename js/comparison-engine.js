@@ -0,0 +1,1910 @@
+/**
+ * Hospital Price Comparison Engine
+ * Pure calculation functions shared by the comparison worker and the main thread.
+ * Nothing in here touches the DOM or AppState - callers pass in the data store and settings.
+ */
+
+// Price measures available on every procedure record
+const METRICS = {
+    charge: { field: 'avg_charge', nationalKey: 'avgCharge', label: 'Charge', totalLabel: 'Revenue' },
+    paid: { field: 'avg_paid', nationalKey: 'avgPaid', label: 'Paid', totalLabel: 'Payments' },
+    cost: { field: 'avg_cost', nationalKey: 'avgCost', label: 'Cost', totalLabel: 'Cost' }
+};
+
+// Share of prices dropped from each end by the trimmed mean
+const TRIM_FRACTION = 0.1;
+
+// Ways of averaging hospital prices into one price per procedure
+// additive methods can be combined from per-state sums; the others need the individual prices
+const METHODOLOGIES = {
+    weighted: { label: 'Volume-Weighted Mean', additive: true },
+    simple: { label: 'Simple Mean', additive: true },
+    median: { label: 'Median', additive: false },
+    trimmed: { label: `Trimmed Mean (${TRIM_FRACTION * 100}%)`, additive: false }
+};
+
+const DEFAULT_METHODOLOGY = 'weighted';
+
+// Ways of setting the outlier price band (see calculatePriceBand)
+const OUTLIER_METHODS = {
+    stddev: { label: 'Mean \u00b1 Std Devs' },
+    iqr: { label: 'IQR (Tukey Fences)' },
+    mad: { label: 'Median Absolute Deviation' },
+    percentile: { label: 'Percentile Trim' },
+    logStddev: { label: 'Log-Scale Std Devs' }
+};
+
+// Why a hospital was left out of a procedure's peer set
+const OUTLIER_EXCLUSION_REASONS = {
+    'min-hospitals': 'Too few hospitals for this procedure',
+    volume: 'Below minimum volume',
+    'no-price': 'No price reported',
+    low: 'Below lower cut-off',
+    high: 'Above upper cut-off'
+};
+
+// Scales a median absolute deviation to a standard deviation for normally distributed prices
+const MAD_SCALE = 1.4826;
+
+// Number of procedure codes processed between progress reports and cancellation checks
+const ENGINE_BATCH_SIZE = 250;
+
+// Number of peer hospitals shown as columns in the breakdown table
+const BREAKDOWN_HOSPITAL_LIMIT = 40;
+
+// Procedures listed by volume and by revenue on a hospital profile
+const PROFILE_TOP_PROCEDURES = 10;
+
+// Attributes combined into the peer similarity score; weights sum to 1
+const PEER_SIMILARITY_FACTORS = {
+    procedureMix: { label: 'Procedure mix', weight: 0.3 },
+    hospitalType: { label: 'Hospital type', weight: 0.15 },
+    beds: { label: 'Bed size', weight: 0.15 },
+    revenue: { label: 'Net patient revenue', weight: 0.15 },
+    region: { label: 'State/region', weight: 0.15 },
+    ownership: { label: 'Ownership', weight: 0.1 }
+};
+
+// Upper bed counts of each bed-size band; larger hospitals fall in the last band
+const BED_BAND_LIMITS = [25, 99, 199, 399];
+
+// Census regions, for hospitals in a different state but the same part of the country
+const CENSUS_REGIONS = {
+    Northeast: ['CT', 'ME', 'MA', 'NH', 'RI', 'VT', 'NJ', 'NY', 'PA'],
+    Midwest: ['IL', 'IN', 'MI', 'OH', 'WI', 'IA', 'KS', 'MN', 'MO', 'NE', 'ND', 'SD'],
+    South: ['DE', 'DC', 'FL', 'GA', 'MD', 'NC', 'SC', 'VA', 'WV', 'AL', 'KY', 'MS', 'TN', 'AR', 'LA', 'OK', 'TX'],
+    West: ['AZ', 'CO', 'ID', 'MT', 'NV', 'NM', 'UT', 'WY', 'AK', 'CA', 'HI', 'OR', 'WA']
+};
+
+// Similarity credited for an attribute that is missing on either hospital
+const UNKNOWN_SIMILARITY = 0.5;
+
+const DEFAULT_PEER_SUGGESTION_LIMIT = 25;
+
+const EARTH_RADIUS_MILES = 3958.8;
+const MILES_PER_DEGREE_LATITUDE = 69.05;
+
+// Radius of the local market when the peer group has no distance filter
+const DEFAULT_LOCAL_MARKET_RADIUS_MILES = 30;
+
+// Kinds of region definition and the hospital field each matches on
+// cbsa and hrr come from the optional region crosswalk (see attachRegionCodes in data-loader.js)
+const REGION_TYPES = {
+    states: { label: 'States', field: 'state' },
+    cbsa: { label: 'Metro Areas (CBSA)', field: 'cbsa' },
+    hrr: { label: 'Hospital Referral Regions', field: 'hrr' }
+};
+
+// How a procedure basket weights its codes in the basket price index
+// fixed weights are entered with the codes; the national mix is each code's national volume
+const BASKET_WEIGHTINGS = {
+    equal: { label: 'Equal weights' },
+    fixed: { label: 'Fixed weights' },
+    national: { label: 'National volume mix' }
+};
+
+// Volume mix weighting procedures in the overall variance and the hospital table
+// target is the target's own volumes; the others are standardized, pricing every hospital on one reference mix
+const INDEX_MIXES = {
+    target: { label: 'Target Volumes', standardized: false },
+    national: { label: 'National Volume Mix', standardized: true },
+    basket: { label: 'Basket Weights', standardized: true }
+};
+const DEFAULT_INDEX_MIX = 'target';
+
+/**
+ * Create the error thrown when a running job is cancelled
+ */
+function createCancelledError() {
+    const error = new Error('Comparison cancelled');
+    error.cancelled = true;
+    return error;
+}
+
+/**
+ * Let queued messages (e.g. cancel requests) run, then stop if the job was cancelled
+ */
+async function yieldToEventLoop(job) {
+    await new Promise(resolve => setTimeout(resolve, 0));
+    if (job && job.cancelled) {
+        throw createCancelledError();
+    }
+}
+
+/**
+ * Report progress for a job and yield every ENGINE_BATCH_SIZE items
+ */
+async function reportBatchProgress(job, stage, completed, total) {
+    if (completed % ENGINE_BATCH_SIZE !== 0) return;
+
+    if (job && job.progress) {
+        job.progress({ stage, completed, total });
+    }
+    await yieldToEventLoop(job);
+}
+
+// A code as range ends see it: letter prefix (HCPCS Level II), digits, letter suffix (Category II/III, PLA)
+const CPT_CODE_PARTS_PATTERN = /^([A-Z]*)(\d+)([A-Z]*)$/;
+
+/**
+ * Parse CPT/HCPCS filter input into include and exclude terms, separated by commas:
+ *   codes       99281, 01830, J0100, 0001U
+ *   ranges      80053-80075, J0100-J0200, 0001U-0010U - both ends need the same letters and digit count
+ *   wildcards   992** - each * stands for any one character
+ *   exclusions  any of the above after !, e.g. !99285
+ * Returns { include, exclude, hasInclude, invalid } or null for empty input - include and exclude
+ * hold code predicates, invalid the terms that could not be read (they match nothing)
+ */
+function parseCptFilter(input) {
+    if (!input || input.trim() === '') return null;
+
+    const parsed = { include: [], exclude: [], hasInclude: false, invalid: [] };
+
+    input.split(',').map(p => p.trim()).filter(p => p).forEach(part => {
+        const excluded = part.startsWith('!');
+        const term = (excluded ? part.slice(1) : part).replace(/\s+/g, '').toUpperCase();
+        if (!excluded) parsed.hasInclude = true;
+
+        const matcher = parseCptTerm(term);
+        if (!matcher) {
+            parsed.invalid.push(part);
+        } else {
+            (excluded ? parsed.exclude : parsed.include).push(matcher);
+        }
+    });
+
+    return parsed;
+}
+
+/**
+ * Predicate for one code, range or wildcard term, or null when the term is not one
+ */
+function parseCptTerm(term) {
+    if (term.includes('-')) {
+        const ends = term.split('-');
+        if (ends.length !== 2) return null;
+        const start = ends[0].match(CPT_CODE_PARTS_PATTERN);
+        const end = ends[1].match(CPT_CODE_PARTS_PATTERN);
+        if (!start || !end || start[1] !== end[1] || start[3] !== end[3] || start[2].length !== end[2].length) {
+            return null;
+        }
+
+        const [, prefix, digits, suffix] = start;
+        const low = parseInt(digits, 10);
+        const high = parseInt(end[2], 10);
+        if (low > high) return null;
+
+        return code => {
+            const parts = code.match(CPT_CODE_PARTS_PATTERN);
+            if (!parts || parts[1] !== prefix || parts[3] !== suffix || parts[2].length !== digits.length) return false;
+            const number = parseInt(parts[2], 10);
+            return number >= low && number <= high;
+        };
+    }
+
+    if (term.includes('*')) {
+        if (!/^[A-Z0-9*]+$/.test(term)) return null;
+        const pattern = new RegExp(`^${term.replace(/\*/g, '.')}$`);
+        return code => pattern.test(code);
+    }
+
+    return /^[A-Z0-9]+$/.test(term) ? code => code === term : null;
+}
+
+/**
+ * Predicate for codes that pass a parsed CPT/HCPCS filter
+ * With no include terms every code is included; exclusions always win
+ */
+function createCptCodeFilter(parsed) {
+    return code => {
+        const upper = code.toUpperCase();
+        if (parsed.hasInclude && !parsed.include.some(matches => matches(upper))) return false;
+        return !parsed.exclude.some(matches => matches(upper));
+    };
+}
+
+/**
+ * Narrow a list of procedure codes by the CPT, service category and shoppable filters
+ */
+function filterProcedureCodes(codes, procedureFilters, metadata) {
+    let proceduresToCompare = codes;
+
+    // Filter by CPT/HCPCS code - codes, ranges, wildcards and exclusions (see parseCptFilter)
+    const parsedCptFilter = parseCptFilter(procedureFilters.cptCode);
+    if (parsedCptFilter) {
+        proceduresToCompare = proceduresToCompare.filter(createCptCodeFilter(parsedCptFilter));
+    }
+
+    // Filter by service category
+    if (procedureFilters.serviceCategory) {
+        proceduresToCompare = proceduresToCompare.filter(code => {
+            const category = metadata.service_category_map[code];
+            return category === procedureFilters.serviceCategory;
+        });
+    }
+
+    // Filter by shoppable service
+    if (procedureFilters.shoppableService) {
+        proceduresToCompare = proceduresToCompare.filter(code => {
+            const shoppable = metadata.shoppable_map[code];
+            if (procedureFilters.shoppableService === 'yes') {
+                return shoppable === 'Y';
+            } else if (procedureFilters.shoppableService === 'no') {
+                return shoppable === 'N';
+            }
+            return true;
+        });
+    }
+
+    return proceduresToCompare;
+}
+
+/**
+ * Work out the outlier cut-offs for a procedure code
+ * Returns { eligible, lower, upper } where eligible are the hospitals meeting the minimum volume,
+ * or null when the procedure should be excluded (too few hospitals or no usable prices)
+ * The price band is measured on the selected price measure with the selected method
+ */
+function calculateOutlierCutoffs(hospitals, code, outlierSettings, metric = 'charge') {
+    const field = METRICS[metric].field;
+
+    // Step 1: Filter by minimum volume
+    const eligible = hospitals.filter(hospital => {
+        const proc = hospital.procedures[code];
+        return proc && proc.volume >= outlierSettings.minVolume;
+    });
+
+    // Step 2: Check minimum hospitals requirement
+    if (eligible.length < outlierSettings.minHospitals) {
+        return null; // Not enough hospitals, exclude this procedure entirely
+    }
+
+    // Step 3: Set the price band from the eligible prices
+    const charges = eligible
+        .map(hospital => hospital.procedures[code][field])
+        .filter(charge => charge != null && charge > 0);
+
+    if (charges.length === 0) {
+        return null;
+    }
+
+    return { eligible, ...calculatePriceBand(charges, outlierSettings) };
+}
+
+/**
+ * Lower and upper price bounds for the outlier method (see OUTLIER_METHODS)
+ * prices must be positive
+ */
+function calculatePriceBand(prices, outlierSettings) {
+    const sorted = prices.slice().sort((a, b) => a - b);
+
+    switch (outlierSettings.method) {
+        case 'iqr': {
+            // Tukey fences: k x IQR beyond the quartiles
+            const q1 = interpolateSorted(sorted, 0.25);
+            const q3 = interpolateSorted(sorted, 0.75);
+            const fence = outlierSettings.iqrMultiplier * (q3 - q1);
+            return { lower: q1 - fence, upper: q3 + fence };
+        }
+        case 'mad': {
+            // Median +/- k scaled median absolute deviations
+            const median = interpolateSorted(sorted, 0.5);
+            const deviations = sorted.map(price => Math.abs(price - median)).sort((a, b) => a - b);
+            const spread = outlierSettings.madThreshold * MAD_SCALE * interpolateSorted(deviations, 0.5);
+            return { lower: median - spread, upper: median + spread };
+        }
+        case 'percentile':
+            return {
+                lower: interpolateSorted(sorted, outlierSettings.lowerPercentile / 100),
+                upper: interpolateSorted(sorted, outlierSettings.upperPercentile / 100)
+            };
+        case 'logStddev': {
+            // Mean +/- k standard deviations of log prices, mapped back to dollars
+            const { mean, stdDev } = calculateMeanAndStdDev(sorted.map(price => Math.log(price)));
+            const spread = outlierSettings.stdDev * stdDev;
+            return { lower: Math.exp(mean - spread), upper: Math.exp(mean + spread) };
+        }
+        default: {
+            const { mean, stdDev } = calculateMeanAndStdDev(sorted);
+            const spread = outlierSettings.stdDev * stdDev;
+            return { lower: mean - spread, upper: mean + spread };
+        }
+    }
+}
+
+/**
+ * Mean and population standard deviation of values
+ */
+function calculateMeanAndStdDev(values) {
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / values.length;
+    return { mean, stdDev: Math.sqrt(variance) };
+}
+
+/**
+ * Screen the hospitals reporting a procedure against the outlier settings
+ * Returns { kept, excluded, cutoffs } where excluded is [{ hospital, reason, price, volume }]
+ * (reason is a key of OUTLIER_EXCLUSION_REASONS) and cutoffs is null when the whole
+ * procedure is dropped
+ */
+function screenOutliers(hospitals, code, outlierSettings, metric = 'charge') {
+    const field = METRICS[metric].field;
+    const cutoffs = calculateOutlierCutoffs(hospitals, code, outlierSettings, metric);
+    const kept = [];
+    const excluded = [];
+
+    hospitals.forEach(hospital => {
+        const proc = hospital.procedures[code];
+        if (!proc || !(proc.volume > 0)) return;
+
+        const price = proc[field];
+        let reason = null;
+        if (!cutoffs) {
+            reason = proc.volume >= outlierSettings.minVolume ? 'min-hospitals' : 'volume';
+        } else if (proc.volume < outlierSettings.minVolume) {
+            reason = 'volume';
+        } else if (price == null) {
+            reason = 'no-price';
+        } else if (price < cutoffs.lower) {
+            reason = 'low';
+        } else if (price > cutoffs.upper) {
+            reason = 'high';
+        }
+
+        if (reason) {
+            excluded.push({ hospital, reason, price: price != null ? price : null, volume: proc.volume });
+        } else {
+            kept.push(hospital);
+        }
+    });
+
+    return { kept, excluded, cutoffs: cutoffs ? { lower: cutoffs.lower, upper: cutoffs.upper } : null };
+}
+
+/**
+ * Apply outlier logic filters to hospitals for a specific procedure code
+ * Returns filtered hospitals that pass all outlier criteria
+ */
+function applyOutlierFilters(hospitals, code, outlierSettings, metric = 'charge') {
+    if (!outlierSettings.enabled) {
+        return hospitals; // No filtering if outlier logic is disabled
+    }
+
+    return screenOutliers(hospitals, code, outlierSettings, metric).kept;
+}
+
+/**
+ * Create an empty accumulator for summed dollar totals
+ */
+function createDollarTotals() {
+    return { volume: 0, charges: 0, cost: 0, paid: 0 };
+}
+
+/**
+ * Add a procedure record's volume and dollar totals to an accumulator
+ */
+function addDollarTotals(totals, proc) {
+    totals.volume += proc.volume;
+    totals.charges += proc.total_charges != null ? proc.total_charges : proc.avg_charge * proc.volume;
+    totals.cost += proc.total_cost != null ? proc.total_cost : (proc.avg_cost || 0) * proc.volume;
+    totals.paid += proc.total_paid != null ? proc.total_paid : (proc.avg_paid || 0) * proc.volume;
+}
+
+/**
+ * Restate dollar totals as if they covered the given volume (per-case amounts x volume)
+ */
+function scaleDollarTotals(totals, volume) {
+    const factor = totals.volume > 0 ? volume / totals.volume : 0;
+    return {
+        volume,
+        charges: totals.charges * factor,
+        cost: totals.cost * factor,
+        paid: totals.paid * factor
+    };
+}
+
+/**
+ * Add dollar totals to an accumulator, restated on the given volume
+ */
+function addScaledDollarTotals(accumulator, totals, volume) {
+    const scaled = scaleDollarTotals(totals, volume);
+    accumulator.volume += scaled.volume;
+    accumulator.charges += scaled.charges;
+    accumulator.cost += scaled.cost;
+    accumulator.paid += scaled.paid;
+}
+
+/**
+ * Calculate markup (charge/cost), collection (paid/charge) and per-case margin (paid - cost)
+ * Returns null for a ratio whose denominator is zero
+ */
+function calculateRatios(totals) {
+    return {
+        markup: totals.cost > 0 ? totals.charges / totals.cost : null,
+        collection: totals.charges > 0 ? totals.paid / totals.charges : null,
+        margin: totals.volume > 0 ? (totals.paid - totals.cost) / totals.volume : null
+    };
+}
+
+/**
+ * Look up hospitals by provider number, dropping unknown ones
+ */
+function resolveHospitals(store, provnums) {
+    return provnums.map(pn => store.hospitals[pn]).filter(h => h != null);
+}
+
+/**
+ * Collect the distinct states of a set of hospitals
+ */
+function collectHospitalStates(hospitals) {
+    const states = new Set();
+    hospitals.forEach(hospital => {
+        if (hospital.state) {
+            states.add(hospital.state);
+        }
+    });
+    return states;
+}
+
+/**
+ * Collect hospitals' { price, volume } records for a procedure, skipping records without volume or price
+ */
+function collectPriceRecords(hospitals, code, field) {
+    const records = [];
+    hospitals.forEach(hospital => {
+        const proc = hospital.procedures ? hospital.procedures[code] : null;
+        if (proc && proc.volume > 0 && proc[field] != null) {
+            records.push({ price: proc[field], volume: proc.volume });
+        }
+    });
+    return records;
+}
+
+/**
+ * Collect hospitals' prices for a procedure, skipping records without volume or price
+ */
+function collectProcedurePrices(hospitals, code, field) {
+    return collectPriceRecords(hospitals, code, field).map(record => record.price);
+}
+
+/**
+ * Average price records with a methodology (see METHODOLOGIES)
+ * Returns null when there are no records
+ */
+function aggregatePrices(records, methodology) {
+    if (records.length === 0) return null;
+
+    if (methodology === 'weighted') {
+        let weightedSum = 0;
+        let volume = 0;
+        records.forEach(record => {
+            weightedSum += record.price * record.volume;
+            volume += record.volume;
+        });
+        if (volume > 0) return weightedSum / volume;
+    }
+
+    if (methodology === 'median' || methodology === 'trimmed') {
+        const sorted = records.map(record => record.price).sort((a, b) => a - b);
+        if (methodology === 'median') {
+            return interpolateSorted(sorted, 0.5);
+        }
+        const drop = Math.floor(sorted.length * TRIM_FRACTION);
+        const kept = sorted.slice(drop, sorted.length - drop);
+        return kept.reduce((sum, price) => sum + price, 0) / kept.length;
+    }
+
+    return records.reduce((sum, record) => sum + record.price, 0) / records.length;
+}
+
+/**
+ * Percentile rank (0-100) of a price: the share of prices below it, counting ties as half
+ * Returns null for an empty list
+ */
+function calculatePercentileRank(prices, value) {
+    if (prices.length === 0) return null;
+
+    let below = 0;
+    let equal = 0;
+    prices.forEach(price => {
+        if (price < value) below++;
+        else if (price === value) equal++;
+    });
+
+    return ((below + equal / 2) / prices.length) * 100;
+}
+
+/**
+ * Estimated percentile rank of a price across one or more states, from the statistics index
+ * Each state's rank is weighted by its hospital count, which gives the rank in the combined distribution
+ * Returns null when no state hospital reports the procedure
+ */
+function estimateStatePercentileRank(procedureStats, states, code, metric, value) {
+    let weightedRank = 0;
+    let count = 0;
+
+    states.forEach(state => {
+        const entry = getProcedureStats(procedureStats, state, code);
+        const rank = entry ? estimatePercentileRank(entry.measures[metric], value) : null;
+        if (rank !== null) {
+            weightedRank += rank * entry.measures[metric].count;
+            count += entry.measures[metric].count;
+        }
+    });
+
+    return count > 0 ? weightedRank / count : null;
+}
+
+/**
+ * Estimated national percentile rank of a price, from the statistics index
+ */
+function estimateNationalPercentileRank(procedureStats, code, metric, value) {
+    const entry = getProcedureStats(procedureStats, 'national', code);
+    return entry ? estimatePercentileRank(entry.measures[metric], value) : null;
+}
+
+/**
+ * Calculate price comparison
+ * request: { targetProvnums, compareProvnums, procedureFilters, useNationalAverage,
+ *            targetDescription, compareDescription, metric, methodology, outlierLogic, compareFilters, basket, indexMix,
+ *            sideBySide }
+ * basket, when set, is a procedure basket { name, codes, weighting, weights } - see calculateBasketIndex
+ * indexMix (see INDEX_MIXES) weights procedures in the overall variance; 'basket' needs a basket
+ * sideBySide adds each target's own figures against the same comparison prices - see calculateTargetComparisons
+ * Target, peer and national prices are all averaged with the same methodology
+ * Results reference hospitals by provider number so they can be posted between threads
+ */
+async function calculateComparison(store, request, job) {
+    const { procedureFilters, useNationalAverage, metric, outlierLogic } = request;
+    const methodology = request.methodology || DEFAULT_METHODOLOGY;
+    const indexMix = request.indexMix || DEFAULT_INDEX_MIX;
+    const { field } = METRICS[metric];
+    const targetHospitals = resolveHospitals(store, request.targetProvnums);
+    const sideBySide = request.sideBySide === true && targetHospitals.length > 1;
+    const compareHospitals = resolveHospitals(store, request.compareProvnums);
+    const targetStates = collectHospitalStates(targetHospitals);
+
+    // Get all procedures from target hospitals
+    const allProcedureCodes = new Set();
+    targetHospitals.forEach(hospital => {
+        if (hospital.procedures) {
+            Object.keys(hospital.procedures).forEach(code => allProcedureCodes.add(code));
+        }
+    });
+
+    if (allProcedureCodes.size === 0) {
+        throw new Error('No procedures found in target hospitals. Please select different hospitals.');
+    }
+
+    // A procedure basket fixes the codes compared; the procedure filters can still narrow them
+    const basketCodes = request.basket ? new Set(request.basket.codes) : null;
+    const candidateCodes = Array.from(allProcedureCodes).filter(code => !basketCodes || basketCodes.has(code));
+
+    // Apply procedure filters if specified
+    const proceduresToCompare = filterProcedureCodes(candidateCodes, procedureFilters, store.metadata);
+
+    // Calculate comparison metrics
+    const procedureComparisons = [];
+    const outlierReport = [];
+    let targetTotalRevenue = 0;
+    let compareTotalRevenue = 0;
+    let targetTotalVolume = 0;
+    // Target and peer prices weighted by the index mix - the revenues above for target volumes
+    let indexedTargetCost = 0;
+    let indexedCompareCost = 0;
+
+    for (let i = 0; i < proceduresToCompare.length; i++) {
+        await reportBatchProgress(job, 'procedures', i, proceduresToCompare.length);
+
+        const code = proceduresToCompare[i];
+
+        // Calculate target averages
+        let targetTotalVol = 0;
+        const targetTotals = createDollarTotals();
+
+        targetHospitals.forEach(hospital => {
+            const proc = hospital.procedures[code];
+            if (proc && proc.volume > 0) {
+                targetTotalVol += proc.volume;
+                addDollarTotals(targetTotals, proc);
+            }
+        });
+
+        const targetAvgCharge = aggregatePrices(collectPriceRecords(targetHospitals, code, field), methodology);
+        if (targetAvgCharge === null) continue;
+
+        // Target rank within the state and national distributions
+        const statePercentile = estimateStatePercentileRank(store.procedureStats, targetStates, code, metric, targetAvgCharge);
+        const nationalPercentile = estimateNationalPercentileRank(store.procedureStats, code, metric, targetAvgCharge);
+
+        // Calculate comparison averages
+        let compareAvgCharge, compareTotalVol, compareCount, comparePeerTotals, peerPercentile;
+
+        if (useNationalAverage) {
+            // Use national average, under the same outlier settings as a peer group
+            const baseline = getNationalBaseline(store, code, metric, methodology, outlierLogic);
+            if (!baseline) continue;
+
+            compareAvgCharge = baseline.price;
+            compareTotalVol = baseline.volume;
+            compareCount = baseline.hospitalCount;
+            comparePeerTotals = baseline.dollarTotals;
+            peerPercentile = baseline.hospitals
+                ? calculatePercentileRank(collectProcedurePrices(baseline.hospitals, code, field), targetAvgCharge)
+                : nationalPercentile;
+        } else {
+            // Use selected hospitals - apply outlier logic filters if enabled
+            const screening = outlierLogic.enabled
+                ? screenOutliers(compareHospitals, code, outlierLogic, metric)
+                : null;
+            const filteredCompareHospitals = screening ? screening.kept : compareHospitals;
+
+            if (screening && screening.excluded.length > 0) {
+                outlierReport.push(createOutlierReportEntry(store, code, screening));
+            }
+
+            // If outlier logic filtered out all hospitals or didn't meet min hospitals, skip this procedure
+            if (filteredCompareHospitals.length === 0) continue;
+
+            compareTotalVol = 0;
+            compareCount = 0;
+            comparePeerTotals = createDollarTotals();
+
+            filteredCompareHospitals.forEach(hospital => {
+                const proc = hospital.procedures[code];
+                if (proc && proc.volume > 0) {
+                    compareTotalVol += proc.volume;
+                    compareCount++;
+                    addDollarTotals(comparePeerTotals, proc);
+                }
+            });
+
+            if (compareCount === 0) continue;
+
+            compareAvgCharge = aggregatePrices(collectPriceRecords(filteredCompareHospitals, code, field), methodology);
+            if (compareAvgCharge === null) continue;
+            peerPercentile = calculatePercentileRank(collectProcedurePrices(filteredCompareHospitals, code, field), targetAvgCharge);
+        }
+
+        // Calculate metrics
+        const difference = targetAvgCharge - compareAvgCharge;
+        const percentVariance = compareAvgCharge > 0
+            ? ((difference / compareAvgCharge) * 100)
+            : 0;
+
+        const targetRevenue = targetAvgCharge * targetTotalVol;
+        const compareRevenue = compareAvgCharge * targetTotalVol;
+
+        // Peer dollar totals restated on the target's volume so category rollups stay apples-to-apples
+        const compareTotals = scaleDollarTotals(comparePeerTotals, targetTotalVol);
+        const targetRatios = calculateRatios(targetTotals);
+        const compareRatios = calculateRatios(compareTotals);
+        const indexWeight = getIndexMixWeight(store, indexMix, request.basket, code, targetTotalVol);
+
+        procedureComparisons.push({
+            code,
+            name: store.metadata.procedure_names[code] || 'Unknown Procedure',
+            targetAvgCharge,
+            targetVolume: targetTotalVol,
+            targetRevenue,
+            compareAvgCharge,
+            compareVolume: compareTotalVol,
+            compareRevenue,
+            hospitalsCount: compareCount,
+            difference,
+            percentVariance,
+            peerPercentile,
+            statePercentile,
+            nationalPercentile,
+            targetTotals,
+            compareTotals,
+            targetMarkup: targetRatios.markup,
+            compareMarkup: compareRatios.markup,
+            targetCollection: targetRatios.collection,
+            compareCollection: compareRatios.collection,
+            targetMargin: targetRatios.margin,
+            compareMargin: compareRatios.margin,
+            indexWeight,
+            // Each target's price against the same comparison price, by provider number
+            targets: sideBySide ? calculateTargetFigures(targetHospitals, code, field, compareAvgCharge) : null
+        });
+
+        targetTotalRevenue += targetRevenue;
+        compareTotalRevenue += compareRevenue;
+        targetTotalVolume += targetTotalVol;
+        indexedTargetCost += indexWeight * targetAvgCharge;
+        indexedCompareCost += indexWeight * compareAvgCharge;
+    }
+
+    // Calculate overall metrics - the variance is weighted by the index mix
+    const overallDifference = targetTotalRevenue - compareTotalRevenue;
+    const overallVariance = indexedCompareCost > 0
+        ? (((indexedTargetCost - indexedCompareCost) / indexedCompareCost) * 100)
+        : 0;
+
+    const results = {
+        targetProvnums: targetHospitals.map(h => h.provnum),
+        compareProvnums: compareHospitals.map(h => h.provnum),
+        useNationalAverage,
+        metric,
+        methodology,
+        indexMix,
+        targetDescription: request.targetDescription,
+        compareDescription: request.compareDescription,
+        procedureComparisons,
+        overall: {
+            targetTotalRevenue,
+            compareTotalRevenue,
+            difference: overallDifference,
+            variance: overallVariance,
+            procedureCount: procedureComparisons.length,
+            targetVolume: targetTotalVolume
+        },
+        // Store comparison filters for state market position calculation
+        compareFilters: { ...request.compareFilters },
+        // Outlier settings used, so drill-downs reproduce the same peer set
+        outlierLogic: { ...outlierLogic },
+        // Peer hospitals excluded by the outlier settings, per procedure
+        outlierReport
+    };
+
+    if (request.basket) {
+        results.basket = calculateBasketIndex(store, request.basket, procedureComparisons);
+    }
+    if (sideBySide) {
+        results.sideBySide = true;
+        results.targetComparisons = calculateTargetComparisons(targetHospitals, results);
+    }
+
+    results.hospitalComparisons = calculateHospitalComparisons(store, results);
+    results.breakdown = calculateBreakdown(store, results);
+
+    return results;
+}
+
+/**
+ * Weight of a code in a procedure basket (0 when it has none)
+ */
+function getBasketWeight(store, basket, code) {
+    switch (basket.weighting) {
+        case 'fixed':
+            return Number(basket.weights[code]) || 0;
+        case 'national': {
+            const entry = getProcedureStats(store.procedureStats, 'national', code);
+            return entry ? entry.volume : 0;
+        }
+        default:
+            return 1;
+    }
+}
+
+/**
+ * One target's price for a procedure against the comparison price, for every target reporting it
+ * Returns { provnum: { avgCharge, volume, percentVariance } }
+ */
+function calculateTargetFigures(targetHospitals, code, field, compareAvgCharge) {
+    const figures = {};
+    targetHospitals.forEach(hospital => {
+        const proc = hospital.procedures[code];
+        if (!proc || !(proc.volume > 0) || proc[field] == null) return;
+
+        figures[hospital.provnum] = {
+            avgCharge: proc[field],
+            volume: proc.volume,
+            percentVariance: compareAvgCharge > 0 ? ((proc[field] - compareAvgCharge) / compareAvgCharge) * 100 : 0
+        };
+    });
+    return figures;
+}
+
+/**
+ * Overall figures for each target on its own, from the per-target procedure figures
+ * Procedures are weighted by the target's own volumes, or by the index mix when it is standardized
+ * Returns [{ provnum, hospitalName, procedureCount, targetVolume, targetRevenue, compareRevenue, variance }]
+ * in target order - revenues are on the weights, so they are dollars only for target volumes
+ */
+function calculateTargetComparisons(targetHospitals, results) {
+    const standardized = INDEX_MIXES[results.indexMix].standardized;
+
+    return targetHospitals.map(hospital => {
+        let procedureCount = 0;
+        let targetVolume = 0;
+        let targetRevenue = 0;
+        let compareRevenue = 0;
+
+        results.procedureComparisons.forEach(proc => {
+            const figures = proc.targets[hospital.provnum];
+            if (!figures) return;
+
+            const weight = standardized ? proc.indexWeight : figures.volume;
+            procedureCount++;
+            targetVolume += figures.volume;
+            targetRevenue += figures.avgCharge * weight;
+            compareRevenue += proc.compareAvgCharge * weight;
+        });
+
+        return {
+            provnum: hospital.provnum,
+            hospitalName: hospital.name,
+            procedureCount,
+            targetVolume,
+            targetRevenue,
+            compareRevenue,
+            variance: compareRevenue > 0 ? ((targetRevenue - compareRevenue) / compareRevenue) * 100 : 0
+        };
+    });
+}
+
+/**
+ * Weight of a procedure under an index mix: the target's volume, the national volume, or
+ * the basket's weight (0 for codes outside the basket)
+ */
+function getIndexMixWeight(store, indexMix, basket, code, targetVolume) {
+    switch (indexMix) {
+        case 'national': {
+            const entry = getProcedureStats(store.procedureStats, 'national', code);
+            return entry ? entry.volume : 0;
+        }
+        case 'basket':
+            return basket && basket.codes.includes(code) ? getBasketWeight(store, basket, code) : 0;
+        default:
+            return targetVolume;
+    }
+}
+
+/**
+ * Basket price index: target and peer prices weighted by the basket's own weights instead of
+ * the target's volumes, so every comparison prices the same mix of services
+ * Only codes priced for both target and peers count, with the weights rescaled over them
+ * Returns { name, weighting, targetPrice, peerPrice, index, codeCount, pricedCount, missingCodes }
+ * - prices are per weighted case and index is the target price with peers at 100 (null when nothing is priced)
+ */
+function calculateBasketIndex(store, basket, procedureComparisons) {
+    const proceduresByCode = new Map(procedureComparisons.map(proc => [proc.code, proc]));
+    const missingCodes = [];
+    let totalWeight = 0;
+    let targetCost = 0;
+    let peerCost = 0;
+
+    basket.codes.forEach(code => {
+        const proc = proceduresByCode.get(code);
+        const weight = getBasketWeight(store, basket, code);
+        if (!proc || weight <= 0) {
+            missingCodes.push(code);
+            return;
+        }
+
+        totalWeight += weight;
+        targetCost += weight * proc.targetAvgCharge;
+        peerCost += weight * proc.compareAvgCharge;
+    });
+
+    const priced = totalWeight > 0 && peerCost > 0;
+
+    return {
+        name: basket.name,
+        weighting: basket.weighting,
+        targetPrice: priced ? targetCost / totalWeight : null,
+        peerPrice: priced ? peerCost / totalWeight : null,
+        index: priced ? (targetCost / peerCost) * 100 : null,
+        codeCount: basket.codes.length,
+        pricedCount: basket.codes.length - missingCodes.length,
+        missingCodes
+    };
+}
+
+/**
+ * National baseline for a procedure: { price, volume, hospitalCount, dollarTotals, hospitals },
+ * or null when no hospital (or none passing the outlier settings) reports it
+ * Without outlier logic this reads the statistics index and hospitals is null; with it every
+ * reporting hospital is screened, so baselines are memoized per metric, methodology and settings
+ */
+function getNationalBaseline(store, code, metric, methodology, outlierLogic) {
+    if (!outlierLogic.enabled) {
+        const entry = getProcedureStats(store.procedureStats, 'national', code);
+        const price = entry ? getBaselinePrice(entry.measures[metric], methodology) : null;
+        if (price === null) return null;
+        return { price, volume: entry.volume, hospitalCount: entry.count, dollarTotals: entry.dollarTotals, hospitals: null };
+    }
+
+    const key = JSON.stringify([metric, methodology, outlierLogic]);
+    if (!store.nationalBaselines || store.nationalBaselines.key !== key) {
+        store.nationalBaselines = { key, values: new Map() };
+    }
+
+    const values = store.nationalBaselines.values;
+    if (!values.has(code)) {
+        values.set(code, calculateFilteredNationalBaseline(store.hospitalsArray, code, metric, methodology, outlierLogic));
+    }
+    return values.get(code);
+}
+
+/**
+ * National baseline from the hospitals that pass the outlier filters
+ */
+function calculateFilteredNationalBaseline(hospitalsArray, code, metric, methodology, outlierLogic) {
+    const { field } = METRICS[metric];
+    const hospitals = applyOutlierFilters(hospitalsArray, code, outlierLogic, metric);
+    const price = aggregatePrices(collectPriceRecords(hospitals, code, field), methodology);
+    if (price === null) return null;
+
+    const dollarTotals = createDollarTotals();
+    let hospitalCount = 0;
+    hospitals.forEach(hospital => {
+        const proc = hospital.procedures[code];
+        if (proc && proc.volume > 0) {
+            addDollarTotals(dollarTotals, proc);
+            hospitalCount++;
+        }
+    });
+
+    return { price, volume: dollarTotals.volume, hospitalCount, dollarTotals, hospitals };
+}
+
+/**
+ * Summarize one procedure's outlier screening for the results
+ * Procedures are listed even when the peer set is emptied and the procedure is skipped
+ */
+function createOutlierReportEntry(store, code, screening) {
+    return {
+        code,
+        name: store.metadata.procedure_names[code] || 'Unknown Procedure',
+        cutoffs: screening.cutoffs,
+        keptCount: screening.kept.length,
+        exclusions: screening.excluded.map(({ hospital, reason, price, volume }) => ({
+            provnum: hospital.provnum,
+            reason,
+            price,
+            volume
+        }))
+    };
+}
+
+/**
+ * Calculate hospital-level comparisons - peer hospitals against the target average,
+ * or target hospitals against the national average
+ */
+function calculateHospitalComparisons(store, results) {
+    if (INDEX_MIXES[results.indexMix].standardized) {
+        return calculateStandardizedHospitalComparisons(store, results);
+    }
+
+    const { field } = METRICS[results.metric];
+
+    // Calculate hospital-level comparisons
+    const hospitalComparisons = [];
+
+    // Procedure-level results by code (1-to-1 matches only); their target and national
+    // averages already use the results' methodology
+    const proceduresByCode = new Map();
+    results.procedureComparisons.forEach(proc => {
+        proceduresByCode.set(proc.code, proc);
+    });
+
+    // If using national average, show TARGET hospitals compared to national avg
+    // Otherwise show PEER hospitals
+    const hospitalsToShow = resolveHospitals(
+        store,
+        results.useNationalAverage ? results.targetProvnums : results.compareProvnums
+    );
+
+    // Process each hospital
+    hospitalsToShow.forEach(hospital => {
+        // Calculate metrics for this hospital using CPT/HCPCS aggregation approach
+        let hospitalTotalRevenue = 0;
+        let compareTotalRevenue = 0;
+        let hospitalTotalVolume = 0;
+        let compareTotalVolume = 0;
+        const targetTotals = createDollarTotals();
+        const peerTotals = createDollarTotals();
+
+        // For each procedure code in the comparison
+        proceduresByCode.forEach((proc, code) => {
+            const hospitalProc = hospital.procedures[code];
+            if (!hospitalProc || hospitalProc.volume === 0 || hospitalProc[field] == null) return;
+
+            if (results.useNationalAverage) {
+                // Comparing target hospital to national average
+                hospitalTotalVolume += hospitalProc.volume;
+                hospitalTotalRevenue += hospitalProc[field] * hospitalProc.volume;
+                compareTotalRevenue += proc.compareAvgCharge * hospitalProc.volume;
+                compareTotalVolume += hospitalProc.volume;
+
+                addDollarTotals(targetTotals, hospitalProc);
+                addScaledDollarTotals(peerTotals, proc.compareTotals, hospitalProc.volume);
+            } else {
+                // Comparing peer hospital to the target average for this CPT code
+                const targetVolumeForCode = proc.targetVolume;
+
+                // Use target volume for revenue calculation (apples-to-apples)
+                hospitalTotalVolume += targetVolumeForCode;
+                hospitalTotalRevenue += proc.targetAvgCharge * targetVolumeForCode;
+                compareTotalVolume += hospitalProc.volume;
+                compareTotalRevenue += hospitalProc[field] * targetVolumeForCode; // Use target volume!
+
+                addScaledDollarTotals(targetTotals, proc.targetTotals, targetVolumeForCode);
+                const peerTotalsForCode = createDollarTotals();
+                addDollarTotals(peerTotalsForCode, hospitalProc);
+                addScaledDollarTotals(peerTotals, peerTotalsForCode, targetVolumeForCode);
+            }
+        });
+
+        if (hospitalTotalVolume === 0) return;
+
+        const hospitalAvgCharge = hospitalTotalRevenue / hospitalTotalVolume;
+        const compareAvgCharge = compareTotalRevenue / hospitalTotalVolume;
+
+        // Calculate variance
+        const difference = hospitalTotalRevenue - compareTotalRevenue;
+        const percentVariance = compareTotalRevenue > 0 ? ((difference / compareTotalRevenue) * 100) : 0;
+        const targetRatios = calculateRatios(targetTotals);
+        const peerRatios = calculateRatios(peerTotals);
+
+        hospitalComparisons.push({
+            provnum: hospital.provnum,
+            hospitalName: hospital.name,
+            targetVolume: hospitalTotalVolume,
+            peerVolume: compareTotalVolume,
+            targetAvgCharge: hospitalAvgCharge,
+            peerAvgCharge: compareAvgCharge,
+            targetRevenue: hospitalTotalRevenue,
+            peerRevenue: compareTotalRevenue,
+            percentVariance,
+            targetMarkup: targetRatios.markup,
+            compareMarkup: peerRatios.markup,
+            targetCollection: targetRatios.collection,
+            compareCollection: peerRatios.collection,
+            targetMargin: targetRatios.margin,
+            compareMargin: peerRatios.margin,
+            // Kept so rows can be rolled up by health system
+            targetTotals,
+            peerTotals
+        });
+    });
+
+    return hospitalComparisons;
+}
+
+/**
+ * Hospital-level comparisons on a standardized index: every target and peer hospital is priced
+ * on the index mix against the reference (peer or national) price of each procedure it reports
+ * Rows have the shape of calculateHospitalComparisons with the hospital on the target side and the
+ * reference on the peer side; targetVolume is the index mix weight of the hospital's procedures, so
+ * the averages are per reference-mix case, and peerVolume the hospital's own cases
+ * standardizedIndex is 100 x hospital cost / reference cost for the mix, comparable across all rows
+ */
+function calculateStandardizedHospitalComparisons(store, results) {
+    const { field } = METRICS[results.metric];
+    const targetProvnums = new Set(results.targetProvnums);
+    const peerProvnums = results.compareProvnums.filter(provnum => !targetProvnums.has(provnum));
+    const hospitalComparisons = [];
+
+    resolveHospitals(store, results.targetProvnums.concat(peerProvnums)).forEach(hospital => {
+        let mixWeight = 0;
+        let ownVolume = 0;
+        let hospitalCost = 0;
+        let referenceCost = 0;
+        const targetTotals = createDollarTotals();
+        const peerTotals = createDollarTotals();
+
+        results.procedureComparisons.forEach(proc => {
+            const hospitalProc = hospital.procedures[proc.code];
+            if (!hospitalProc || !(hospitalProc.volume > 0) || hospitalProc[field] == null || proc.indexWeight <= 0) return;
+
+            mixWeight += proc.indexWeight;
+            ownVolume += hospitalProc.volume;
+            hospitalCost += hospitalProc[field] * proc.indexWeight;
+            referenceCost += proc.compareAvgCharge * proc.indexWeight;
+
+            const hospitalTotalsForCode = createDollarTotals();
+            addDollarTotals(hospitalTotalsForCode, hospitalProc);
+            addScaledDollarTotals(targetTotals, hospitalTotalsForCode, proc.indexWeight);
+            addScaledDollarTotals(peerTotals, proc.compareTotals, proc.indexWeight);
+        });
+
+        if (mixWeight === 0) return;
+
+        const targetRatios = calculateRatios(targetTotals);
+        const peerRatios = calculateRatios(peerTotals);
+
+        hospitalComparisons.push({
+            provnum: hospital.provnum,
+            hospitalName: hospital.name,
+            isTarget: targetProvnums.has(hospital.provnum),
+            targetVolume: mixWeight,
+            peerVolume: ownVolume,
+            targetAvgCharge: hospitalCost / mixWeight,
+            peerAvgCharge: referenceCost / mixWeight,
+            targetRevenue: hospitalCost,
+            peerRevenue: referenceCost,
+            percentVariance: referenceCost > 0 ? ((hospitalCost - referenceCost) / referenceCost) * 100 : 0,
+            standardizedIndex: referenceCost > 0 ? (hospitalCost / referenceCost) * 100 : null,
+            targetMarkup: targetRatios.markup,
+            compareMarkup: peerRatios.markup,
+            targetCollection: targetRatios.collection,
+            compareCollection: peerRatios.collection,
+            targetMargin: targetRatios.margin,
+            compareMargin: peerRatios.margin,
+            targetTotals,
+            peerTotals
+        });
+    });
+
+    return hospitalComparisons;
+}
+
+/**
+ * Roll hospital-level comparisons up to one row per health system
+ * hospitals maps provnum to hospital; hospitals without a health_system keep their own row
+ * System rows have provnum null, hospitalCount and isTarget (any member is a target); averages, ratios
+ * and the standardized index are recalculated from the sums
+ */
+function calculateSystemComparisons(hospitalComparisons, hospitals) {
+    const rows = [];
+    const systemRows = new Map();
+    const standardized = hospitalComparisons.some(hosp => hosp.standardizedIndex !== undefined);
+
+    hospitalComparisons.forEach(hosp => {
+        const hospital = hospitals[hosp.provnum];
+        const system = hospital ? hospital.health_system : null;
+        if (!system) {
+            rows.push({ ...hosp, hospitalCount: 1 });
+            return;
+        }
+
+        if (!systemRows.has(system)) {
+            const row = {
+                provnum: null,
+                hospitalName: system,
+                hospitalCount: 0,
+                isTarget: false,
+                targetVolume: 0,
+                peerVolume: 0,
+                targetRevenue: 0,
+                peerRevenue: 0,
+                targetTotals: createDollarTotals(),
+                peerTotals: createDollarTotals()
+            };
+            systemRows.set(system, row);
+            rows.push(row);
+        }
+
+        const row = systemRows.get(system);
+        row.hospitalCount++;
+        row.isTarget = row.isTarget || hosp.isTarget === true;
+        row.targetVolume += hosp.targetVolume;
+        row.peerVolume += hosp.peerVolume;
+        row.targetRevenue += hosp.targetRevenue;
+        row.peerRevenue += hosp.peerRevenue;
+        ['targetTotals', 'peerTotals'].forEach(key => {
+            Object.keys(row[key]).forEach(field => {
+                row[key][field] += hosp[key][field];
+            });
+        });
+    });
+
+    systemRows.forEach(row => {
+        const targetRatios = calculateRatios(row.targetTotals);
+        const peerRatios = calculateRatios(row.peerTotals);
+
+        // Same definitions as calculateHospitalComparisons: both averages are per target-volume case
+        row.targetAvgCharge = row.targetRevenue / row.targetVolume;
+        row.peerAvgCharge = row.peerRevenue / row.targetVolume;
+        row.percentVariance = row.peerRevenue > 0
+            ? ((row.targetRevenue - row.peerRevenue) / row.peerRevenue) * 100
+            : 0;
+        if (standardized) {
+            row.standardizedIndex = row.peerRevenue > 0 ? (row.targetRevenue / row.peerRevenue) * 100 : null;
+        }
+        row.targetMarkup = targetRatios.markup;
+        row.compareMarkup = peerRatios.markup;
+        row.targetCollection = targetRatios.collection;
+        row.compareCollection = peerRatios.collection;
+        row.targetMargin = targetRatios.margin;
+        row.compareMargin = peerRatios.margin;
+    });
+
+    return rows;
+}
+
+/**
+ * Collect individual peer hospital prices for the breakdown table
+ * Returns { provnums, values } where values[code][provnum] is the hospital's price or null
+ */
+function calculateBreakdown(store, results) {
+    const { field } = METRICS[results.metric];
+
+    // Get top 40 hospitals by net_patient_revenue
+    // If using national average, use all available hospitals, otherwise use compareHospitals
+    let hospitalsToShow;
+    if (results.useNationalAverage) {
+        // Get all hospitals and limit to top 40 by revenue
+        hospitalsToShow = store.hospitalsArray
+            .slice(0, BREAKDOWN_HOSPITAL_LIMIT); // Already sorted by net_patient_revenue in descending order
+    } else {
+        // Limit compareHospitals to top 40 by net_patient_revenue
+        hospitalsToShow = resolveHospitals(store, results.compareProvnums)
+            .sort((a, b) => (b.net_patient_revenue || 0) - (a.net_patient_revenue || 0))
+            .slice(0, BREAKDOWN_HOSPITAL_LIMIT);
+    }
+
+    const values = {};
+    results.procedureComparisons.forEach(proc => {
+        values[proc.code] = {};
+
+        // Add each peer hospital's price for this procedure (top 40 only)
+        hospitalsToShow.forEach(hospital => {
+            const hospitalProc = hospital.procedures ? hospital.procedures[proc.code] : null;
+            values[proc.code][hospital.provnum] = (hospitalProc && hospitalProc.volume > 0 && hospitalProc[field] != null)
+                ? hospitalProc[field]
+                : null;
+        });
+    });
+
+    return {
+        provnums: hospitalsToShow.map(h => h.provnum),
+        values
+    };
+}
+
+/**
+ * Price distribution of one procedure for the drill-down panel
+ * request: { code, targetProvnums, compareProvnums, useNationalAverage, metric, methodology, outlierLogic }
+ * Peers are the comparison hospitals, or every hospital reporting the code in national mode.
+ * Peer prices are split into those kept and those removed by screenOutliers, and each
+ * removed hospital is listed in exclusions with the reason.
+ */
+function calculateProcedureDistribution(store, request) {
+    const { code, metric, outlierLogic, useNationalAverage } = request;
+    const { field } = METRICS[metric];
+    const targetHospitals = resolveHospitals(store, request.targetProvnums);
+    const peerHospitals = useNationalAverage
+        ? store.hospitalsArray
+        : resolveHospitals(store, request.compareProvnums);
+
+    // Target price averaged with the comparison's methodology, as in calculateComparison
+    const targetValue = aggregatePrices(
+        collectPriceRecords(targetHospitals, code, field),
+        request.methodology || DEFAULT_METHODOLOGY
+    );
+
+    // Peers (or every hospital nationally) are screened with the outlier settings
+    let included = collectProcedurePrices(peerHospitals, code, field);
+    let excluded = [];
+    let exclusions = [];
+    let cutoffs = null;
+
+    if (outlierLogic.enabled) {
+        const screening = screenOutliers(peerHospitals, code, outlierLogic, metric);
+        if (screening.cutoffs) {
+            cutoffs = { ...screening.cutoffs, minVolume: outlierLogic.minVolume };
+        }
+
+        included = collectProcedurePrices(screening.kept, code, field);
+        excluded = screening.excluded.filter(e => e.price != null).map(e => e.price);
+        exclusions = screening.excluded.map(({ hospital, reason, price, volume }) => ({
+            provnum: hospital.provnum,
+            name: hospital.name,
+            reason,
+            price,
+            volume
+        }));
+    }
+
+    included.sort((a, b) => a - b);
+    excluded.sort((a, b) => a - b);
+
+    return {
+        code,
+        name: store.metadata.procedure_names[code] || 'Unknown Procedure',
+        metric,
+        useNationalAverage,
+        targetValue,
+        included,
+        excluded,
+        exclusions,
+        outlierLogic: { ...outlierLogic },
+        cutoffs,
+        summary: included.length > 0 ? {
+            min: included[0],
+            q1: interpolateSorted(included, 0.25),
+            median: interpolateSorted(included, 0.5),
+            q3: interpolateSorted(included, 0.75),
+            max: included[included.length - 1]
+        } : null,
+        percentile: targetValue !== null ? calculatePercentileRank(included, targetValue) : null
+    };
+}
+
+/**
+ * One hospital's procedure figures for its profile
+ * request: { provnum, metric } - market positions are added by the worker
+ * Returns { provnum, metric, procedureCount, totalVolume, totalRevenue, topByVolume, topByRevenue, categoryMix }
+ * where the top lists are { code, name, volume, price, revenue } and categoryMix is
+ * { serviceCategory, procedureCount, volume, revenue, volumeShare, revenueShare } by revenue.
+ * Revenue is the price measure times volume, as for the target in calculateComparison.
+ */
+function calculateHospitalProfile(store, request) {
+    const { provnum, metric } = request;
+    const { field } = METRICS[metric];
+    const hospital = store.hospitals[provnum];
+    if (!hospital) {
+        throw new Error(`Hospital ${provnum} not found`);
+    }
+
+    const procedures = [];
+    Object.entries(hospital.procedures || {}).forEach(([code, proc]) => {
+        if (!(proc.volume > 0) || proc[field] == null) return;
+        procedures.push({
+            code,
+            name: store.metadata.procedure_names[code] || 'Unknown Procedure',
+            volume: proc.volume,
+            price: proc[field],
+            revenue: proc[field] * proc.volume
+        });
+    });
+
+    const totalVolume = procedures.reduce((sum, proc) => sum + proc.volume, 0);
+    const totalRevenue = procedures.reduce((sum, proc) => sum + proc.revenue, 0);
+
+    const categories = {};
+    procedures.forEach(proc => {
+        const category = store.metadata.service_category_map[proc.code] || 'Uncategorized';
+        if (!categories[category]) {
+            categories[category] = { serviceCategory: category, procedureCount: 0, volume: 0, revenue: 0 };
+        }
+        categories[category].procedureCount++;
+        categories[category].volume += proc.volume;
+        categories[category].revenue += proc.revenue;
+    });
+
+    const categoryMix = Object.values(categories)
+        .map(category => ({
+            ...category,
+            volumeShare: totalVolume > 0 ? category.volume / totalVolume : 0,
+            revenueShare: totalRevenue > 0 ? category.revenue / totalRevenue : 0
+        }))
+        .sort((a, b) => b.revenue - a.revenue);
+
+    return {
+        provnum,
+        metric,
+        procedureCount: procedures.length,
+        totalVolume,
+        totalRevenue,
+        topByVolume: procedures.slice().sort((a, b) => b.volume - a.volume).slice(0, PROFILE_TOP_PROCEDURES),
+        topByRevenue: procedures.slice().sort((a, b) => b.revenue - a.revenue).slice(0, PROFILE_TOP_PROCEDURES),
+        categoryMix
+    };
+}
+
+/**
+ * Collect target hospitals' price records per procedure code, with the combined volume
+ * Returns Map code -> { records, totalVolume }
+ */
+function collectTargetProcedures(targetHospitals, field) {
+    const allTargetProcedures = new Map();
+
+    targetHospitals.forEach(hospital => {
+        if (hospital.procedures) {
+            Object.entries(hospital.procedures).forEach(([code, procData]) => {
+                if (procData.volume > 0 && procData[field] != null) {
+                    if (!allTargetProcedures.has(code)) {
+                        allTargetProcedures.set(code, {
+                            records: [],
+                            totalVolume: 0
+                        });
+                    }
+                    const existing = allTargetProcedures.get(code);
+                    existing.records.push({ price: procData[field], volume: procData.volume });
+                    existing.totalVolume += procData.volume;
+                }
+            });
+        }
+    });
+
+    return allTargetProcedures;
+}
+
+/**
+ * Calculate state market position
+ * ALWAYS compares target hospitals against ALL hospitals in the same state(s)
+ * This calculation is independent of peer selection and advanced filters
+ * Uses ALL target procedures, not just those matching peer hospitals
+ * request: { targetProvnums, metric, methodology, outlierLogic }
+ */
+async function calculateStateMarketPosition(store, request, job) {
+    const { field, label } = METRICS[request.metric];
+    const methodology = request.methodology || DEFAULT_METHODOLOGY;
+    const targetHospitals = resolveHospitals(store, request.targetProvnums);
+
+    // Get all unique states from target hospitals
+    const targetStates = collectHospitalStates(targetHospitals);
+
+    if (targetStates.size === 0) {
+        console.log('[State Market Position] No target states found');
+        return 0;
+    }
+
+    // ALWAYS use ALL hospitals in the target state(s), regardless of peer selection or filters
+    const stateHospitals = store.hospitalsArray.filter(h =>
+        targetStates.has(h.state) && h.procedures
+    );
+
+    if (stateHospitals.length === 0) {
+        console.log('[State Market Position] No hospitals found in target states');
+        return 0;
+    }
+
+    console.log(`[State Market Position] Comparing against ${stateHospitals.length} hospitals in state(s): ${Array.from(targetStates).join(', ')}`);
+
+    // Get ALL procedures from target hospitals (not just those matching peers)
+    const allTargetProcedures = collectTargetProcedures(targetHospitals, field);
+
+    console.log(`[State Market Position] Using ${allTargetProcedures.size} procedures from target hospital(s)`);
+
+    // Per-procedure averages use the methodology; the roll-up across procedures is weighted by target volume
+    let stateWeightedRevenue = 0;
+    let stateWeightedVolume = 0;
+    let targetWeightedRevenue = 0;
+    let targetWeightedVolume = 0;
+    let completed = 0;
+
+    for (const [code, targetData] of allTargetProcedures) {
+        await reportBatchProgress(job, 'state', completed++, allTargetProcedures.size);
+
+        // Read the state average from the statistics index unless outlier filtering needs the
+        // individual prices, or a non-additive methodology has to span several states
+        const useStats = !request.outlierLogic.enabled
+            && (METHODOLOGIES[methodology].additive || targetStates.size === 1);
+        const stateAvgForProc = useStats
+            ? calculateStateAverageFromStats(store.procedureStats, targetStates, code, request.metric, methodology)
+            : calculateFilteredMarketAverage(stateHospitals, code, request);
+
+        if (stateAvgForProc !== null) {
+            const targetAvgForProc = aggregatePrices(targetData.records, methodology);
+
+            // Weight by target volume for this procedure
+            stateWeightedRevenue += stateAvgForProc * targetData.totalVolume;
+            stateWeightedVolume += targetData.totalVolume;
+            targetWeightedRevenue += targetAvgForProc * targetData.totalVolume;
+            targetWeightedVolume += targetData.totalVolume;
+        }
+    }
+
+    if (stateWeightedVolume === 0 || targetWeightedVolume === 0) {
+        console.log('[State Market Position] Insufficient volume data');
+        return 0;
+    }
+
+    const stateAvgCharge = stateWeightedRevenue / stateWeightedVolume;
+    const targetAvgCharge = targetWeightedRevenue / targetWeightedVolume;
+
+    if (stateAvgCharge === 0) {
+        console.log(`[State Market Position] State average ${label.toLowerCase()} is 0`);
+        return 0;
+    }
+
+    // Calculate variance: (target - state) / state * 100
+    const variance = ((targetAvgCharge - stateAvgCharge) / stateAvgCharge) * 100;
+
+    console.log(`[State Market Position] Target avg ${label.toLowerCase()}: $${targetAvgCharge.toFixed(2)}, State avg: $${stateAvgCharge.toFixed(2)}, Variance: ${variance.toFixed(2)}%`);
+
+    return variance;
+}
+
+/**
+ * Average price for a procedure across the target states, from the statistics index
+ * Several states can only be combined for additive methodologies
+ * Returns null when no state hospital reports the procedure
+ */
+function calculateStateAverageFromStats(procedureStats, targetStates, code, metric, methodology) {
+    const measures = [];
+    targetStates.forEach(state => {
+        const entry = getProcedureStats(procedureStats, state, code);
+        if (entry) measures.push(entry.measures[metric]);
+    });
+
+    if (measures.length === 1) return getBaselinePrice(measures[0], methodology);
+    return getBaselinePrice(combineMeasureStats(measures), methodology);
+}
+
+/**
+ * Average price for a procedure across market hospitals (a state, region or local market) that pass the outlier filters
+ * Returns null when no hospital remains
+ */
+function calculateFilteredMarketAverage(marketHospitals, code, request) {
+    const { field } = METRICS[request.metric];
+    const filteredHospitals = applyOutlierFilters(marketHospitals, code, request.outlierLogic, request.metric);
+
+    return aggregatePrices(collectPriceRecords(filteredHospitals, code, field), request.methodology || DEFAULT_METHODOLOGY);
+}
+
+/**
+ * Variance (%) of the target prices from a market's prices over ALL target procedures,
+ * weighted by target volume
+ * marketAverage(code) returns the market price for a procedure, or null when it has none
+ * Returns null when no target procedure has a market price
+ */
+async function compareWithMarket(targetHospitals, request, job, stage, marketAverage) {
+    const { field } = METRICS[request.metric];
+    const methodology = request.methodology || DEFAULT_METHODOLOGY;
+    const allTargetProcedures = collectTargetProcedures(targetHospitals, field);
+
+    let marketWeightedRevenue = 0;
+    let targetWeightedRevenue = 0;
+    let weightedVolume = 0;
+    let completed = 0;
+
+    for (const [code, targetData] of allTargetProcedures) {
+        await reportBatchProgress(job, stage, completed++, allTargetProcedures.size);
+
+        const marketAvgForProc = marketAverage(code);
+        if (marketAvgForProc !== null) {
+            marketWeightedRevenue += marketAvgForProc * targetData.totalVolume;
+            targetWeightedRevenue += aggregatePrices(targetData.records, methodology) * targetData.totalVolume;
+            weightedVolume += targetData.totalVolume;
+        }
+    }
+
+    if (weightedVolume === 0 || marketWeightedRevenue === 0) return null;
+    return ((targetWeightedRevenue - marketWeightedRevenue) / marketWeightedRevenue) * 100;
+}
+
+/**
+ * Calculate local market position
+ * Compares target hospitals against every other hospital within radiusMiles of any target
+ * Like the state position it is independent of peer selection and uses ALL target procedures
+ * request: { targetProvnums, metric, methodology, outlierLogic, localRadiusMiles }
+ * Returns { variance, hospitalCount, radiusMiles }, with variance null when no hospital is in range,
+ * or null when the targets have no coordinates (see attachZipCentroids)
+ */
+async function calculateLocalMarketPosition(store, request, job) {
+    const radiusMiles = request.localRadiusMiles || DEFAULT_LOCAL_MARKET_RADIUS_MILES;
+    const targetHospitals = resolveHospitals(store, request.targetProvnums);
+
+    const centers = targetHospitals.filter(hasCoordinates);
+    if (centers.length === 0) {
+        console.log('[Local Market Position] Target hospitals have no coordinates');
+        return null;
+    }
+
+    const targetProvnums = new Set(request.targetProvnums);
+    const localHospitals = findHospitalsWithinRadius(store.hospitalsArray, centers, radiusMiles)
+        .filter(h => !targetProvnums.has(h.provnum));
+
+    const position = { variance: null, hospitalCount: localHospitals.length, radiusMiles };
+    if (localHospitals.length === 0) {
+        console.log(`[Local Market Position] No other hospitals within ${radiusMiles} miles`);
+        return position;
+    }
+
+    position.variance = await compareWithMarket(targetHospitals, request, job, 'local',
+        code => calculateFilteredMarketAverage(localHospitals, code, request));
+
+    console.log(`[Local Market Position] ${localHospitals.length} hospitals within ${radiusMiles} miles, variance: ${position.variance === null ? 'n/a' : position.variance.toFixed(2) + '%'}`);
+
+    return position;
+}
+
+/**
+ * Calculate regional market position
+ * Compares target hospitals against ALL hospitals in a benchmark region - a set of states,
+ * metro areas (CBSAs) or hospital referral regions. Like the state position it is independent
+ * of peer selection and uses ALL target procedures
+ * request: { targetProvnums, metric, methodology, outlierLogic, region: { name, type, values } }
+ * Returns { variance, hospitalCount, name }, with variance null when no regional price matches,
+ * or null when no benchmark region is set
+ */
+async function calculateRegionalMarketPosition(store, request, job) {
+    const region = request.region;
+    if (!region || !REGION_TYPES[region.type]) return null;
+
+    const methodology = request.methodology || DEFAULT_METHODOLOGY;
+    const targetHospitals = resolveHospitals(store, request.targetProvnums);
+    const inRegion = createRegionFilter(region);
+    const regionHospitals = store.hospitalsArray.filter(h => inRegion(h) && h.procedures);
+
+    const position = { variance: null, hospitalCount: regionHospitals.length, name: region.name };
+    if (regionHospitals.length === 0) {
+        console.log(`[Regional Market Position] No hospitals in ${region.name}`);
+        return position;
+    }
+
+    // A set of states can be read from the per-state statistics, as for the state position
+    const states = new Set(region.values);
+    const useStats = region.type === 'states' && !request.outlierLogic.enabled
+        && (METHODOLOGIES[methodology].additive || states.size === 1);
+
+    position.variance = await compareWithMarket(targetHospitals, request, job, 'regional', code => useStats
+        ? calculateStateAverageFromStats(store.procedureStats, states, code, request.metric, methodology)
+        : calculateFilteredMarketAverage(regionHospitals, code, request));
+
+    console.log(`[Regional Market Position] ${regionHospitals.length} hospitals in ${region.name}, variance: ${position.variance === null ? 'n/a' : position.variance.toFixed(2) + '%'}`);
+
+    return position;
+}
+
+/**
+ * Calculate national market position
+ * ALWAYS compares target hospitals against ALL hospitals nationally
+ * This calculation is independent of peer selection and advanced filters
+ * Uses ALL target procedures, not just those matching peer hospitals
+ * Uses the precomputed national statistics unless outlier logic is enabled
+ * request: { targetProvnums, metric, methodology, outlierLogic }
+ */
+async function calculateNationalMarketPosition(store, request, job) {
+    const { field, label } = METRICS[request.metric];
+    const methodology = request.methodology || DEFAULT_METHODOLOGY;
+    const targetHospitals = resolveHospitals(store, request.targetProvnums);
+
+    // ALWAYS use ALL hospitals nationally, regardless of peer selection or filters
+    const nationalHospitalCount = store.hospitalsArray.filter(h => h.procedures).length;
+
+    if (nationalHospitalCount === 0) {
+        console.log('[National Market Position] No hospitals with procedures found');
+        return 0;
+    }
+
+    console.log(`[National Market Position] Comparing against ${nationalHospitalCount} hospitals nationally`);
+
+    // Get ALL procedures from target hospitals (not just those matching peers)
+    const allTargetProcedures = collectTargetProcedures(targetHospitals, field);
+
+    console.log(`[National Market Position] Using ${allTargetProcedures.size} procedures from target hospital(s)`);
+
+    // Per-procedure averages use the methodology; the roll-up across procedures is weighted by target volume
+    let nationalWeightedRevenue = 0;
+    let nationalWeightedVolume = 0;
+    let targetWeightedRevenue = 0;
+    let targetWeightedVolume = 0;
+    let completed = 0;
+
+    for (const [code, targetData] of allTargetProcedures) {
+        await reportBatchProgress(job, 'national', completed++, allTargetProcedures.size);
+
+        // National baseline under the same outlier settings as the state position
+        const baseline = getNationalBaseline(store, code, request.metric, methodology, request.outlierLogic);
+        const nationalAvg = baseline ? baseline.price : null;
+
+        if (nationalAvg > 0) {
+            const targetAvgForProc = aggregatePrices(targetData.records, methodology);
+
+            // Weight by target volume for this procedure
+            nationalWeightedRevenue += nationalAvg * targetData.totalVolume;
+            nationalWeightedVolume += targetData.totalVolume;
+            targetWeightedRevenue += targetAvgForProc * targetData.totalVolume;
+            targetWeightedVolume += targetData.totalVolume;
+        }
+    }
+
+    if (nationalWeightedVolume === 0 || targetWeightedVolume === 0) {
+        console.log('[National Market Position] Insufficient volume data');
+        return 0;
+    }
+
+    const nationalAvgCharge = nationalWeightedRevenue / nationalWeightedVolume;
+    const targetAvgCharge = targetWeightedRevenue / targetWeightedVolume;
+
+    if (nationalAvgCharge === 0) {
+        console.log(`[National Market Position] National average ${label.toLowerCase()} is 0`);
+        return 0;
+    }
+
+    // Calculate variance: (target - national) / national * 100
+    const variance = ((targetAvgCharge - nationalAvgCharge) / nationalAvgCharge) * 100;
+
+    console.log(`[National Market Position] Target avg ${label.toLowerCase()}: $${targetAvgCharge.toFixed(2)}, National avg: $${nationalAvgCharge.toFixed(2)}, Variance: ${variance.toFixed(2)}%`);
+
+    return variance;
+}
+
+/**
+ * Rank every other hospital by similarity to the target hospitals (see PEER_SIMILARITY_FACTORS)
+ * Attribute factors are averaged over the targets; the procedure mix is compared with the
+ * targets' combined volumes
+ * request: { targetProvnums, limit, excludeProvnums } - excluded hospitals are never suggested
+ * Returns { candidateCount, suggestions: [{ provnum, name, city, state, hospital_type, beds_total, ownership, score, factors }] }
+ * with score and each factor between 0 and 1
+ */
+async function calculatePeerSuggestions(store, request, job) {
+    const targetHospitals = resolveHospitals(store, request.targetProvnums);
+    const skippedProvnums = new Set(targetHospitals.map(h => h.provnum).concat(request.excludeProvnums || []));
+    const targetMix = collectProcedureMix(targetHospitals);
+    const targetMixNorm = Math.sqrt(Array.from(targetMix.values()).reduce((sum, volume) => sum + volume * volume, 0));
+
+    const candidates = store.hospitalsArray.filter(h => !skippedProvnums.has(h.provnum));
+    const scored = [];
+
+    for (let i = 0; i < candidates.length; i++) {
+        await reportBatchProgress(job, 'suggest', i, candidates.length);
+
+        const hospital = candidates[i];
+        const averageOverTargets = (score) =>
+            targetHospitals.reduce((sum, target) => sum + score(target, hospital), 0) / targetHospitals.length;
+
+        const factors = {
+            procedureMix: calculateProcedureMixSimilarity(targetMix, targetMixNorm, hospital),
+            hospitalType: averageOverTargets((a, b) => compareCategories(a.hospital_type, b.hospital_type)),
+            beds: averageOverTargets((a, b) => compareBedBands(a.beds_total, b.beds_total)),
+            revenue: averageOverTargets((a, b) => compareRevenue(a.net_patient_revenue, b.net_patient_revenue)),
+            region: averageOverTargets((a, b) => compareLocations(a.state, b.state)),
+            ownership: averageOverTargets((a, b) => compareCategories(a.ownership, b.ownership))
+        };
+
+        const score = Object.entries(PEER_SIMILARITY_FACTORS)
+            .reduce((sum, [key, { weight }]) => sum + weight * factors[key], 0);
+        scored.push({ hospital, score, factors });
+    }
+
+    scored.sort((a, b) => b.score - a.score);
+
+    return {
+        candidateCount: candidates.length,
+        suggestions: scored.slice(0, request.limit || DEFAULT_PEER_SUGGESTION_LIMIT).map(({ hospital, score, factors }) => ({
+            provnum: hospital.provnum,
+            name: hospital.name,
+            city: hospital.city,
+            state: hospital.state,
+            hospital_type: hospital.hospital_type,
+            beds_total: hospital.beds_total,
+            ownership: hospital.ownership,
+            score,
+            factors
+        }))
+    };
+}
+
+/**
+ * Combined volume per procedure code across hospitals
+ */
+function collectProcedureMix(hospitals) {
+    const mix = new Map();
+    hospitals.forEach(hospital => {
+        Object.entries(hospital.procedures || {}).forEach(([code, proc]) => {
+            if (proc.volume > 0) {
+                mix.set(code, (mix.get(code) || 0) + proc.volume);
+            }
+        });
+    });
+    return mix;
+}
+
+/**
+ * Euclidean norm of a hospital's procedure volumes
+ * Columnar builds precompute it because only the target procedures' columns are loaded;
+ * without it the norm covers the loaded procedures only
+ */
+function getProcedureMixNorm(hospital) {
+    if (typeof hospital.procedure_mix_norm === 'number') return hospital.procedure_mix_norm;
+
+    let sumSquares = 0;
+    Object.values(hospital.procedures || {}).forEach(proc => {
+        if (proc.volume > 0) sumSquares += proc.volume * proc.volume;
+    });
+    return Math.sqrt(sumSquares);
+}
+
+/**
+ * Volume-weighted cosine similarity between the target mix and a hospital's procedures
+ */
+function calculateProcedureMixSimilarity(targetMix, targetMixNorm, hospital) {
+    const hospitalNorm = getProcedureMixNorm(hospital);
+    if (targetMixNorm === 0 || hospitalNorm === 0) return 0;
+
+    let dotProduct = 0;
+    targetMix.forEach((volume, code) => {
+        const proc = hospital.procedures && hospital.procedures[code];
+        if (proc && proc.volume > 0) dotProduct += volume * proc.volume;
+    });
+    return Math.min(1, dotProduct / (targetMixNorm * hospitalNorm));
+}
+
+function compareCategories(a, b) {
+    if (!a || !b) return UNKNOWN_SIMILARITY;
+    return a === b ? 1 : 0;
+}
+
+/**
+ * 1 for the same bed-size band, 0.5 for neighbouring bands
+ */
+function compareBedBands(a, b) {
+    if (!(a > 0) || !(b > 0)) return UNKNOWN_SIMILARITY;
+    const band = beds => BED_BAND_LIMITS.filter(limit => beds > limit).length;
+    return Math.max(0, 1 - Math.abs(band(a) - band(b)) * 0.5);
+}
+
+/**
+ * 1 for equal revenue, falling to 0 at a tenfold difference
+ */
+function compareRevenue(a, b) {
+    if (!(a > 0) || !(b > 0)) return UNKNOWN_SIMILARITY;
+    return Math.max(0, 1 - Math.abs(Math.log10(a / b)));
+}
+
+/**
+ * 1 for the same state, 0.5 for the same census region
+ */
+function compareLocations(a, b) {
+    if (!a || !b) return UNKNOWN_SIMILARITY;
+    if (a === b) return 1;
+    const region = Object.keys(CENSUS_REGIONS).find(name => CENSUS_REGIONS[name].includes(a));
+    return region && CENSUS_REGIONS[region].includes(b) ? 0.5 : 0;
+}
+
+/**
+ * Whether a hospital has map coordinates
+ */
+function hasCoordinates(hospital) {
+    return hospital.latitude != null && hospital.longitude != null;
+}
+
+/**
+ * Great-circle distance in miles between two points with latitude/longitude
+ */
+function calculateDistanceMiles(a, b) {
+    const toRadians = degrees => degrees * Math.PI / 180;
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLon = toRadians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Distance in miles from a hospital to the nearest center, or null without coordinates
+ */
+function distanceToNearest(hospital, centers) {
+    if (!hasCoordinates(hospital)) return null;
+
+    let nearest = null;
+    centers.forEach(center => {
+        // Cheap latitude check before the great-circle distance
+        if (nearest !== null && Math.abs(center.latitude - hospital.latitude) * MILES_PER_DEGREE_LATITUDE > nearest) return;
+        const distance = calculateDistanceMiles(center, hospital);
+        if (nearest === null || distance < nearest) nearest = distance;
+    });
+    return nearest;
+}
+
+/**
+ * Hospitals within radiusMiles of any center
+ */
+function findHospitalsWithinRadius(hospitals, centers, radiusMiles) {
+    return hospitals.filter(hospital => {
+        if (!hasCoordinates(hospital)) return false;
+        return centers.some(center =>
+            Math.abs(center.latitude - hospital.latitude) * MILES_PER_DEGREE_LATITUDE <= radiusMiles &&
+            calculateDistanceMiles(center, hospital) <= radiusMiles
+        );
+    });
+}
+
+/**
+ * Predicate for hospitals inside a region definition { type, values } (see REGION_TYPES)
+ */
+function createRegionFilter(region) {
+    const { field } = REGION_TYPES[region.type];
+    const values = new Set(region.values);
+    return hospital => values.has(hospital[field]);
+}
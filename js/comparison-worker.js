@@ -0,0 +1,130 @@
+/**
+ * Hospital Price Comparison Worker
+ * Owns the hospital data store and runs every comparison off the main thread.
+ *
+ * Message protocol - the main thread posts { id, type, payload }:
+ *   load             load hospital data; replies with the hospital directory and metadata
+ *   compare          run calculateComparison; replies with the results object
+ *   market-position  calculate local, regional, state and national market position for the target hospitals
+ *   distribution     price distribution of one procedure for the drill-down panel
+ *   suggest-peers    rank other hospitals by similarity to the target hospitals
+ *   hospital-profile one hospital's top procedures, service category mix and state and national market position
+ *   cancel           stop the job whose id is payload.id
+ * The worker answers with { id, type, payload } where type is one of
+ * progress, result, error or cancelled.
+ */
+
+importScripts('comparison-engine.js', 'procedure-stats.js', 'data-cache.js', 'data-loader.js');
+
+// Worker-side data store
+const store = {
+    hospitals: {},
+    hospitalsArray: [],
+    metadata: {},
+    nationalAverages: {},
+    procedureStats: null,
+    columnar: null,
+    nationalBaselines: null
+};
+
+// Jobs currently running, keyed by request id
+const activeJobs = new Map();
+
+/**
+ * Run a comparison once the target hospitals' data is available
+ */
+async function runComparison(request, job) {
+    await ensureComparisonData(store, request.targetProvnums, job);
+    return calculateComparison(store, request, job);
+}
+
+/**
+ * Calculate every market position for the target hospitals
+ */
+async function calculateMarketPositions(request, job) {
+    await ensureComparisonData(store, request.targetProvnums, job);
+    const local = await calculateLocalMarketPosition(store, request, job);
+    const regional = await calculateRegionalMarketPosition(store, request, job);
+    const state = await calculateStateMarketPosition(store, request, job);
+    const national = await calculateNationalMarketPosition(store, request, job);
+    return { local, regional, state, national };
+}
+
+/**
+ * Calculate one procedure's price distribution
+ */
+async function calculateDistribution(request, job) {
+    await ensureComparisonData(store, request.targetProvnums, job);
+    return calculateProcedureDistribution(store, request);
+}
+
+/**
+ * Rank peer candidates once the target hospitals' procedures are available
+ */
+async function suggestPeers(request, job) {
+    await ensureComparisonData(store, request.targetProvnums, job);
+    return calculatePeerSuggestions(store, request, job);
+}
+
+/**
+ * Build one hospital's profile once its procedures are available
+ * Its market positions are the state and national positions with the hospital as the only target
+ */
+async function buildHospitalProfile(request, job) {
+    const positionRequest = { ...request, targetProvnums: [request.provnum] };
+    await ensureComparisonData(store, positionRequest.targetProvnums, job);
+
+    const profile = calculateHospitalProfile(store, request);
+    profile.marketPosition = {
+        state: await calculateStateMarketPosition(store, positionRequest, job),
+        national: await calculateNationalMarketPosition(store, positionRequest, job)
+    };
+    return profile;
+}
+
+// Message handlers by request type
+const handlers = {
+    'load': (payload, job) => loadHospitalData(store, job),
+    'compare': (payload, job) => runComparison(payload, job),
+    'market-position': (payload, job) => calculateMarketPositions(payload, job),
+    'distribution': (payload, job) => calculateDistribution(payload, job),
+    'suggest-peers': (payload, job) => suggestPeers(payload, job),
+    'hospital-profile': (payload, job) => buildHospitalProfile(payload, job)
+};
+
+self.addEventListener('message', async (event) => {
+    const { id, type, payload } = event.data;
+
+    if (type === 'cancel') {
+        const job = activeJobs.get(payload.id);
+        if (job) job.cancelled = true;
+        return;
+    }
+
+    const handler = handlers[type];
+    if (!handler) {
+        self.postMessage({ id, type: 'error', payload: { message: `Unknown request type: ${type}` } });
+        return;
+    }
+
+    const job = {
+        id,
+        cancelled: false,
+        progress: (data) => self.postMessage({ id, type: 'progress', payload: data })
+    };
+    activeJobs.set(id, job);
+
+    try {
+        const result = await handler(payload, job);
+        self.postMessage({ id, type: 'result', payload: result });
+    } catch (error) {
+        if (error.cancelled) {
+            self.postMessage({ id, type: 'cancelled', payload: null });
+        } else {
+            console.error(`Error handling ${type} request:`, error);
+            self.postMessage({ id, type: 'error', payload: { message: error.message } });
+        }
+    } finally {
+        activeJobs.delete(id);
+    }
+});
@@ -0,0 +1,102 @@
+/**
+ * Hospital Data Cache
+ * Persists downloaded data files in IndexedDB so reloads start from cache.
+ * Entries are stored per data source (chunks or columnar) and tagged with the
+ * source's version hash; entries from any other version are treated as missing
+ * and removed at startup.
+ */
+
+const DATA_CACHE_DB_NAME = 'hospital-price-data';
+const DATA_CACHE_DB_VERSION = 1;
+const DATA_CACHE_STORE = 'files';
+
+/**
+ * Wrap an IndexedDB request in a promise
+ */
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Open the cache database
+ * Returns null when IndexedDB is unavailable (private browsing, file:// pages) - callers then skip caching
+ */
+async function openDataCache() {
+    if (typeof indexedDB === 'undefined') {
+        return null;
+    }
+
+    try {
+        const request = indexedDB.open(DATA_CACHE_DB_NAME, DATA_CACHE_DB_VERSION);
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(DATA_CACHE_STORE);
+        };
+        return await promisifyRequest(request);
+    } catch (error) {
+        console.warn('Data cache unavailable:', error);
+        return null;
+    }
+}
+
+/**
+ * Read a cached file, or null if it is missing or from another version
+ */
+async function readCachedFile(db, source, version, file) {
+    if (!db) return null;
+
+    try {
+        const transaction = db.transaction(DATA_CACHE_STORE, 'readonly');
+        const entry = await promisifyRequest(transaction.objectStore(DATA_CACHE_STORE).get(`${source}/${file}`));
+        return entry && entry.version === version ? entry.data : null;
+    } catch (error) {
+        console.warn(`Failed to read ${file} from cache:`, error);
+        return null;
+    }
+}
+
+/**
+ * Store a downloaded file; failures (e.g. quota exceeded) are logged and ignored
+ */
+async function writeCachedFile(db, source, version, file, data) {
+    if (!db) return;
+
+    try {
+        const transaction = db.transaction(DATA_CACHE_STORE, 'readwrite');
+        await promisifyRequest(transaction.objectStore(DATA_CACHE_STORE).put({ version, data }, `${source}/${file}`));
+    } catch (error) {
+        console.warn(`Failed to cache ${file}:`, error);
+    }
+}
+
+/**
+ * Delete a source's entries that belong to any other version
+ */
+async function pruneDataCache(db, source, version) {
+    if (!db) return;
+
+    try {
+        const transaction = db.transaction(DATA_CACHE_STORE, 'readwrite');
+        const range = IDBKeyRange.bound(`${source}/`, `${source}/\uffff`);
+        const request = transaction.objectStore(DATA_CACHE_STORE).openCursor(range);
+
+        await new Promise((resolve, reject) => {
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve();
+                    return;
+                }
+                if (cursor.value.version !== version) {
+                    cursor.delete();
+                }
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    } catch (error) {
+        console.warn(`Failed to prune ${source} cache:`, error);
+    }
+}
@@ -0,0 +1,477 @@
+/**
+ * Hospital Data Loader
+ * Fills the worker's data store from the columnar format (data/columnar/, built by
+ * build_columnar.py) or, when that is not present, the JSON chunks (data/chunks/).
+ *
+ * Downloads run a few at a time, are retried on failure and are cached in IndexedDB
+ * (see data-cache.js) under the dataset's version hash.
+ *
+ * Columnar data loads lazily: startup fetches only the hospital directory, metadata and
+ * precomputed procedure statistics. Before each comparison, ensureComparisonData() fetches the target
+ * hospitals' detail and the procedure columns their codes need, writing both into
+ * hospital.procedures so the comparison engine reads either format the same way.
+ *
+ * Either way, hospitals get latitude/longitude from the optional zip code centroid table
+ * (data/zip_centroids.json, built by build_zip_centroids.py) for distance filters and the map,
+ * CBSA/HRR codes from the optional region crosswalk (data/regions.json, built by build_regions.py)
+ * and health systems from the optional membership table (data/health_systems.json, built by
+ * build_health_systems.py).
+ */
+
+// Data files are resolved relative to the worker script (js/)
+const CHUNKS_BASE_URL = '../data/chunks/';
+const COLUMNAR_BASE_URL = '../data/columnar/';
+const ZIP_CENTROIDS_URL = '../data/zip_centroids.json';
+const REGIONS_URL = '../data/regions.json';
+const HEALTH_SYSTEMS_URL = '../data/health_systems.json';
+
+// Files downloaded at the same time
+const FETCH_CONCURRENCY = 4;
+
+// Attempts per file before giving up, with a growing delay between them
+const FETCH_RETRY_ATTEMPTS = 3;
+const FETCH_RETRY_DELAY_MS = 1000;
+
+/**
+ * Fetch a data file, retrying failed downloads
+ * format is 'json' or 'binary'
+ */
+async function fetchWithRetry(url, description, format = 'json') {
+    let lastError;
+
+    for (let attempt = 1; attempt <= FETCH_RETRY_ATTEMPTS; attempt++) {
+        try {
+            const response = await fetch(url);
+            if (!response.ok) {
+                throw new Error(`Failed to load ${description} (HTTP ${response.status})`);
+            }
+            return format === 'binary' ? await response.arrayBuffer() : await response.json();
+        } catch (error) {
+            lastError = error;
+            if (attempt < FETCH_RETRY_ATTEMPTS) {
+                console.warn(`[WARN] ${description}: attempt ${attempt} failed, retrying...`, error.message);
+                await new Promise(resolve => setTimeout(resolve, FETCH_RETRY_DELAY_MS * attempt));
+            }
+        }
+    }
+
+    throw new Error(`Failed to load ${description} after ${FETCH_RETRY_ATTEMPTS} attempts: ${lastError.message}`);
+}
+
+/**
+ * Describe where a dataset's files come from
+ * version is the dataset hash from index.json/manifest.json; without one, files are not cached
+ */
+async function openDataSource(name, baseUrl, version) {
+    const db = version ? await openDataCache() : null;
+    if (db) {
+        await pruneDataCache(db, name, version);
+    } else if (!version) {
+        console.log(`[INFO] ${name} data has no version hash - caching disabled`);
+    }
+    return { name, baseUrl, version, db };
+}
+
+/**
+ * Load a data file from the cache, downloading (and caching) it on a miss
+ * Returns { data, cached }
+ */
+async function loadDataFile(source, file, description, format = 'json') {
+    const cachedData = await readCachedFile(source.db, source.name, source.version, file);
+    if (cachedData) {
+        return { data: cachedData, cached: true };
+    }
+
+    const data = await fetchWithRetry(`${source.baseUrl}${file}`, description, format);
+    await writeCachedFile(source.db, source.name, source.version, file, data);
+    return { data, cached: false };
+}
+
+/**
+ * Run an async function over items with at most `limit` running at once
+ * Results keep the order of items
+ */
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+
+    async function runNext() {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+        }
+    }
+
+    const runners = [];
+    for (let i = 0; i < Math.min(limit, items.length); i++) {
+        runners.push(runNext());
+    }
+    await Promise.all(runners);
+
+    return results;
+}
+
+/**
+ * Load hospital data into the store, preferring the columnar format
+ * Returns the hospital directory (no procedures), metadata and national averages
+ */
+async function loadHospitalData(store, job) {
+    const manifest = await fetchColumnarManifest();
+
+    if (manifest) {
+        await loadColumnarData(store, manifest, job);
+    } else {
+        await loadChunkedData(store, job);
+    }
+
+    const centroids = await fetchOptionalJson(ZIP_CENTROIDS_URL);
+    if (centroids) {
+        attachZipCentroids(store.hospitalsArray, centroids);
+    }
+
+    const regions = await fetchOptionalJson(REGIONS_URL);
+    const regionNames = regions ? attachRegionCodes(store.hospitalsArray, regions) : {};
+
+    const healthSystems = await fetchOptionalJson(HEALTH_SYSTEMS_URL);
+    if (healthSystems) {
+        attachHealthSystems(store.hospitalsArray, healthSystems);
+    }
+
+    console.log(`[INFO] Successfully loaded data for ${store.hospitalsArray.length} hospitals`);
+
+    return {
+        directory: store.hospitalsArray.map(createDirectoryEntry),
+        metadata: store.metadata,
+        nationalAverages: store.nationalAverages,
+        regionNames
+    };
+}
+
+/**
+ * Fetch an optional data file, or null when it has not been built
+ */
+async function fetchOptionalJson(url) {
+    try {
+        const response = await fetch(url);
+        return response.ok ? await response.json() : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Five-digit zip code of a hospital - zip+4 and zips that lost their leading zero included
+ */
+function getFiveDigitZip(hospital) {
+    return String(hospital.zip_code || '').trim().slice(0, 5).padStart(5, '0');
+}
+
+/**
+ * Give each hospital its zip code's centroid as latitude/longitude
+ * centroids: { "48201": [latitude, longitude], ... }
+ */
+function attachZipCentroids(hospitals, centroids) {
+    let located = 0;
+    hospitals.forEach(hospital => {
+        const centroid = centroids[getFiveDigitZip(hospital)];
+        if (centroid) {
+            [hospital.latitude, hospital.longitude] = centroid;
+            located++;
+        }
+    });
+    console.log(`[INFO] Located ${located} of ${hospitals.length} hospitals by zip code`);
+}
+
+/**
+ * Give each hospital the CBSA and HRR codes of its zip code
+ * regions: { cbsa: { names: { code: name }, zips: { zip: code } }, hrr: { ... } }, either type optional
+ * Returns the names of the regions that hold at least one hospital: { cbsa: {...}, hrr: {...} }
+ */
+function attachRegionCodes(hospitals, regions) {
+    const regionNames = {};
+
+    ['cbsa', 'hrr'].forEach(type => {
+        const crosswalk = regions[type];
+        if (!crosswalk) return;
+
+        const names = {};
+        hospitals.forEach(hospital => {
+            const code = crosswalk.zips[getFiveDigitZip(hospital)];
+            if (code) {
+                hospital[type] = code;
+                names[code] = crosswalk.names[code] || code;
+            }
+        });
+        regionNames[type] = names;
+        console.log(`[INFO] Assigned ${type.toUpperCase()} codes to hospitals in ${Object.keys(names).length} regions`);
+    });
+
+    return regionNames;
+}
+
+/**
+ * Give each hospital its health system
+ * healthSystems: { provnum: system name, ... }
+ */
+function attachHealthSystems(hospitals, healthSystems) {
+    let affiliated = 0;
+    hospitals.forEach(hospital => {
+        const system = healthSystems[hospital.provnum];
+        if (system) {
+            hospital.health_system = system;
+            affiliated++;
+        }
+    });
+    console.log(`[INFO] Assigned health systems to ${affiliated} of ${hospitals.length} hospitals`);
+}
+
+/**
+ * Copy a hospital without its procedures - the main thread only needs this for search and display
+ */
+function createDirectoryEntry(hospital) {
+    const { procedures, ...entry } = hospital;
+    return entry;
+}
+
+/* ============================================
+   JSON CHUNKS
+   ============================================ */
+
+/**
+ * Load every hospital from the chunked JSON files
+ * Chunks download in parallel and are cached, so a reload only fetches what is missing
+ */
+async function loadChunkedData(store, job) {
+    console.log('[DEBUG] Starting to fetch hospital data in chunks...');
+    job.progress({ stage: 'load', message: 'Loading hospital data in chunks...' });
+
+    // The index is always fetched fresh - its version decides which cached chunks are valid
+    console.log('[DEBUG] Loading chunk index...');
+    const index = await fetchWithRetry(`${CHUNKS_BASE_URL}index.json`, 'chunk index');
+    const source = await openDataSource('chunks', CHUNKS_BASE_URL, index.version);
+
+    console.log(`[DEBUG] Found ${index.chunks.length} chunks with ${index.total_hospitals} total hospitals`);
+
+    // Load metadata
+    job.progress({ stage: 'load', message: 'Loading metadata...' });
+    console.log('[DEBUG] Loading metadata...');
+    store.metadata = (await loadDataFile(source, 'metadata.json', 'metadata')).data;
+
+    // Load chunks in parallel
+    console.log('[DEBUG] Loading hospital chunks...');
+    const totalChunks = index.chunks.length;
+    let loadedChunks = 0;
+    let cachedChunks = 0;
+
+    const chunks = await mapWithConcurrency(index.chunks, FETCH_CONCURRENCY, async (chunkInfo) => {
+        const { data, cached } = await loadDataFile(source, chunkInfo.file, `chunk ${chunkInfo.file}`);
+
+        loadedChunks++;
+        if (cached) cachedChunks++;
+
+        job.progress({
+            stage: 'load',
+            message: `Loading hospitals: ${loadedChunks}/${totalChunks} chunks` + (cachedChunks > 0 ? ` (${cachedChunks} from cache)` : '')
+        });
+        console.log(`[DEBUG] Loaded ${chunkInfo.file} (${chunkInfo.hospitals} hospitals, ${cached ? 'cache' : `${chunkInfo.size_mb}MB download`})`);
+
+        return data;
+    });
+
+    // Merge in index order so hospital order does not depend on download order
+    store.hospitals = {};
+    chunks.forEach(chunkData => Object.assign(store.hospitals, chunkData));
+
+    job.progress({ stage: 'load', message: 'Building procedure statistics...' });
+
+    // Convert to array and sort
+    store.hospitalsArray = Object.values(store.hospitals)
+        .sort((a, b) => (b.net_patient_revenue || 0) - (a.net_patient_revenue || 0));
+
+    store.procedureStats = buildProcedureStats(store.hospitalsArray);
+    store.nationalAverages = deriveNationalAverages(store.procedureStats);
+    store.columnar = null;
+}
+
+/* ============================================
+   COLUMNAR FORMAT
+   ============================================ */
+
+/**
+ * Fetch the columnar manifest, or null when the columnar data has not been built
+ */
+async function fetchColumnarManifest() {
+    try {
+        const response = await fetch(`${COLUMNAR_BASE_URL}manifest.json`);
+        return response.ok ? await response.json() : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Load the hospital directory, metadata and procedure statistics
+ * Procedures start empty and are filled in by ensureComparisonData()
+ */
+async function loadColumnarData(store, manifest, job) {
+    console.log(`[DEBUG] Loading columnar data version ${manifest.version}...`);
+
+    const source = await openDataSource('columnar', COLUMNAR_BASE_URL, manifest.version);
+
+    job.progress({ stage: 'load', message: `Loading directory of ${manifest.total_hospitals} hospitals...` });
+    const [directory, metadata, procedureStats] = await mapWithConcurrency([
+        ['directory.json', 'hospital directory'],
+        ['metadata.json', 'metadata'],
+        ['procedure_stats.json', 'procedure statistics']
+    ], FETCH_CONCURRENCY, async ([file, description]) => (await loadDataFile(source, file, description)).data);
+
+    store.metadata = metadata;
+    store.procedureStats = procedureStats;
+    store.nationalAverages = deriveNationalAverages(procedureStats);
+
+    // The directory is already sorted by net_patient_revenue; positions match the column hospital indexes
+    store.hospitalsArray = directory.map(entry => ({ ...entry, procedures: {} }));
+    store.hospitals = {};
+    store.hospitalsArray.forEach(hospital => {
+        store.hospitals[hospital.provnum] = hospital;
+    });
+
+    store.columnar = {
+        manifest,
+        source,
+        hospitalIndex: new Map(store.hospitalsArray.map((h, i) => [h.provnum, i])),
+        loadedDetailFiles: new Set(),
+        procedureFiles: new Map(),
+        loadedCodes: new Set()
+    };
+}
+
+/**
+ * Make sure the store holds everything a comparison or market position needs:
+ * full detail for the target hospitals and every hospital's record for the target procedures
+ * No-op for chunked data, which is fully loaded at startup
+ */
+async function ensureComparisonData(store, targetProvnums, job) {
+    if (!store.columnar) return;
+
+    const targetHospitals = resolveHospitals(store, targetProvnums);
+    await loadHospitalDetail(store, targetHospitals, job);
+
+    const codes = new Set();
+    targetHospitals.forEach(hospital => {
+        Object.keys(hospital.procedures).forEach(code => codes.add(code));
+    });
+    await loadProcedureColumns(store, codes, job);
+}
+
+/**
+ * Fetch the detail files holding the given hospitals and merge in their full procedure records
+ */
+async function loadHospitalDetail(store, hospitals, job) {
+    const { manifest, source, hospitalIndex, loadedDetailFiles } = store.columnar;
+
+    const fileIndexes = new Set();
+    hospitals.forEach(hospital => {
+        const fileIndex = Math.floor(hospitalIndex.get(hospital.provnum) / manifest.detail_file_size);
+        if (!loadedDetailFiles.has(fileIndex)) {
+            fileIndexes.add(fileIndex);
+        }
+    });
+
+    const pending = Array.from(fileIndexes);
+    if (pending.length === 0) return;
+
+    let completed = 0;
+    job.progress({ stage: 'detail', completed, total: pending.length });
+
+    const details = await mapWithConcurrency(pending, FETCH_CONCURRENCY, async (fileIndex) => {
+        const filename = manifest.detail_files[fileIndex];
+        const { data } = await loadDataFile(source, filename, `hospital detail ${filename}`);
+        job.progress({ stage: 'detail', completed: ++completed, total: pending.length });
+        return data;
+    });
+    await yieldToEventLoop(job);
+
+    // Full records replace any column-only records filled in earlier
+    details.forEach((detail, i) => {
+        Object.entries(detail).forEach(([provnum, procedures]) => {
+            Object.assign(store.hospitals[provnum].procedures, procedures);
+        });
+        loadedDetailFiles.add(pending[i]);
+    });
+}
+
+/**
+ * Fetch the column files holding the given procedure codes and add each code's
+ * record to every hospital that reports it
+ */
+async function loadProcedureColumns(store, codes, job) {
+    const { manifest, source, procedureFiles, loadedCodes } = store.columnar;
+
+    const missingCodes = Array.from(codes).filter(code => !loadedCodes.has(code) && manifest.procedures[code]);
+    const fileIndexes = new Set(missingCodes.map(code => manifest.procedures[code].file));
+    const pending = Array.from(fileIndexes).filter(fileIndex => !procedureFiles.has(fileIndex));
+
+    if (pending.length > 0) {
+        let completed = 0;
+        job.progress({ stage: 'columns', completed, total: pending.length });
+
+        await mapWithConcurrency(pending, FETCH_CONCURRENCY, async (fileIndex) => {
+            const filename = manifest.procedure_files[fileIndex];
+            const { data } = await loadDataFile(source, filename, `procedure columns ${filename}`, 'binary');
+            procedureFiles.set(fileIndex, data);
+            job.progress({ stage: 'columns', completed: ++completed, total: pending.length });
+        });
+        await yieldToEventLoop(job);
+    }
+
+    missingCodes.forEach(code => materializeProcedureColumn(store, code));
+}
+
+/**
+ * Read one procedure block and write its records into hospital.procedures
+ * Block layout (little-endian, matching typed arrays on all mainstream platforms):
+ * uint32 hospital index[n], uint32 volume[n], float32 avg_charge[n], avg_cost[n], avg_paid[n]
+ * Missing prices are stored as NaN and come back as null, as in the JSON records
+ */
+function materializeProcedureColumn(store, code) {
+    const { manifest, procedureFiles, loadedCodes } = store.columnar;
+    const { file, offset, count } = manifest.procedures[code];
+    const buffer = procedureFiles.get(file);
+
+    const hospitalIndexes = new Uint32Array(buffer, offset, count);
+    const volumes = new Uint32Array(buffer, offset + count * 4, count);
+    const avgCharges = new Float32Array(buffer, offset + count * 8, count);
+    const avgCosts = new Float32Array(buffer, offset + count * 12, count);
+    const avgPaids = new Float32Array(buffer, offset + count * 16, count);
+
+    for (let i = 0; i < count; i++) {
+        const hospital = store.hospitalsArray[hospitalIndexes[i]];
+
+        // Keep full detail records; column records carry averages only (totals derive from them)
+        if (!hospital.procedures[code]) {
+            hospital.procedures[code] = {
+                volume: volumes[i],
+                avg_charge: decodeColumnPrice(avgCharges[i]),
+                avg_cost: decodeColumnPrice(avgCosts[i]),
+                avg_paid: decodeColumnPrice(avgPaids[i])
+            };
+        }
+    }
+
+    loadedCodes.add(code);
+}
+
+/**
+ * Price from a float32 column: null for the NaN that marks a missing price, otherwise rounded to cents
+ */
+function decodeColumnPrice(value) {
+    return Number.isNaN(value) ? null : roundToCents(value);
+}
+
+/**
+ * Round a float32 price back to cents
+ */
+function roundToCents(value) {
+    return Math.round(value * 100) / 100;
+}
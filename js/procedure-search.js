@@ -0,0 +1,138 @@
+/**
+ * Procedure Search
+ * Full-text search over procedure codes and names for the CPT/HCPCS filter dropdown.
+ *
+ * Every word of the query has to match the procedure: a word of its name exactly, as a prefix
+ * or within a small edit distance (typos), or its code. Results rank by how well the words
+ * matched, then by national volume, so common procedures come first.
+ */
+
+// Points per query word by how it matched
+const SEARCH_MATCH_SCORES = {
+    exact: 3,
+    prefix: 2,
+    fuzzy: 1
+};
+
+/**
+ * Lowercase words of a procedure code or name
+ */
+function tokenizeProcedureText(text) {
+    return text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Index the words of every procedure name, and every code, by the codes they belong to
+ * Returns { words: Map(word -> Set(code)) }
+ */
+function buildProcedureSearchIndex(codes, names) {
+    const words = new Map();
+    const addWord = (word, code) => {
+        if (!words.has(word)) words.set(word, new Set());
+        words.get(word).add(code);
+    };
+
+    codes.forEach(code => {
+        addWord(code.toLowerCase(), code);
+        tokenizeProcedureText(names[code] || '').forEach(word => addWord(word, code));
+    });
+
+    return { words };
+}
+
+/**
+ * Edits allowed between a query word and a name word - none for short words and codes
+ */
+function getAllowedEdits(queryWord) {
+    if (/\d/.test(queryWord)) return 0;
+    return queryWord.length >= 8 ? 2 : queryWord.length >= 4 ? 1 : 0;
+}
+
+/**
+ * Edit distance between a and b counting a swap of neighbouring letters as one edit
+ * (optimal string alignment), or maxDistance + 1 once it is certain to be larger
+ */
+function boundedEditDistance(a, b, maxDistance) {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+
+    let beforePrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        beforePrevious = previous;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * How a query word matches an indexed word: 'exact', 'prefix', 'fuzzy' or null
+ */
+function matchSearchWord(queryWord, word) {
+    if (word === queryWord) return 'exact';
+    if (word.startsWith(queryWord)) return 'prefix';
+
+    // Part of a code, e.g. "0053" for 80053
+    if (/\d/.test(queryWord)) return word.includes(queryWord) ? 'fuzzy' : null;
+
+    // Typos are only forgiven in words, not codes
+    const allowed = getAllowedEdits(queryWord);
+    if (allowed === 0 || /\d/.test(word)) return null;
+
+    // Against the whole word, and against its start so partly typed words with a typo match too
+    if (boundedEditDistance(queryWord, word, allowed) <= allowed ||
+        boundedEditDistance(queryWord, word.slice(0, queryWord.length), allowed) <= allowed) {
+        return 'fuzzy';
+    }
+    return null;
+}
+
+/**
+ * Search procedures by code or name
+ * volumes maps code to national volume; returns up to limit codes, best match first
+ */
+function searchProcedures(index, query, volumes, limit) {
+    const queryWords = tokenizeProcedureText(query);
+    if (queryWords.length === 0) return [];
+
+    // Summed score per code, kept only for codes matching every query word so far
+    let scores = null;
+
+    for (const queryWord of queryWords) {
+        const wordScores = new Map();
+        index.words.forEach((codes, word) => {
+            const match = matchSearchWord(queryWord, word);
+            if (!match) return;
+            const score = SEARCH_MATCH_SCORES[match];
+            codes.forEach(code => {
+                if (!(wordScores.get(code) >= score)) wordScores.set(code, score);
+            });
+        });
+
+        if (scores === null) {
+            scores = wordScores;
+        } else {
+            const combined = new Map();
+            scores.forEach((score, code) => {
+                if (wordScores.has(code)) combined.set(code, score + wordScores.get(code));
+            });
+            scores = combined;
+        }
+        if (scores.size === 0) return [];
+    }
+
+    return Array.from(scores.entries())
+        .sort((a, b) => b[1] - a[1] || (volumes[b[0]] || 0) - (volumes[a[0]] || 0) || a[0].localeCompare(b[0]))
+        .slice(0, limit)
+        .map(([code]) => code);
+}
@@ -0,0 +1,285 @@
+/**
+ * Procedure Statistics Index
+ * Per-procedure aggregates built once when data loads (or by build_columnar.py), so
+ * national/state baselines and percentile lookups cost O(procedures) instead of a pass
+ * over every hospital. Outlier screening still passes over the hospitals: its cutoffs
+ * depend on the minimum volume and method chosen for the comparison.
+ *
+ * Shape (plain JSON so the pipeline can precompute it):
+ *   { national: { [code]: entry }, states: { [state]: { [code]: entry } } }
+ *   entry = { count, volume, dollarTotals, measures: { charge, paid, cost } }
+ *   measure = { count, volume, sum, sumSquares, weightedSum, quantiles }
+ * Only records with volume > 0 are counted; a measure skips records where its price is missing.
+ * quantiles is a sorted sketch of QUANTILE_SKETCH_POINTS evenly spaced quantiles, or every
+ * value when there are no more than that.
+ */
+
+// Quantiles kept per measure (every 5%)
+const QUANTILE_SKETCH_POINTS = 21;
+
+/**
+ * Create an empty per-measure accumulator
+ */
+function createMeasureStats() {
+    return { count: 0, volume: 0, sum: 0, sumSquares: 0, weightedSum: 0, quantiles: [] };
+}
+
+/**
+ * Create an empty per-procedure entry
+ */
+function createProcedureStatsEntry() {
+    const measures = {};
+    Object.keys(METRICS).forEach(metric => {
+        measures[metric] = createMeasureStats();
+    });
+    return { count: 0, volume: 0, dollarTotals: createDollarTotals(), measures };
+}
+
+/**
+ * Build national and per-state statistics for every procedure
+ */
+function buildProcedureStats(hospitalsArray) {
+    console.log('Building procedure statistics...');
+
+    const national = {};
+    const states = {};
+
+    // Raw prices per scope/code/measure, kept only until the quantile sketches are built
+    const nationalValues = {};
+    const stateValues = {};
+
+    hospitalsArray.forEach(hospital => {
+        if (!hospital.procedures) return;
+
+        if (hospital.state && !states[hospital.state]) {
+            states[hospital.state] = {};
+            stateValues[hospital.state] = {};
+        }
+
+        Object.entries(hospital.procedures).forEach(([code, proc]) => {
+            if (!(proc.volume > 0)) return;
+
+            addToProcedureStats(national, nationalValues, code, proc);
+            if (hospital.state) {
+                addToProcedureStats(states[hospital.state], stateValues[hospital.state], code, proc);
+            }
+        });
+    });
+
+    finalizeQuantiles(national, nationalValues);
+    Object.keys(states).forEach(state => finalizeQuantiles(states[state], stateValues[state]));
+
+    console.log(`Built statistics for ${Object.keys(national).length} procedures across ${Object.keys(states).length} states`);
+    return { national, states };
+}
+
+/**
+ * Add one hospital's procedure record to a scope's entries
+ */
+function addToProcedureStats(entries, valueLists, code, proc) {
+    if (!entries[code]) {
+        entries[code] = createProcedureStatsEntry();
+        valueLists[code] = {};
+        Object.keys(METRICS).forEach(metric => {
+            valueLists[code][metric] = [];
+        });
+    }
+
+    const entry = entries[code];
+    entry.count++;
+    entry.volume += proc.volume;
+    addDollarTotals(entry.dollarTotals, proc);
+
+    Object.entries(METRICS).forEach(([metric, { field }]) => {
+        const value = proc[field];
+        if (value == null) return;
+
+        const measure = entry.measures[metric];
+        measure.count++;
+        measure.volume += proc.volume;
+        measure.sum += value;
+        measure.sumSquares += value * value;
+        measure.weightedSum += value * proc.volume;
+        valueLists[code][metric].push(value);
+    });
+}
+
+/**
+ * Replace each scope's collected prices with quantile sketches
+ */
+function finalizeQuantiles(entries, valueLists) {
+    Object.entries(valueLists).forEach(([code, lists]) => {
+        Object.entries(lists).forEach(([metric, values]) => {
+            values.sort((a, b) => a - b);
+            entries[code].measures[metric].quantiles = buildQuantileSketch(values);
+        });
+    });
+}
+
+/**
+ * Reduce sorted values to QUANTILE_SKETCH_POINTS evenly spaced quantiles
+ * build_columnar.py mirrors this - keep them in step
+ */
+function buildQuantileSketch(sortedValues) {
+    if (sortedValues.length <= QUANTILE_SKETCH_POINTS) {
+        return sortedValues.slice();
+    }
+
+    const sketch = [];
+    for (let i = 0; i < QUANTILE_SKETCH_POINTS; i++) {
+        sketch.push(interpolateSorted(sortedValues, i / (QUANTILE_SKETCH_POINTS - 1)));
+    }
+    return sketch;
+}
+
+/**
+ * Linear-interpolated quantile q (0-1) of sorted values
+ */
+function interpolateSorted(sortedValues, q) {
+    const position = q * (sortedValues.length - 1);
+    const lower = Math.floor(position);
+    const upper = Math.min(lower + 1, sortedValues.length - 1);
+    return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+}
+
+/* ============================================
+   LOOKUPS
+   ============================================ */
+
+/**
+ * Find a procedure's entry for a scope: 'national' or a state code
+ */
+function getProcedureStats(procedureStats, scope, code) {
+    if (!procedureStats) return null;
+    const entries = scope === 'national' ? procedureStats.national : procedureStats.states[scope];
+    return entries ? entries[code] || null : null;
+}
+
+/**
+ * Add several measures together (e.g. one procedure across multiple states)
+ * Quantile sketches cannot be merged exactly and are left empty
+ */
+function combineMeasureStats(measures) {
+    const combined = createMeasureStats();
+    measures.forEach(measure => {
+        combined.count += measure.count;
+        combined.volume += measure.volume;
+        combined.sum += measure.sum;
+        combined.sumSquares += measure.sumSquares;
+        combined.weightedSum += measure.weightedSum;
+    });
+    return combined;
+}
+
+/**
+ * Simple mean of hospital prices
+ */
+function getMeasureMean(measure) {
+    return measure.count > 0 ? measure.sum / measure.count : 0;
+}
+
+/**
+ * Volume-weighted mean price
+ */
+function getMeasureWeightedMean(measure) {
+    return measure.volume > 0 ? measure.weightedSum / measure.volume : 0;
+}
+
+/**
+ * Estimated price at quantile q (0-1), or null without a sketch
+ */
+function estimateQuantile(measure, q) {
+    if (measure.quantiles.length === 0) return null;
+    return interpolateSorted(measure.quantiles, q);
+}
+
+/**
+ * Estimated mean of the prices between quantiles fraction and 1 - fraction, or null without a sketch
+ * Exact when the sketch holds every price; otherwise integrates the interpolated sketch
+ */
+function estimateTrimmedMean(measure, fraction) {
+    const sketch = measure.quantiles;
+    if (sketch.length === 0) return null;
+
+    if (sketch.length === measure.count) {
+        const drop = Math.floor(sketch.length * fraction);
+        const kept = sketch.slice(drop, sketch.length - drop);
+        return kept.reduce((sum, value) => sum + value, 0) / kept.length;
+    }
+
+    const steps = 100;
+    let total = 0;
+    for (let i = 0; i < steps; i++) {
+        const q = fraction + (1 - 2 * fraction) * (i + 0.5) / steps;
+        total += interpolateSorted(sketch, q);
+    }
+    return total / steps;
+}
+
+/**
+ * Baseline price for a methodology (see METHODOLOGIES in comparison-engine.js), or null when unavailable
+ */
+function getBaselinePrice(measure, methodology) {
+    if (measure.count === 0) return null;
+
+    switch (methodology) {
+        case 'simple':
+            return getMeasureMean(measure);
+        case 'median':
+            return estimateQuantile(measure, 0.5);
+        case 'trimmed':
+            return estimateTrimmedMean(measure, TRIM_FRACTION);
+        default:
+            return measure.volume > 0 ? getMeasureWeightedMean(measure) : getMeasureMean(measure);
+    }
+}
+
+/**
+ * Estimated percentile rank (0-100) of a price among the hospitals in the sketch, or null without one
+ * Ties count as half, as in calculatePercentileRank: exact when the sketch holds every price,
+ * otherwise a price the sketch repeats ranks at the middle of its run of quantiles
+ */
+function estimatePercentileRank(measure, value) {
+    const sketch = measure.quantiles;
+    if (sketch.length === 0) return null;
+    if (sketch.length === measure.count) return calculatePercentileRank(sketch, value);
+
+    const last = sketch.length - 1;
+    if (value < sketch[0]) return 0;
+    if (value > sketch[last]) return 100;
+
+    // First sketch point at or above the value
+    let i = 0;
+    while (sketch[i] < value) i++;
+
+    if (sketch[i] === value) {
+        let end = i;
+        while (end < last && sketch[end + 1] === value) end++;
+        return ((i + end) / 2 / last) * 100;
+    }
+
+    // Interpolate within the interval holding the value
+    const fraction = (value - sketch[i - 1]) / (sketch[i] - sketch[i - 1]);
+    return ((i - 1 + fraction) / last) * 100;
+}
+
+/**
+ * National averages per procedure in the shape the comparison engine reads
+ */
+function deriveNationalAverages(procedureStats) {
+    const nationalAverages = {};
+
+    Object.entries(procedureStats.national).forEach(([code, entry]) => {
+        const averages = {
+            totalVolume: entry.volume,
+            hospitalCount: entry.count,
+            dollarTotals: entry.dollarTotals
+        };
+        Object.entries(METRICS).forEach(([metric, { nationalKey }]) => {
+            averages[nationalKey] = getMeasureMean(entry.measures[metric]);
+        });
+        nationalAverages[code] = averages;
+    });
+
+    return nationalAverages;
+}
@@ -1,7 +1,11 @@
 #!/usr/bin/env python3
 """
 Split the large hospital_data.json into smaller chunks for easier browser loading
+
+index.json carries a version hash of every written file; the web app uses it to
+decide which chunks cached in the browser are still valid.
 """
+import hashlib
 import json
 import os
 
@@ -23,9 +27,14 @@ metadata = {
     'shoppable_map': data.get('shoppable_map', {})
 }
 
+# Hash of all written files, stored in index.json as the data version
+content_hash = hashlib.sha256()
+
 print("Saving metadata...")
+metadata_payload = json.dumps(metadata, separators=(',', ':'))
+content_hash.update(metadata_payload.encode('utf-8'))
 with open('data/chunks/metadata.json', 'w') as f:
-    json.dump(metadata, f, separators=(',', ':'))
+    f.write(metadata_payload)
 
 # Split hospitals into chunks of 1000 each
 hospitals = data.get('hospitals', {})
@@ -42,8 +51,10 @@ for i in range(0, len(hospital_items), chunk_size):
     filename = f'hospitals_{chunk_num:03d}.json'
     filepath = f'data/chunks/{filename}'
 
+    chunk_payload = json.dumps(chunk, separators=(',', ':'))
+    content_hash.update(chunk_payload.encode('utf-8'))
     with open(filepath, 'w') as f:
-        json.dump(chunk, f, separators=(',', ':'))
+        f.write(chunk_payload)
 
     file_size = os.path.getsize(filepath) / (1024 * 1024)  # MB
     chunks_info.append({
@@ -56,6 +67,7 @@ for i in range(0, len(hospital_items), chunk_size):
 
 # Save chunk index
 index = {
+    'version': content_hash.hexdigest()[:16],
     'total_hospitals': len(hospital_items),
     'chunk_size': chunk_size,
     'chunks': chunks_info
@@ -66,4 +78,5 @@ with open('data/chunks/index.json', 'w') as f:
 
 print(f"\nDone! Created {len(chunks_info)} chunks in data/chunks/")
 print(f"Total hospitals: {len(hospital_items)}")
+print(f"Data version: {index['version']}")
 print(f"Chunk index saved to: data/chunks/index.json")